@@ -16,6 +16,7 @@ const config = {
   FIREBASE_SERVICE_ACCOUNT_KEY_BASE64: process.env.FIREBASE_SERVICE_ACCOUNT_KEY_BASE64, // Base64 encoded JSON
   FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID,
   PORT: process.env.PORT || 3000,
+  SOCKET_ADAPTER: process.env.SOCKET_ADAPTER || 'memory', // 'memory' or 'mongodb' (see services/socketAdapterService.js)
 };
 
 // Function to initialize all services
@@ -0,0 +1,108 @@
+// middleware/deviceAuthMiddleware.js
+// Authenticates requests from table ESP32 devices. Devices don't have Firebase accounts; each one
+// signs its requests with the secret issued by POST /api/tables/:tableId/device-secret.
+//
+// Required headers:
+//   X-Device-Id        - the table's esp32DeviceId
+//   X-Device-Timestamp - unix time in seconds (must be within DEVICE_CLOCK_SKEW_SECONDS of server time)
+//   X-Device-Signature - hex HMAC-SHA256 of `${timestamp}\n${METHOD}\n${path}\n${rawBody}` keyed with the device secret
+//
+// The '/devices' Socket.IO namespace uses the same scheme with method 'CONNECT', path '/devices' and an empty body.
+// Each signature is accepted once: a replayed request (or an identical one sent within the same second) is rejected.
+const crypto = require('crypto');
+const Table = require('../models/Table');
+const DeviceSignature = require('../models/DeviceSignature');
+
+const DEVICE_CLOCK_SKEW_SECONDS = 5 * 60;
+
+/**
+ * Builds the string a device signs for a request.
+ * @param {string} timestamp - Value of X-Device-Timestamp.
+ * @param {string} method - HTTP method, e.g. 'POST'.
+ * @param {string} path - Request path without query string, e.g. '/api/devices/heartbeat'.
+ * @param {string} rawBody - Exact request body as sent ('' for none).
+ * @returns {string}
+ */
+const buildSigningPayload = (timestamp, method, path, rawBody) => `${timestamp}\n${method.toUpperCase()}\n${path}\n${rawBody}`;
+
+/**
+ * Verifies a device signature. Shared by the HTTP middleware and the '/devices' Socket.IO namespace.
+ * @param {Object} params
+ * @param {string} params.deviceId - The table's esp32DeviceId.
+ * @param {string} params.timestamp - Unix time in seconds, as signed.
+ * @param {string} params.signature - Hex HMAC-SHA256 from the device.
+ * @param {string} params.method
+ * @param {string} params.path
+ * @param {string} [params.rawBody='']
+ * @returns {Promise<{table?: Object, error?: string}>} The matching table, or an error message for a 401.
+ */
+const verifyDeviceSignature = async ({ deviceId, timestamp, signature, method, path, rawBody = '' }) => {
+  if (!deviceId || !timestamp || !signature) {
+    return { error: 'Device authentication headers missing.' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > DEVICE_CLOCK_SKEW_SECONDS) {
+    return { error: 'Request timestamp is missing or too far from server time.' };
+  }
+
+  const table = await Table.findOne({ esp32DeviceId: deviceId }).select('+device.secret');
+  if (!table || !table.device || !table.device.secret) {
+    return { error: 'Unknown device.' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', table.device.secret)
+    .update(buildSigningPayload(String(timestamp), method, path, rawBody))
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(String(signature), 'hex');
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return { error: 'Invalid device signature.' };
+  }
+
+  // Remember the signature until its timestamp is too old to pass the check above
+  try {
+    await DeviceSignature.create({
+      deviceId,
+      signature: expected,
+      expiresAt: new Date((timestampSeconds + DEVICE_CLOCK_SKEW_SECONDS) * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'Request already used.' };
+    }
+    throw error;
+  }
+  return { table };
+};
+
+const deviceAuthMiddleware = async (req, res, next) => {
+  const deviceId = req.headers['x-device-id'];
+
+  try {
+    const { table, error } = await verifyDeviceSignature({
+      deviceId,
+      timestamp: req.headers['x-device-timestamp'],
+      signature: req.headers['x-device-signature'],
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+    });
+    if (error) {
+      console.warn(`[DeviceAuthMiddleware] Rejected request from device ${deviceId}: ${error}`);
+      return res.status(401).json({ message: error });
+    }
+
+    req.device = { deviceId, tableId: table._id.toString() };
+    next();
+  } catch (error) {
+    console.error('[DeviceAuthMiddleware Error] Device authentication failed:', error.message);
+    return res.status(500).json({ message: 'Server error authenticating device.' });
+  }
+};
+
+module.exports = deviceAuthMiddleware;
+module.exports.buildSigningPayload = buildSigningPayload;
+module.exports.verifyDeviceSignature = verifyDeviceSignature;
@@ -0,0 +1,141 @@
+// middleware/permissionMiddleware.js
+// Declarative route permissions, used after authMiddleware:
+//   router.post('/:tableId/clear-queue', requirePermission('table:clearQueue', { scope: 'table' }), handler)
+// Each permission names the lowest role that holds it. Roles come from the user (User.isAdmin makes
+// them 'admin' everywhere) and their membership of the venue the route acts on (owner/manager/staff,
+// see services/venueStaffService.js).
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const Venue = require('../models/Venue');
+const { getVenueRole } = require('../services/venueStaffService');
+
+const ROLE_RANKS = ['staff', 'manager', 'owner', 'admin']; // Lowest to highest
+
+const PERMISSIONS = {
+  'venue:create': { role: 'admin', action: 'register venues' },
+  'venue:list': { role: 'admin', action: 'view all venues' },
+  'venue:delete': { role: 'admin', action: 'delete venues' },
+  'venue:transferOwnership': { role: 'admin', action: 'change the venue owner' },
+  'venue:update': { role: 'owner', action: 'update this venue' },
+  'venue:addStaff': { role: 'manager', action: 'add venue staff' },
+  'venue:removeStaff': { role: 'staff', action: 'remove venue staff' }, // Staff may only remove themselves (venueStaffService)
+  'venue:viewStaff': { role: 'staff', action: 'view the staff list' },
+  'venue:viewActivity': { role: 'staff', action: 'view the venue activity log' },
+  'table:update': { role: 'manager', action: 'update this table' },
+  'table:manageDevice': { role: 'manager', action: 'manage this table\'s device' },
+  'table:viewDeviceCommands': { role: 'staff', action: 'view this table\'s device commands' },
+  'table:viewTimeline': { role: 'staff', action: 'view this table\'s timeline' },
+  'table:maintenance': { role: 'manager', action: 'take this table out of service or reopen it' },
+  'table:clearQueue': { role: 'staff', action: 'clear this queue' },
+  'table:removePlayer': { role: 'staff', action: 'remove players from this table' },
+  'dispute:view': { role: 'staff', action: 'view disputes' },
+  'dispute:resolve': { role: 'manager', action: 'resolve disputes' },
+};
+
+const ROLE_HOLDERS = {
+  admin: 'administrators',
+  owner: 'administrators and the venue owner',
+  manager: 'administrators and venue managers',
+  staff: 'administrators and venue staff',
+};
+
+/**
+ * The user's role for a request: 'admin' for global admins, else their role at the venue (or null).
+ * @param {Object} user - req.user (uid, isAdmin).
+ * @param {Object|null} venue - Venue with ownerId and staff, or null for routes without a venue.
+ * @returns {'admin'|'owner'|'manager'|'staff'|null}
+ */
+const resolveRole = (user, venue) => (user.isAdmin ? 'admin' : getVenueRole(venue, user.uid));
+
+const roleSatisfies = (role, requiredRole) =>
+  !!role && ROLE_RANKS.indexOf(role) >= ROLE_RANKS.indexOf(requiredRole);
+
+/**
+ * Whether the user holds a permission at a venue. For checks inside a handler, e.g. on a single field.
+ * @param {Object} user - req.user.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @param {Object|null} [venue] - Venue with ownerId and staff.
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission, venue = null) => {
+  const definition = PERMISSIONS[permission];
+  if (!definition) throw new Error(`Unknown permission '${permission}'.`);
+  return roleSatisfies(resolveRole(user, venue), definition.role);
+};
+
+/**
+ * Finds the venue a request acts on.
+ * - scope 'global': none.
+ * - scope 'venue': req.params.venueId, else req.query.venueId / req.body.venueId, or options.venueId(req).
+ * - scope 'table': the venue of the table in req.params.tableId (or req.params.id).
+ * @returns {Promise<{venue: Object|null, notFound?: string}>}
+ */
+const findScopeVenue = async (req, scope, getVenueId) => {
+  if (scope === 'global') return { venue: null };
+
+  let venueId;
+  if (scope === 'table') {
+    const tableId = req.params.tableId || req.params.id;
+    const table = mongoose.Types.ObjectId.isValid(tableId) ? await Table.findById(tableId).select('venueId').lean() : null;
+    if (!table) return { venue: null, notFound: 'Table not found.' };
+    venueId = table.venueId;
+  } else if (getVenueId) {
+    venueId = await getVenueId(req);
+  } else {
+    venueId = req.params.venueId || req.query.venueId || (req.body && req.body.venueId);
+  }
+
+  if (!venueId) return { venue: null }; // Nothing to scope to: only global roles apply
+  const venue = mongoose.Types.ObjectId.isValid(venueId) ? await Venue.findById(venueId).select('ownerId staff').lean() : null;
+  if (!venue) return { venue: null, notFound: 'Venue not found.' };
+  return { venue };
+};
+
+/**
+ * Route middleware that lets the request through only if the user holds the permission.
+ * Sets req.access = { permission, role, venueId } for the handler.
+ * Responds 404 if the scoped table/venue does not exist and 403 with
+ * { message, code: 'FORBIDDEN', permission, requiredRole } if the user lacks the permission.
+ * @param {string} permission - A key of PERMISSIONS.
+ * @param {Object} [options]
+ * @param {'global'|'venue'|'table'} [options.scope='global']
+ * @param {Function} [options.venueId] - async (req) => venueId, for venue-scoped routes without a venueId
+ *   parameter (e.g. resolved from a dispute).
+ * @returns {Function} Express middleware.
+ */
+const requirePermission = (permission, { scope = 'global', venueId: getVenueId } = {}) => {
+  const definition = PERMISSIONS[permission];
+  if (!definition) throw new Error(`Unknown permission '${permission}'.`);
+
+  return async (req, res, next) => {
+    try {
+      const { venue, notFound } = await findScopeVenue(req, scope, getVenueId);
+      if (notFound && !req.user.isAdmin) {
+        return res.status(404).json({ message: notFound });
+      }
+
+      const role = resolveRole(req.user, venue);
+      req.access = { permission, role, venueId: venue ? venue._id : null };
+      if (roleSatisfies(role, definition.role)) {
+        return next();
+      }
+
+      console.warn(`[PERMISSION] ${req.user.uid} (role: ${role || 'none'}) denied '${permission}'${venue ? ` at venue ${venue._id}` : ''}.`);
+      return res.status(403).json({
+        message: `Access denied. Only ${ROLE_HOLDERS[definition.role]} can ${definition.action}.`,
+        code: 'FORBIDDEN',
+        permission,
+        requiredRole: definition.role,
+      });
+    } catch (error) {
+      console.error(`[PERMISSION] Error checking '${permission}':`, error);
+      return res.status(500).json({ message: 'Server error checking permissions.', error: error.message });
+    }
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  requirePermission,
+};
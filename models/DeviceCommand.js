@@ -0,0 +1,34 @@
+// models/DeviceCommand.js
+const mongoose = require('mongoose');
+
+// A command sent from the backend to a table's ESP32 over the '/devices' Socket.IO namespace,
+// together with its delivery attempts and the device's acknowledgement.
+// This is the log staff use to check whether a paid game actually released the balls.
+const deviceCommandSchema = new mongoose.Schema({
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', required: true },
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', required: true },
+  deviceId: { type: String, required: true }, // Table.esp32DeviceId at the time the command was issued
+  command: { type: String, enum: ['unlock', 'lock', 'reset'], required: true },
+  reason: { type: String, default: null }, // e.g. 'game_started', 'manual'
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null }, // The paid game that triggered an unlock
+  requestedBy: { type: String, ref: 'User', default: null }, // null for commands issued by the system
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'acknowledged', 'failed', 'expired'],
+    default: 'pending',
+  },
+  attempts: { type: Number, default: 0 },
+  lastAttemptAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }, // Not delivered after this (a late unlock would open a table nobody paid for)
+  acknowledgedAt: { type: Date, default: null },
+  ack: { // What the device reported back
+    success: { type: Boolean, default: null },
+    message: { type: String, default: null },
+  },
+  lastError: { type: String, default: null },
+}, { timestamps: true });
+
+deviceCommandSchema.index({ tableId: 1, createdAt: -1 });
+deviceCommandSchema.index({ deviceId: 1, status: 1 });
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
@@ -0,0 +1,16 @@
+// models/DeviceSignature.js
+const mongoose = require('mongoose');
+
+// A signature a table device has already used (middleware/deviceAuthMiddleware.js). Kept until its
+// timestamp falls outside the accepted clock skew, so a captured request can't be replayed. Stored in
+// MongoDB so every server instance rejects the replay.
+const deviceSignatureSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true }, // Table.esp32DeviceId
+  signature: { type: String, required: true }, // Lowercase hex HMAC
+  expiresAt: { type: Date, required: true }, // When the signed timestamp would be rejected anyway
+});
+
+deviceSignatureSchema.index({ deviceId: 1, signature: 1 }, { unique: true });
+deviceSignatureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DeviceSignature', deviceSignatureSchema);
@@ -0,0 +1,33 @@
+// models/Dispute.js
+const mongoose = require('mongoose');
+
+const disputeSchema = new mongoose.Schema({
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', required: true },
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', required: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null }, // Game session being disputed
+  player1Id: { type: String, ref: 'User', required: true },
+  player2Id: { type: String, ref: 'User', required: true },
+  claimedWinnerId: { type: String, ref: 'User', default: null }, // Player whose win claim was disputed
+  raisedBy: { type: String, ref: 'User', default: null }, // Player who disputed the claim; null if escalated automatically after the confirmation deadline
+  reason: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open',
+  },
+  resolution: {
+    type: String,
+    // 'settled_by_players' is set when the players confirm a result themselves before an admin steps in
+    enum: ['award_player1', 'award_player2', 'void_refund', 'settled_by_players', null],
+    default: null,
+  },
+  awardedWinnerId: { type: String, ref: 'User', default: null },
+  resolvedBy: { type: String, ref: 'User', default: null },
+  resolvedAt: { type: Date, default: null },
+  resolutionNotes: { type: String, default: '' },
+}, { timestamps: true });
+
+disputeSchema.index({ venueId: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ sessionId: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
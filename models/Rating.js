@@ -0,0 +1,27 @@
+// models/Rating.js
+const mongoose = require('mongoose');
+
+// Elo skill rating of a player. venueId null is the player's global rating;
+// otherwise the rating only counts games played at that venue.
+const ratingSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Firebase UID
+    ref: 'User',
+    required: true,
+  },
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    default: null,
+  },
+  rating: { type: Number, default: 1500 },
+  gamesPlayed: { type: Number, default: 0, min: 0 },
+  wins: { type: Number, default: 0, min: 0 },
+  losses: { type: Number, default: 0, min: 0 },
+  lastGameAt: { type: Date, default: null },
+}, { timestamps: true });
+
+ratingSchema.index({ userId: 1, venueId: 1 }, { unique: true });
+ratingSchema.index({ venueId: 1, rating: -1 }); // Leaderboards
+
+module.exports = mongoose.model('Rating', ratingSchema);
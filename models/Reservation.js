@@ -0,0 +1,32 @@
+// models/Reservation.js
+const mongoose = require('mongoose');
+
+// A booked time slot on a table. During the slot the table is held for the holder: walk-ins can't
+// take free seats until the holder checks in (or is marked a no-show), and once checked in the
+// holder goes ahead of the table's queue. See services/reservationService.js.
+const reservationSchema = new mongoose.Schema({
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', required: true },
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', required: true },
+  userId: { type: String, ref: 'User', required: true }, // Reservation holder (Firebase UID)
+  partnerId: { type: String, ref: 'User', default: null }, // Optional opponent seated with the holder
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'completed', 'cancelled', 'no_show'],
+    default: 'booked',
+  },
+  depositAmount: { type: Number, default: 0, min: 0 }, // Tokens held at booking (venue reservationPolicy.depositTokens)
+  depositTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TokenTransaction', default: null },
+  depositRefunded: { type: Boolean, default: false }, // Refunded on check-in or timely cancellation; forfeited on no-show
+  checkedInAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: { type: String, ref: 'User', default: null },
+}, { timestamps: true });
+
+// Conflict checks and listings by table/venue and time
+reservationSchema.index({ tableId: 1, startTime: 1, endTime: 1 });
+reservationSchema.index({ venueId: 1, startTime: 1 });
+reservationSchema.index({ userId: 1, startTime: -1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,25 @@
+// models/ScheduledJob.js
+const mongoose = require('mongoose');
+
+// A deferred job run by services/schedulerService.js. Jobs live in MongoDB so that
+// pending deadlines survive server restarts.
+const scheduledJobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // Name of the handler registered with the scheduler
+  runAt: { type: Date, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  attempts: { type: Number, default: 0 },
+  lockedAt: { type: Date, default: null }, // When an instance claimed the job
+  lockedBy: { type: String, default: null }, // Which instance claimed the job
+  lastError: { type: String, default: null },
+  completedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ type: 1, 'payload.tableId': 1, status: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
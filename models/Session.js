@@ -60,10 +60,22 @@ const sessionSchema = new mongoose.Schema({
   },
   stripePaymentStatus: {
     type: String,
-    enum: ['succeeded', 'pending', 'failed', 'canceled'],
+    enum: ['succeeded', 'pending', 'failed', 'canceled', 'refunded'],
     required: function() { return this.type === 'token_purchase'; },
     default: function() { return this.type === 'token_purchase' ? 'pending' : undefined; }
   },
+  refundedTokens: { // Tokens already debited back because of Stripe refunds (charge.refunded webhook)
+    type: Number,
+    min: 0,
+    default: function() { return this.type === 'token_purchase' ? 0 : undefined; }
+  },
+  payments: [{ // Game payments (venue perGameCost) of the players in this game; refunded if the game is voided
+    _id: false,
+    userId: { type: String, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 }, // 0 for a free seat (winner stays free)
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TokenTransaction', default: null },
+    paidAt: { type: Date, default: Date.now },
+  }],
   winnerId: {
     type: String,
     required: false,
@@ -82,6 +94,12 @@ const sessionSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 sessionSchema.index({ stripePaymentIntentId: 1 }, { unique: true, sparse: true });
+// Match history lookups (a player can be in either slot)
+sessionSchema.index({ player1Id: 1, startTime: -1 });
+sessionSchema.index({ player2Id: 1, startTime: -1 });
+// Recent game durations for queue wait estimates (services/waitTimeService.js)
+sessionSchema.index({ tableId: 1, status: 1, endTime: -1 });
+sessionSchema.index({ venueId: 1, status: 1, endTime: -1 });
 
 const Session = mongoose.model('Session', sessionSchema);
 
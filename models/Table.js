@@ -5,17 +5,56 @@ const tableSchema = new mongoose.Schema({
   venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', required: true },
   tableNumber: { type: mongoose.Schema.Types.Mixed, required: true }, // Can be number or string (e.g., "A1")
   esp32DeviceId: { type: String, unique: true, sparse: true }, // Unique, but allows nulls
+  tableType: { type: String, trim: true, default: null }, // e.g. '9ft', '7ft', 'snooker'; matched against venue queue preferences
+  device: { // ESP32 controller state, maintained by the device API (routes/deviceRoutes.js)
+    secret: { type: String, select: false, default: null }, // HMAC key shared with the device; never sent to clients
+    online: { type: Boolean, default: false },
+    lastHeartbeatAt: { type: Date, default: null },
+    firmwareVersion: { type: String, default: null },
+    lastEvent: {
+      type: { type: String, default: null },
+      at: { type: Date, default: null },
+    },
+  },
   status: { // Updated: More granular status for game flow
     type: String,
     enum: ['available', 'occupied', 'queued', 'in_play', 'awaiting_confirmation', 'maintenance', 'out_of_order'],
     default: 'available'
   },
+  maintenance: { // Set while status is 'maintenance' or 'out_of_order'
+    reason: { type: String, default: null },
+    expectedReturnAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    startedBy: { type: String, ref: 'User', default: null },
+  },
   currentPlayers: { // NEW: Tracks active players on the table
     player1Id: { type: String, ref: 'User', default: null },
     player2Id: { type: String, ref: 'User', default: null }
   },
   currentSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null }, // Current active game session
+  pendingWinClaim: { // Set while status is 'awaiting_confirmation'
+    claimedBy: { type: String, ref: 'User', default: null }, // null while awaiting a claim after the table device reported game over
+    claimedAt: { type: Date, default: null },
+    confirmationDeadline: { type: Date, default: null }, // Auto-confirm/escalate time (venue winConfirmation policy)
+  },
   queue: [String], // Array of user UIDs (strings) in the queue
+  transition: { // Lease held while a state transition runs (services/tableStateMachineService.js)
+    id: { type: String, default: null },
+    name: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+  },
+  seatPayments: [{ // Game payments held for seated players until their game starts (then moved to Session.payments)
+    _id: false,
+    userId: { type: String, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 }, // 0 for a free seat (winner stays free)
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TokenTransaction', default: null },
+    paidAt: { type: Date, default: Date.now },
+  }],
+  pendingCheckIns: [{ // Players promoted from the queue who still have to check in (venue queuePolicy)
+    _id: false,
+    userId: { type: String, ref: 'User', required: true },
+    deadline: { type: Date, required: true },
+  }],
   lastGameEndedAt: { type: Date, default: null }, // Timestamp of when the last game on this table ended
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -0,0 +1,33 @@
+// models/TableEvent.js
+const mongoose = require('mongoose');
+
+// One committed table transition (see services/tableStateMachineService.js): who did what to a table
+// and what it looked like before and after. This is the audit trail staff use to answer questions
+// like "what happened on table 4 last night".
+const tableStateSchema = new mongoose.Schema({
+  status: { type: String, default: null },
+  player1Id: { type: String, default: null },
+  player2Id: { type: String, default: null },
+  queue: [{ type: String }],
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+}, { _id: false });
+
+const tableEventSchema = new mongoose.Schema({
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', required: true },
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', required: true },
+  tableNumber: { type: mongoose.Schema.Types.Mixed, default: null }, // Table.tableNumber at the time
+  type: { type: String, required: true }, // The transition, e.g. 'joinTable', 'confirmWin', 'removePlayer'
+  actor: {
+    userId: { type: String, ref: 'User', default: null }, // null for the system and table devices
+    role: { type: String, enum: ['player', 'staff', 'system', 'device'], default: 'system' },
+  },
+  before: { type: tableStateSchema, required: true },
+  after: { type: tableStateSchema, required: true },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} }, // Transition specific, e.g. { promoted: [...] }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Timeline and activity pages are read newest first, ties broken by _id (see services/tableEventService.js)
+tableEventSchema.index({ tableId: 1, createdAt: -1, _id: -1 });
+tableEventSchema.index({ venueId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('TableEvent', tableEventSchema);
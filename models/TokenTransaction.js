@@ -0,0 +1,48 @@
+// models/TokenTransaction.js
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to User.tokenBalance.
+// Entries are only ever created through services/tokenService.js, never updated or deleted.
+const tokenTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Firebase UID
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+  },
+  amount: { // Always positive; 'type' gives the direction
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: {
+    type: String,
+    enum: ['token_purchase', 'token_purchase_refund', 'game_payment', 'game_refund', 'reservation_deposit', 'reservation_deposit_refund'],
+    required: true,
+  },
+  balanceAfter: { // User.tokenBalance right after this change was applied
+    type: Number,
+    required: true,
+  },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+  tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', default: null },
+  venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', default: null },
+  reservationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation', default: null },
+  stripePaymentIntentId: { type: String, default: null },
+  description: { type: String, default: '' },
+}, { timestamps: true });
+
+tokenTransactionSchema.index({ userId: 1, createdAt: -1 });
+tokenTransactionSchema.index({ sessionId: 1 });
+tokenTransactionSchema.index({ stripePaymentIntentId: 1 }, { partialFilterExpression: { stripePaymentIntentId: { $type: 'string' } } });
+
+// Enforce append-only at the model level.
+tokenTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('TokenTransaction entries are append-only and cannot be modified or deleted.'));
+});
+
+module.exports = mongoose.model('TokenTransaction', tokenTransactionSchema);
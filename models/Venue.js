@@ -2,6 +2,17 @@
 
 const mongoose = require('mongoose');
 
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in 24-hour HH:MM format.'];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 const venueSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -38,17 +49,80 @@ const venueSchema = new mongoose.Schema({
     min: 0,
     default: 10, // Default cost, can be changed by admin
   },
+  paymentPolicy: { // Paying perGameCost to take a seat
+    requirePayment: { type: Boolean, default: true }, // Seats are only taken after a successful token charge
+    winnerStaysFree: { type: Boolean, default: false }, // Winner keeps their seat for the next game without paying again
+  },
+  queuePolicy: { // How players promoted from a table queue claim their seat
+    checkInWindowMinutes: { type: Number, default: 3, min: 0 }, // 0 seats promoted players without a check-in
+    noShowAction: { type: String, enum: ['move_to_back', 'drop'], default: 'move_to_back' },
+  },
+  queue: [{ // Venue-wide queue: players waiting for whichever table frees up first (see services/queueService.js)
+    _id: false,
+    userId: { type: String, ref: 'User', required: true },
+    partnerId: { type: String, ref: 'User', default: null }, // Second member of a party of two (seated together)
+    partySize: { type: Number, enum: [1, 2], default: 1 },
+    tableTypes: { type: [String], default: [] }, // Acceptable Table.tableType values; empty = any table
+    joinedAt: { type: Date, default: Date.now },
+  }],
+  reservationPolicy: { // Booking tables ahead of time (see models/Reservation.js)
+    depositTokens: { type: Number, default: 0, min: 0 }, // 0 = no deposit
+    minDurationMinutes: { type: Number, default: 30, min: 5 },
+    maxDurationMinutes: { type: Number, default: 120, min: 5 },
+    maxAdvanceDays: { type: Number, default: 14, min: 1 },
+    gracePeriodMinutes: { type: Number, default: 10, min: 0 }, // How long the table is held after the slot starts
+    freeCancellationMinutes: { type: Number, default: 60, min: 0 }, // Cancel at least this long before the slot to get the deposit back
+    reminderMinutesBefore: { type: Number, default: 15, min: 0 }, // 0 disables the reminder push
+  },
+  winConfirmation: { // What happens when a win claim is not confirmed or disputed in time
+    timeoutMinutes: { type: Number, default: 10, min: 1 },
+    timeoutAction: { type: String, enum: ['auto_confirm', 'dispute'], default: 'auto_confirm' },
+    reminderMinutesBeforeDeadline: { type: Number, default: 2, min: 0 }, // 0 disables the reminder push
+  },
+  timezone: { // IANA timezone the operating hours are written in, e.g. 'Europe/London'
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimeZone, 'Unknown timezone.'],
+  },
+  operatingHours: { // No hours at all = always open. See services/venueHoursService.js
+    weekly: [{ // One entry per opening interval; a close at or before the open time runs past midnight
+      _id: false,
+      day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+      open: { type: String, required: true, match: TIME_OF_DAY },
+      close: { type: String, required: true, match: TIME_OF_DAY },
+    }],
+    exceptions: [{ // Holidays and special days; replaces the weekly hours for that date
+      _id: false,
+      date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD.'] }, // Local date
+      closed: { type: Boolean, default: false }, // Closed all day
+      open: { type: String, match: TIME_OF_DAY }, // Hours for the day when not closed
+      close: { type: String, match: TIME_OF_DAY },
+      note: { type: String, trim: true }, // e.g. 'Christmas Day'
+    }],
+  },
+  ownerId: { type: String, ref: 'User', default: null }, // Firebase UID of the venue owner
+  visibility: { // 'staff_only' hides the venue (e.g. while it is being set up) from everyone but admins and its staff
+    type: String,
+    enum: ['public', 'staff_only'],
+    default: 'public',
+  },
+  staff: [{ // Venue roles besides the owner (see services/venueStaffService.js)
+    _id: false,
+    userId: { type: String, ref: 'User', required: true },
+    role: { type: String, enum: ['manager', 'staff'], required: true }, // Managers can also add and remove staff
+    addedBy: { type: String, ref: 'User', default: null },
+    addedAt: { type: Date, default: Date.now },
+  }],
+  tableIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Table' }],
   // You might want to add fields like:
-  // owner: {
-  //   type: mongoose.Schema.Types.ObjectId,
-  //   ref: 'User',
-  // },
   // contactInfo: String,
-  // operatingHours: String,
 }, {
   timestamps: true, // Adds createdAt and updatedAt timestamps
 });
 
+// Venues a user works at
+venueSchema.index({ 'staff.userId': 1 });
+
 const Venue = mongoose.model('Venue', venueSchema);
 
 module.exports = Venue;
@@ -0,0 +1,94 @@
+// routes/deviceRoutes.js
+// API called by table ESP32 devices. Mounted at /api/devices in server.js BEFORE the Firebase auth
+// middleware; every route is authenticated with deviceAuthMiddleware (HMAC-signed requests) instead.
+const express = require('express');
+const router = express.Router();
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
+const { DEVICE_EVENT_TYPES, recordHeartbeat, getDeviceTableState, recordDeviceEvent } = require('../services/deviceService');
+const { recordDeviceGameOver } = require('../services/winConfirmationService');
+
+router.use(deviceAuthMiddleware);
+
+/**
+ * @route POST /api/devices/heartbeat
+ * @description Device liveness ping. Marks the table's device online; devices that stop sending
+ * heartbeats are marked offline by the device monitor.
+ * @access Device
+ * @body {string} [firmwareVersion]
+ */
+router.post('/heartbeat', async (req, res) => {
+  const { tableId, deviceId } = req.device;
+  const { firmwareVersion } = req.body || {};
+
+  try {
+    const table = await recordHeartbeat(tableId, { firmwareVersion });
+    if (!table) {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+    console.log(`[DEVICE_ROUTE_HEARTBEAT] Heartbeat from device ${deviceId} (table ${tableId}).`);
+    res.status(200).json({ message: 'ok', status: table.status, serverTime: new Date() });
+  } catch (error) {
+    console.error('Error recording device heartbeat:', error);
+    res.status(500).json({ message: 'Server error recording heartbeat.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/devices/state
+ * @description The current state of the device's table (status, seated players, session, queue length).
+ * @access Device
+ */
+router.get('/state', async (req, res) => {
+  const { tableId } = req.device;
+
+  try {
+    const state = await getDeviceTableState(tableId);
+    if (!state) {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+    res.status(200).json(state);
+  } catch (error) {
+    console.error('Error fetching device table state:', error);
+    res.status(500).json({ message: 'Server error fetching table state.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/devices/events
+ * @description Report something that happened at the table, e.g. the ball return was unlocked.
+ * 'game_over' moves an in-play table to 'awaiting_confirmation' and prompts both players to claim the win;
+ * the response tells the device whether the table changed and what state it is in now.
+ * @access Device
+ * @body {string} type - One of DEVICE_EVENT_TYPES ('ball_return_unlocked', 'ball_return_locked', 'game_started', 'game_over').
+ * @body {Object} [data] - Optional event details. For 'game_over': { sessionId, trigger } (e.g. trigger 'eight_ball', 'cue_ball_return').
+ */
+router.post('/events', async (req, res) => {
+  const { tableId, deviceId } = req.device;
+  const { type, data } = req.body || {};
+
+  try {
+    const result = await recordDeviceEvent(tableId, type, data && typeof data === 'object' ? data : {});
+    if (result.error === 'INVALID_EVENT_TYPE') {
+      return res.status(400).json({ message: `Invalid event type. Expected one of: ${DEVICE_EVENT_TYPES.join(', ')}.` });
+    }
+    if (result.error === 'TABLE_NOT_FOUND') {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+    console.log(`[DEVICE_ROUTE_EVENTS] Recorded '${type}' from device ${deviceId}.`);
+
+    if (type === 'game_over') {
+      const { transitioned, status, reason, confirmationDeadline } = await recordDeviceGameOver(tableId, {
+        sessionId: data && data.sessionId,
+        trigger: data && data.trigger,
+      });
+      return res.status(200).json({ message: 'Event recorded.', transitioned, status, reason: reason || null, confirmationDeadline: confirmationDeadline || null });
+    }
+
+    res.status(200).json({ message: 'Event recorded.' });
+  } catch (error) {
+    console.error('Error recording device event:', error);
+    res.status(500).json({ message: 'Server error recording device event.', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// routes/disputeRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { resolveDispute, RESOLUTIONS } = require('../services/disputeService');
+
+// Apply authMiddleware to all routes in this router
+router.use(authMiddleware);
+
+// Disputes are handled by the staff of the venue they happened at
+const disputeVenueId = async (req) => {
+  const dispute = mongoose.Types.ObjectId.isValid(req.params.disputeId)
+    ? await Dispute.findById(req.params.disputeId).select('venueId').lean()
+    : null;
+  return dispute ? dispute.venueId : null;
+};
+
+/**
+ * @route GET /api/disputes
+ * @description List disputes for a venue, newest first.
+ * @access Admin or staff of the venue
+ * @query {string} venueId - The venue whose disputes to list.
+ * @query {string} [status=open] - 'open', 'resolved' or 'all'.
+ */
+router.get('/', requirePermission('dispute:view', { scope: 'venue' }), async (req, res) => {
+  const { venueId, status = 'open' } = req.query;
+  if (!venueId) {
+    return res.status(400).json({ message: 'venueId is required.' });
+  }
+  if (!mongoose.isValidObjectId(venueId)) {
+    return res.status(400).json({ message: 'Invalid venueId.' });
+  }
+  if (!['open', 'resolved', 'all'].includes(status)) {
+    return res.status(400).json({ message: "Invalid status. Use 'open', 'resolved' or 'all'." });
+  }
+
+  try {
+    const filter = { venueId };
+    if (status !== 'all') filter.status = status;
+
+    const disputes = await Dispute.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('tableId', 'tableNumber status')
+      .populate('player1Id', 'displayName email')
+      .populate('player2Id', 'displayName email')
+      .lean();
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('[DISPUTE_ROUTES] Error listing disputes:', error);
+    res.status(500).json({ message: 'Server error listing disputes.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/disputes/:disputeId/resolve
+ * @description Resolve an open dispute by awarding the game to one player or voiding it with a refund.
+ * Applies token and rating consequences and notifies both players over Socket.IO and push.
+ * @access Admin or a manager/owner of the dispute's venue
+ * @body {string} resolution - 'award_player1', 'award_player2' or 'void_refund'.
+ * @body {string} [notes] - Optional notes stored on the dispute.
+ */
+router.post('/:disputeId/resolve', requirePermission('dispute:resolve', { scope: 'venue', venueId: disputeVenueId }), async (req, res) => {
+  const { disputeId } = req.params;
+  const { resolution, notes } = req.body;
+
+  try {
+    const result = await resolveDispute(disputeId, resolution, req.user.uid, notes);
+    if (result.error === 'INVALID_RESOLUTION') {
+      return res.status(400).json({ message: `Invalid resolution. Use one of: ${RESOLUTIONS.join(', ')}.` });
+    }
+    if (result.error === 'NOT_FOUND') {
+      return res.status(404).json({ message: 'Dispute not found.' });
+    }
+    if (result.error === 'ALREADY_RESOLVED') {
+      return res.status(409).json({ message: 'Dispute has already been resolved.' });
+    }
+
+    res.status(200).json({
+      message: 'Dispute resolved.',
+      dispute: result.dispute,
+      ratingChanges: result.ratingChanges,
+      refunds: result.refunds,
+    });
+  } catch (error) {
+    console.error('[DISPUTE_ROUTES] Error resolving dispute:', error);
+    res.status(500).json({ message: 'Server error resolving dispute.', error: error.message });
+  }
+});
+
+module.exports = router;
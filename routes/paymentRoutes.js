@@ -3,12 +3,194 @@ const express = require('express');
 const router = express.Router();
 const { getStripeInstance } = require('../config/stripe');
 const Session = require('../models/Session');
+const TokenTransaction = require('../models/TokenTransaction');
 const User = require('../models/User'); // CORRECTED: Removed the extra '=' here
 const { getSocketIO } = require('../services/socketService');
 const { sendPushNotification } = require('../services/notificationService');
+const { creditTokens, debitTokens, recordMissedCredit } = require('../services/tokenService');
 const Table = require('../models/Table');
+const { config } = require('../config');
 
 const TOKEN_PRICE_PER_UNIT_USD = 0.10;
+const LEDGER_REPAIR_DELAY_MS = 60 * 1000; // A purchase claimed this long ago without a ledger entry lost it
+
+/**
+ * Writes the ledger entry of a token purchase whose tokens were credited but whose TokenTransaction
+ * was never stored (see creditTokenPurchase). Purchases claimed only moments ago are left alone: their
+ * credit may still be in progress.
+ */
+const repairTokenPurchaseLedger = async (paymentIntent, userId, amountTokens) => {
+  const session = await Session.findOne({ stripePaymentIntentId: paymentIntent.id }).select('endTime').lean();
+  if (!session || !session.endTime || session.endTime > new Date(Date.now() - LEDGER_REPAIR_DELAY_MS)) return;
+  if (await TokenTransaction.exists({ stripePaymentIntentId: paymentIntent.id, reason: 'token_purchase' })) return;
+
+  const transaction = await recordMissedCredit(userId, amountTokens, {
+    reason: 'token_purchase',
+    sessionId: session._id,
+    stripePaymentIntentId: paymentIntent.id,
+    description: `Purchase of ${amountTokens} tokens`,
+  });
+  if (transaction) {
+    console.warn(`[Stripe] Recorded the missing ledger entry for PaymentIntent ${paymentIntent.id} (${amountTokens} tokens to ${userId}).`);
+  }
+};
+
+/**
+ * Credits the tokens bought with a succeeded token-purchase PaymentIntent, exactly once.
+ * The Session upsert is keyed on the unique stripePaymentIntentId index, so whichever of
+ * /confirm-token-purchase or the Stripe webhook arrives first credits the tokens and the
+ * other one hits the duplicate key and becomes a no-op. A refunded purchase was credited before,
+ * so it is never credited again. If the balance could not be credited the purchase is put back the
+ * way it was, so the next webhook retry or confirmation can credit it. If the balance was credited
+ * but its ledger entry was lost, the purchase stays claimed and a later attempt writes the entry.
+ * @param {Object} paymentIntent - The Stripe PaymentIntent (status 'succeeded').
+ * @returns {Promise<{credited: boolean, newBalance: number|null, error?: string}>} credited is false if the
+ *   tokens were already credited (or refunded), or with error 'USER_NOT_FOUND' if the buyer is missing.
+ */
+const creditTokenPurchase = async (paymentIntent) => {
+  const userId = paymentIntent.metadata.firebaseUid;
+  const amountTokens = parseInt(paymentIntent.metadata.amountTokens, 10);
+
+  let claim;
+  try {
+    claim = await Session.findOneAndUpdate(
+      { stripePaymentIntentId: paymentIntent.id, stripePaymentStatus: { $nin: ['succeeded', 'refunded'] } },
+      {
+        $set: {
+          status: 'completed',
+          stripePaymentStatus: 'succeeded',
+          endTime: new Date(),
+          cost: paymentIntent.amount / 100,
+          purchasedTokens: amountTokens,
+        },
+        $setOnInsert: {
+          type: 'token_purchase',
+          player1Id: userId,
+          startTime: new Date(),
+        },
+      },
+      { upsert: true, new: false, includeResultMetadata: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      // A session with this PaymentIntent already exists with stripePaymentStatus 'succeeded' or 'refunded'.
+      await repairTokenPurchaseLedger(paymentIntent, userId, amountTokens);
+      return { credited: false, newBalance: null };
+    }
+    throw error;
+  }
+  const previous = claim.value; // null if the upsert created the purchase
+  const sessionId = previous ? previous._id : claim.lastErrorObject.upserted;
+
+  // Undoes the claim above so the purchase can be credited by a later attempt
+  const releaseClaim = () => (previous
+    ? Session.updateOne({ _id: sessionId }, { $set: { status: previous.status, stripePaymentStatus: previous.stripePaymentStatus, endTime: previous.endTime || null } })
+    : Session.deleteOne({ _id: sessionId }));
+
+  let credit;
+  try {
+    credit = await creditTokens(userId, amountTokens, {
+      reason: 'token_purchase',
+      sessionId,
+      stripePaymentIntentId: paymentIntent.id,
+      description: `Purchase of ${amountTokens} tokens`,
+    });
+  } catch (error) {
+    if (!error.balanceApplied) {
+      await releaseClaim();
+    }
+    throw error;
+  }
+  if (!credit.success) {
+    await releaseClaim();
+    console.error(`[Stripe] PaymentIntent ${paymentIntent.id} succeeded but user ${userId} was not found. Tokens NOT credited.`);
+    return { credited: false, newBalance: null, error: credit.error };
+  }
+  console.log(`[Stripe] User ${userId} credited with ${amountTokens} tokens for PaymentIntent ${paymentIntent.id}. New balance: ${credit.newBalance}`);
+
+  return { credited: true, newBalance: credit.newBalance };
+};
+
+/**
+ * Records a failed token-purchase PaymentIntent. A purchase that already succeeded (or was refunded) is left untouched.
+ * @param {Object} paymentIntent - The Stripe PaymentIntent from payment_intent.payment_failed.
+ */
+const recordFailedTokenPurchase = async (paymentIntent) => {
+  try {
+    await Session.findOneAndUpdate(
+      { stripePaymentIntentId: paymentIntent.id, stripePaymentStatus: { $nin: ['succeeded', 'refunded'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          stripePaymentStatus: 'failed',
+          endTime: new Date(),
+        },
+        $setOnInsert: {
+          type: 'token_purchase',
+          player1Id: paymentIntent.metadata.firebaseUid,
+          startTime: new Date(),
+          cost: paymentIntent.amount / 100,
+          purchasedTokens: parseInt(paymentIntent.metadata.amountTokens, 10),
+        },
+      },
+      { upsert: true }
+    );
+    console.log(`[Stripe] Recorded failed token purchase for PaymentIntent ${paymentIntent.id}. Reason: ${paymentIntent.last_payment_error?.message || 'unknown'}`);
+  } catch (error) {
+    if (error.code === 11000) {
+      console.warn(`[Stripe] Ignoring payment_failed for PaymentIntent ${paymentIntent.id}: purchase already succeeded.`);
+      return;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Debits the tokens matching a (partial or full) refund of a token purchase charge.
+ * Session.refundedTokens tracks what was already debited, so replays of the same event debit nothing.
+ * @param {Object} charge - The Stripe Charge from charge.refunded.
+ */
+const debitRefundedTokenPurchase = async (charge) => {
+  const session = await Session.findOne({ stripePaymentIntentId: charge.payment_intent, type: 'token_purchase' });
+  if (!session || !['succeeded', 'refunded'].includes(session.stripePaymentStatus)) {
+    console.warn(`[Stripe] charge.refunded for PaymentIntent ${charge.payment_intent} has no credited token purchase. Nothing to debit.`);
+    return;
+  }
+
+  const alreadyRefundedTokens = session.refundedTokens || 0;
+  const refundedTokensTotal = charge.amount > 0
+    ? Math.round(session.purchasedTokens * (charge.amount_refunded / charge.amount))
+    : 0;
+  const tokensToDebit = refundedTokensTotal - alreadyRefundedTokens;
+  if (tokensToDebit <= 0) {
+    console.log(`[Stripe] Refund for PaymentIntent ${charge.payment_intent} already processed. Skipping debit.`);
+    return;
+  }
+
+  // Conditional on the previous refundedTokens value so concurrent deliveries cannot both debit.
+  const claimedSession = await Session.findOneAndUpdate(
+    { _id: session._id, refundedTokens: alreadyRefundedTokens === 0 ? { $in: [0, null] } : alreadyRefundedTokens },
+    { $set: { refundedTokens: refundedTokensTotal, stripePaymentStatus: charge.refunded ? 'refunded' : 'succeeded' } },
+    { new: true }
+  );
+  if (!claimedSession) {
+    console.warn(`[Stripe] Refund for PaymentIntent ${charge.payment_intent} is being processed concurrently. Skipping debit.`);
+    return;
+  }
+
+  // The balance may go negative if the refunded tokens were already spent.
+  const debit = await debitTokens(session.player1Id, tokensToDebit, {
+    reason: 'token_purchase_refund',
+    sessionId: session._id,
+    stripePaymentIntentId: charge.payment_intent,
+    description: `Stripe refund of ${tokensToDebit} purchased tokens`,
+  }, { allowNegative: true });
+  if (!debit.success) {
+    console.error(`[Stripe] Refund for PaymentIntent ${charge.payment_intent}: user ${session.player1Id} not found. Tokens NOT debited.`);
+    return;
+  }
+  console.log(`[Stripe] User ${session.player1Id} debited ${tokensToDebit} tokens for refund of PaymentIntent ${charge.payment_intent}. New balance: ${debit.newBalance}`);
+};
 
 /**
  * @route POST /api/payments/create-token-payment-intent
@@ -112,7 +294,6 @@ router.post('/confirm-token-purchase', async (req, res) => {
   const { paymentIntentId, amountTokens } = req.body;
   const userId = req.user.uid;
   const stripe = getStripeInstance();
-  const io = getSocketIO();
 
   console.log(`[PaymentRoutes:/confirm-token-purchase] Request received for user ${userId}, PI: ${paymentIntentId}, tokens: ${amountTokens}`);
 
@@ -135,48 +316,18 @@ router.post('/confirm-token-purchase', async (req, res) => {
     }
     console.log('[Stripe] Payment Intent verification successful.');
 
-    const existingSession = await Session.findOne({
-      stripePaymentIntentId: paymentIntentId,
-      type: 'token_purchase',
-    });
-
-    if (existingSession) {
-      console.warn(`[Stripe] Tokens for PaymentIntent ${paymentIntentId} already credited. Skipping re-credit.`);
-      return res.status(200).json({ message: 'Tokens already credited.', newBalance: existingSession.purchasedTokens });
-    }
-    console.log('[Stripe] Payment Intent not previously credited.');
-
-    const user = await User.findById(userId);
-    if (!user) {
+    const { credited, newBalance, error } = await creditTokenPurchase(paymentIntent);
+    if (error === 'USER_NOT_FOUND') {
       console.error(`[PaymentRoutes:/confirm-token-purchase] User NOT FOUND in DB for UID: ${userId}`);
       return res.status(404).json({ message: 'User not found in database.' });
     }
-    console.log(`[PaymentRoutes:/confirm-token-purchase] User found in DB for UID: ${userId}. Current balance: ${user.tokenBalance}`);
-
-    user.tokenBalance += amountTokens;
-    await user.save();
-    console.log(`[Stripe] User ${userId} credited with ${amountTokens} tokens. New balance: ${user.tokenBalance}`);
-
-    const newSession = new Session({
-      tableId: null,
-      venueId: null,
-      player1Id: userId,
-      player2Id: null,
-      startTime: new Date(),
-      endTime: new Date(),
-      cost: paymentIntent.amount / 100,
-      status: 'completed',
-      type: 'token_purchase',
-      purchasedTokens: amountTokens,
-      stripePaymentIntentId: paymentIntentId,
-    });
-    await newSession.save();
-    console.log(`[Stripe] Recorded token purchase session ${newSession._id} for PaymentIntent ${paymentIntentId}`);
-
-    io.to(userId).emit('tokenBalanceUpdate', { newBalance: user.tokenBalance });
-    console.log(`[Socket.IO] Emitted tokenBalanceUpdate for user ${userId} with new balance: ${user.tokenBalance}`);
+    if (!credited) {
+      console.warn(`[Stripe] Tokens for PaymentIntent ${paymentIntentId} already credited. Skipping re-credit.`);
+      const user = await User.findById(userId).select('tokenBalance').lean();
+      return res.status(200).json({ message: 'Tokens already credited.', newBalance: user ? user.tokenBalance : null });
+    }
 
-    res.status(200).json({ message: 'Tokens loaded successfully!', newBalance: user.tokenBalance });
+    res.status(200).json({ message: 'Tokens loaded successfully!', newBalance });
 
   } catch (error) {
     console.error('[Stripe Error] Error confirming token purchase:', error.message);
@@ -204,15 +355,17 @@ router.post('/confirm', async (req, res) => {
       return res.status(403).send('Unauthorized or game session not found for this user.');
     }
 
-    const user = await User.findById(userId);
-    if (!user || user.tokenBalance < session.cost) {
-      console.warn(`[PaymentRoutes:/confirm] Insufficient tokens for user ${userId}. Balance: ${user?.tokenBalance}, Cost: ${session.cost}`);
+    const debit = await debitTokens(userId, session.cost, {
+      reason: 'game_payment',
+      sessionId: session._id,
+      tableId: session.tableId,
+      venueId: session.venueId,
+    });
+    if (!debit.success) {
+      console.warn(`[PaymentRoutes:/confirm] Could not deduct tokens for user ${userId} (${debit.error}). Cost: ${session.cost}`);
       return res.status(400).send('Insufficient tokens. Please purchase more or try again.');
     }
-
-    user.tokenBalance -= session.cost;
-    await user.save();
-    console.log(`[PaymentRoutes:/confirm] Tokens deducted for user ${userId}. New balance: ${user.tokenBalance}`);
+    console.log(`[PaymentRoutes:/confirm] Tokens deducted for user ${userId}. New balance: ${debit.newBalance}`);
 
     session.status = 'active';
     session.endTime = null;
@@ -242,9 +395,6 @@ router.post('/confirm', async (req, res) => {
     }
     console.log(`[Socket.IO] Emitted gameStartConfirmation for players in session ${sessionId}.`);
 
-    io.to(userId).emit('tokenBalanceUpdate', { newBalance: user.tokenBalance });
-    console.log(`[Socket.IO] Emitted tokenBalanceUpdate for user ${userId} with new balance: ${user.tokenBalance}`);
-
     res.status(200).send('Payment confirmed. Game is starting.');
 
   } catch (error) {
@@ -253,4 +403,61 @@ router.post('/confirm', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/payments/webhook
+ * @description Stripe webhook for token purchases. Credits tokens even if the app never calls
+ * /confirm-token-purchase, records failed payments and debits refunded tokens.
+ * Mounted in server.js ahead of express.json() and authMiddleware, since the signature is
+ * computed over the raw request body and Stripe does not send a Firebase token.
+ * @access Public (verified with the Stripe-Signature header and STRIPE_WEBHOOK_SECRET)
+ */
+const handleStripeWebhook = async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  const stripe = getStripeInstance();
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, config.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('[PaymentRoutes:/webhook] Signature verification failed:', error.message);
+    return res.status(400).json({ message: `Webhook signature verification failed: ${error.message}` });
+  }
+  console.log(`[PaymentRoutes:/webhook] Received event ${event.id} of type ${event.type}`);
+
+  try {
+    const object = event.data.object;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        if (object.metadata?.type === 'token_purchase') {
+          const { credited, error } = await creditTokenPurchase(object);
+          if (error) {
+            console.error(`[PaymentRoutes:/webhook] Tokens for PaymentIntent ${object.id} could not be credited: ${error}.`);
+          } else if (!credited) {
+            console.log(`[PaymentRoutes:/webhook] Tokens for PaymentIntent ${object.id} already credited.`);
+          }
+        }
+        break;
+      case 'payment_intent.payment_failed':
+        if (object.metadata?.type === 'token_purchase') {
+          await recordFailedTokenPurchase(object);
+        }
+        break;
+      case 'charge.refunded':
+        if (object.payment_intent) {
+          await debitRefundedTokenPurchase(object);
+        }
+        break;
+      default:
+        console.log(`[PaymentRoutes:/webhook] Ignoring unhandled event type ${event.type}`);
+    }
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery later.
+    console.error(`[PaymentRoutes:/webhook] Error handling event ${event.id}:`, error.message);
+    res.status(500).json({ message: 'Failed to process webhook event.', error: error.message });
+  }
+};
+
 module.exports = router;
+module.exports.handleStripeWebhook = handleStripeWebhook;
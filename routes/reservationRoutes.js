@@ -0,0 +1,264 @@
+// routes/reservationRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const authMiddleware = require('../middleware/authMiddleware');
+const { canViewVenue } = require('../services/socketService');
+const {
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+  listReservations,
+} = require('../services/reservationService');
+
+// Apply authMiddleware to all routes in this router
+router.use(authMiddleware);
+
+const RESERVATION_STATUSES = ['booked', 'checked_in', 'completed', 'cancelled', 'no_show'];
+
+/**
+ * Parses an ISO date query/body value. Returns null for missing or invalid values.
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @route POST /api/reservations
+ * @description Book a table for a time slot. Takes the venue's reservation deposit (reservationPolicy.depositTokens)
+ * if it has one. During the slot the table is held for the holder until they check in or miss the grace period.
+ * Tables of venues hidden from players (visibility 'staff_only') can only be booked by admins and the venue's staff.
+ * @access Private
+ * @body {string} tableId
+ * @body {string} startTime - ISO date.
+ * @body {string} endTime - ISO date.
+ * @body {string} [partnerId] - Opponent to seat with the holder on check-in.
+ */
+router.post('/', async (req, res) => {
+  const { tableId, partnerId } = req.body;
+  const startTime = parseDate(req.body.startTime);
+  const endTime = parseDate(req.body.endTime);
+  console.log(`[RESERVATION_ROUTES] User ${req.user.uid} booking table ${tableId}: ${req.body.startTime} - ${req.body.endTime}`);
+
+  if (!tableId || !mongoose.Types.ObjectId.isValid(tableId)) {
+    return res.status(400).json({ message: 'A valid tableId is required.' });
+  }
+  if (!startTime || !endTime) {
+    return res.status(400).json({ message: 'startTime and endTime must be valid dates.' });
+  }
+
+  try {
+    const table = await Table.findById(tableId).select('venueId').populate('venueId', 'visibility ownerId staff').lean();
+    if (!table || (table.venueId && !canViewVenue(req.user, table.venueId))) {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+
+    const result = await createReservation(req.user.uid, { tableId, startTime, endTime, partnerId: partnerId || null });
+    if (!result.success) {
+      const { policy } = result;
+      switch (result.error) {
+        case 'TABLE_NOT_FOUND':
+          return res.status(404).json({ message: 'Table not found.' });
+        case 'OUT_OF_SERVICE':
+          return res.status(400).json({ message: 'This table is out of order and cannot be reserved.' });
+        case 'INVALID_PARTNER':
+          return res.status(400).json({ message: 'You cannot reserve a table with yourself as your partner.' });
+        case 'PARTNER_NOT_FOUND':
+          return res.status(404).json({ message: 'Partner not found.' });
+        case 'INVALID_TIME':
+          return res.status(400).json({ message: 'The reservation must start in the future and end after it starts.' });
+        case 'TOO_SHORT':
+          return res.status(400).json({ message: `Reservations must be at least ${policy.minDurationMinutes} minutes long.` });
+        case 'TOO_LONG':
+          return res.status(400).json({ message: `Reservations can be at most ${policy.maxDurationMinutes} minutes long.` });
+        case 'TOO_FAR_AHEAD':
+          return res.status(400).json({ message: `Tables can be reserved at most ${policy.maxAdvanceDays} days ahead.` });
+        case 'VENUE_CLOSED':
+          return res.status(400).json({ message: 'The venue is not open for the whole of that time.' });
+        case 'CONFLICT':
+          return res.status(409).json({ message: 'This table is already reserved for part of that time.' });
+        case 'USER_CONFLICT':
+          return res.status(409).json({ message: 'You already have a reservation that overlaps that time.' });
+        case 'INSUFFICIENT_BALANCE':
+          return res.status(402).json({ message: `Insufficient token balance. A deposit of ${policy.depositTokens} tokens is required.` });
+        case 'USER_NOT_FOUND':
+          return res.status(404).json({ message: 'User not found.' });
+        default:
+          return res.status(500).json({ message: 'Could not create reservation.' });
+      }
+    }
+
+    res.status(201).json({
+      message: result.reservation.depositAmount > 0
+        ? `Table reserved. A deposit of ${result.reservation.depositAmount} tokens was taken and is returned when you check in.`
+        : 'Table reserved.',
+      reservation: result.reservation,
+      checkInGraceMinutes: result.policy.gracePeriodMinutes,
+    });
+  } catch (error) {
+    console.error('[RESERVATION_ROUTES] Error creating reservation:', error);
+    res.status(500).json({ message: 'Server error creating reservation.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/reservations
+ * @description List reservations for a venue or table, soonest first. Players see when tables are booked;
+ * who booked them is only shown to admins and to the holder.
+ * @access Private
+ * @query {string} [venueId] - Venue to list (venueId or tableId is required).
+ * @query {string} [tableId] - Table to list.
+ * @query {string} [from] - ISO date; only slots ending after it (defaults to now).
+ * @query {string} [to] - ISO date; only slots starting before it.
+ * @query {string} [status] - A reservation status or 'all'. Defaults to upcoming ('booked' and 'checked_in').
+ */
+router.get('/', async (req, res) => {
+  const { venueId, tableId, status } = req.query;
+  if (!venueId && !tableId) {
+    return res.status(400).json({ message: 'venueId or tableId is required.' });
+  }
+  if ((venueId && !mongoose.Types.ObjectId.isValid(venueId)) || (tableId && !mongoose.Types.ObjectId.isValid(tableId))) {
+    return res.status(400).json({ message: 'Invalid venueId or tableId.' });
+  }
+  if (status && status !== 'all' && !RESERVATION_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Invalid status. Use 'all' or one of: ${RESERVATION_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const from = parseDate(req.query.from) || new Date();
+    const to = parseDate(req.query.to);
+    let reservations = await listReservations({ venueId, tableId, status: status || 'all', from, to });
+    if (!status) {
+      reservations = reservations.filter(r => r.status === 'booked' || r.status === 'checked_in');
+    }
+
+    if (!req.user.isAdmin) {
+      reservations = reservations.map(r => (r.userId === req.user.uid || r.partnerId === req.user.uid)
+        ? r
+        : { ...r, userId: null, partnerId: null, depositTransactionId: null, cancelledBy: null });
+    }
+    res.json(reservations);
+  } catch (error) {
+    console.error('[RESERVATION_ROUTES] Error listing reservations:', error);
+    res.status(500).json({ message: 'Server error listing reservations.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/reservations/mine
+ * @description The authenticated user's reservations, soonest first.
+ * @access Private
+ * @query {string} [status] - A reservation status or 'all'. Defaults to upcoming ('booked' and 'checked_in').
+ */
+router.get('/mine', async (req, res) => {
+  const { status } = req.query;
+  if (status && status !== 'all' && !RESERVATION_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Invalid status. Use 'all' or one of: ${RESERVATION_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    let reservations = await listReservations({ userId: req.user.uid, status: status || 'all', from: status ? null : new Date() });
+    if (!status) {
+      reservations = reservations.filter(r => r.status === 'booked' || r.status === 'checked_in');
+    }
+    res.json(reservations);
+  } catch (error) {
+    console.error('[RESERVATION_ROUTES] Error listing user reservations:', error);
+    res.status(500).json({ message: 'Server error listing your reservations.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/reservations/:reservationId/cancel
+ * @description Cancel a booked reservation. The holder gets the deposit back when cancelling at least
+ * reservationPolicy.freeCancellationMinutes before the slot; cancellations by an admin are always refunded.
+ * @access Private (holder or Admin)
+ */
+router.post('/:reservationId/cancel', async (req, res) => {
+  const { reservationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+    return res.status(400).json({ message: 'Invalid reservation ID.' });
+  }
+
+  try {
+    const result = await cancelReservation(reservationId, req.user.uid, req.user.isAdmin);
+    if (result.error === 'NOT_FOUND') {
+      return res.status(404).json({ message: 'Reservation not found.' });
+    }
+    if (result.error === 'FORBIDDEN') {
+      return res.status(403).json({ message: 'You can only cancel your own reservations.' });
+    }
+    if (result.error === 'NOT_CANCELLABLE') {
+      return res.status(409).json({ message: 'Only booked reservations that have not been checked in can be cancelled.' });
+    }
+
+    res.status(200).json({
+      message: result.refunded > 0
+        ? `Reservation cancelled. ${result.refunded} tokens were refunded.`
+        : 'Reservation cancelled.',
+      reservation: result.reservation,
+      refunded: result.refunded,
+    });
+  } catch (error) {
+    console.error('[RESERVATION_ROUTES] Error cancelling reservation:', error);
+    res.status(500).json({ message: 'Server error cancelling reservation.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/reservations/:reservationId/check-in
+ * @description Check in for a reservation, from 10 minutes before the slot until the grace period ends.
+ * Returns the deposit and seats the holder (and partner) on free seats, or puts them at the front of the queue.
+ * @access Private (holder)
+ */
+router.post('/:reservationId/check-in', async (req, res) => {
+  const { reservationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+    return res.status(400).json({ message: 'Invalid reservation ID.' });
+  }
+
+  try {
+    const result = await checkInReservation(reservationId, req.user.uid);
+    if (!result.success) {
+      switch (result.error) {
+        case 'NOT_FOUND':
+          return res.status(404).json({ message: 'Reservation not found.' });
+        case 'FORBIDDEN':
+          return res.status(403).json({ message: 'Only the reservation holder can check in.' });
+        case 'NOT_BOOKED':
+          return res.status(409).json({ message: 'This reservation is not waiting for check-in.' });
+        case 'TOO_EARLY':
+          return res.status(400).json({ message: 'Check-in opens 10 minutes before your reservation starts.' });
+        case 'EXPIRED':
+          return res.status(400).json({ message: 'The check-in period for this reservation has ended.' });
+        case 'OUT_OF_SERVICE':
+          return res.status(400).json({ message: 'The reserved table is currently out of service.' });
+        case 'INSUFFICIENT_BALANCE':
+          return res.status(402).json({ message: 'Insufficient token balance to pay for your seat.' });
+        case 'USER_NOT_FOUND':
+          return res.status(404).json({ message: 'User not found.' });
+        case 'TABLE_BUSY':
+          return res.status(409).json({ message: 'The table is being updated by another request. Please try again.', code: 'TABLE_BUSY', retryable: true });
+        default:
+          return res.status(500).json({ message: 'Could not check in.' });
+      }
+    }
+
+    res.status(200).json({
+      message: result.seated.includes(req.user.uid)
+        ? 'Checked in. Your table is ready.'
+        : 'Checked in. You are first in line for the table.',
+      seated: result.seated,
+      queued: result.queued,
+      refunded: result.refunded,
+    });
+  } catch (error) {
+    console.error('[RESERVATION_ROUTES] Error checking in reservation:', error);
+    res.status(500).json({ message: 'Server error checking in reservation.', error: error.message });
+  }
+});
+
+module.exports = router;
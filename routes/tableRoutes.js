@@ -4,24 +4,74 @@ const Table = require('../models/Table');
 const User = require('../models/User');
 const Venue = require('../models/Venue');
 const authMiddleware = require('../middleware/authMiddleware');
-const { getSocketIO } = require('../services/socketService');
+const { getSocketIO, emitToVenue, emitTableUpdate, canViewVenue } = require('../services/socketService');
 const { getPopulatedTableWithPerGameCost } = require('../services/tableHelpers');
 const { populateTablePlayersDetails, populateQueueWithUserDetails } = require('../services/gameService');
+const { refundSessionPayments } = require('../services/tokenService');
+const { openDispute } = require('../services/disputeService');
+const { startGameSession, disputeGameSession, cancelGameSession } = require('../services/sessionService');
+const { scheduleWinConfirmationDeadline, cancelWinConfirmationJobs, confirmWin, settleConfirmedGame } = require('../services/winConfirmationService');
+const { checkInPlayer, getReservationHold } = require('../services/queueService');
+const { issueDeviceSecret } = require('../services/deviceService');
+const { DEVICE_COMMANDS, sendDeviceCommand, getCommandLog } = require('../services/deviceCommandService');
+const { isInVenueQueue, leaveVenueQueue, assignWaitingPlayers } = require('../services/venueQueueService');
+const { isOutOfService, describeOutOfService, takeTableOutOfService, reopenTable } = require('../services/tableMaintenanceService');
+const { isVenueOpen, describeVenueClosed } = require('../services/venueHoursService');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { getPaymentPolicy, hasPaidSeat, chargeForSeat, refundSeatPayment, chargeForSession } = require('../services/gamePaymentService');
+const { runTableTransition, recordTableEvent } = require('../services/tableStateMachineService');
+const { TABLE_EVENT_TYPES, listTableEvents } = require('../services/tableEventService');
 
 
 // Apply authMiddleware to all routes in this router
 router.use(authMiddleware);
 
+/**
+ * Who a table transition is recorded against: staff for routes guarded by requirePermission, else the player.
+ */
+const actorFromRequest = (req) => ({ userId: req.user.uid, role: req.access ? 'staff' : 'player' });
+
+/**
+ * Responds to a table transition that could not start (see tableStateMachineService). Illegal
+ * transitions and busy tables are 409s: the client should refresh the table, or retry.
+ * @param {Object} res - Express response.
+ * @param {Object} failure - Failed result of runTableTransition.
+ * @param {string} [illegalMessage] - Message for ILLEGAL_TRANSITION instead of the generic one.
+ */
+const sendTransitionFailure = (res, { error, status, action }, illegalMessage) => {
+  switch (error) {
+    case 'INVALID_TABLE_ID':
+      return res.status(400).json({ message: 'Invalid table ID.' });
+    case 'TABLE_NOT_FOUND':
+      return res.status(404).json({ message: 'Table not found.' });
+    case 'ILLEGAL_TRANSITION':
+      return res.status(409).json({
+        message: illegalMessage || `You can't ${action} while the table is ${status.replace(/_/g, ' ')}.`,
+        code: 'ILLEGAL_TRANSITION',
+        tableStatus: status,
+        retryable: false,
+      });
+    default:
+      return res.status(409).json({
+        message: 'The table is being updated by another request. Please try again.',
+        code: 'TABLE_BUSY',
+        tableStatus: status,
+        retryable: true,
+      });
+  }
+};
+
 
 /**
  * @route GET /api/tables/:tableId
- * @description Get a specific table by ID.
+ * @description Get a specific table by ID. Tables of venues hidden from players (visibility 'staff_only')
+ * are only found by admins and the venue's staff.
  * @access Private
  */
 router.get('/:tableId', async (req, res) => {
   try {
     const table = await getPopulatedTableWithPerGameCost(req.params.tableId);
-    if (!table) {
+    if (!table || (table.venueId && !canViewVenue(req.user, table.venueId))) {
       return res.status(404).json({ message: 'Table not found.' });
     }
     res.json(table);
@@ -33,22 +83,27 @@ router.get('/:tableId', async (req, res) => {
 
 /**
  * @route PUT /api/tables/:id
- * @description Update a table by ID (Admin only)
- * @access Admin
+ * @description Update a table by ID.
+ * @access Admin or a manager/owner of the table's venue
+ * @body {string|number} [tableNumber]
+ * @body {string} [esp32DeviceId]
+ * @body {string|null} [tableType] - e.g. '9ft'; players in the venue queue can ask for specific types.
  */
-router.put('/:id', async (req, res) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can update tables.' });
-  }
-
+router.put('/:id', requirePermission('table:update', { scope: 'table' }), async (req, res) => {
   const { id } = req.params;
-  const { tableNumber, esp32DeviceId } = req.body;
+  const { tableNumber, esp32DeviceId, tableType } = req.body;
   const io = getSocketIO();
 
   try {
     const updateFields = {};
     if (tableNumber !== undefined) updateFields.tableNumber = tableNumber;
-    if (esp32DeviceId !== undefined) updateFields.esp32DeviceId = esp32DeviceId;
+    if (tableType !== undefined) updateFields.tableType = tableType || null;
+    if (esp32DeviceId !== undefined) {
+      updateFields.esp32DeviceId = esp32DeviceId;
+      // A different device needs its own secret: POST /:tableId/device-secret
+      updateFields['device.secret'] = null;
+      updateFields['device.online'] = false;
+    }
 
     const updatedTableDoc = await Table.findByIdAndUpdate(id, updateFields, { new: true, runValidators: true });
 
@@ -60,7 +115,7 @@ router.put('/:id', async (req, res) => {
     if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
       const venueRoomId = updatedTableForSocket.venueId._id.toString();
       console.log(`[TABLE_ROUTE_PUT] Attempting to emit tableStatusUpdate for table ${id} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
+      emitToVenue(venueRoomId, 'tableStatusUpdate', updatedTableForSocket);
       console.log(`[TABLE_ROUTE_PUT] Emitted tableStatusUpdate for table ${id} to room: ${venueRoomId}.`);
     } else {
       console.warn(`[TABLE_ROUTE_PUT] Not emitting tableStatusUpdate for ${id} because updatedTableForSocket or its venueId/_id is null/undefined.`);
@@ -73,9 +128,144 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/tables/:tableId/device-secret
+ * @description Issue (or rotate) the secret the table's ESP32 device uses to sign its API requests.
+ * The secret is only returned in this response. Any previously issued secret stops working.
+ * @access Admin or a manager/owner of the table's venue
+ */
+router.post('/:tableId/device-secret', requirePermission('table:manageDevice', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
+
+  try {
+    const table = await Table.findById(tableId);
+    if (!table) {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+    if (!table.esp32DeviceId) {
+      return res.status(400).json({ message: 'Set an esp32DeviceId on this table before issuing a device secret.' });
+    }
+
+    const deviceSecret = await issueDeviceSecret(tableId);
+    console.log(`[TABLE_ROUTE_DEVICE_SECRET] Admin ${req.user.uid} issued a new device secret for table ${tableId}.`);
+    await emitTableUpdate(tableId);
+
+    res.status(200).json({
+      message: `New device secret issued for Table ${table.tableNumber}. Store it on the device now; it will not be shown again.`,
+      esp32DeviceId: table.esp32DeviceId,
+      deviceSecret,
+    });
+  } catch (error) {
+    console.error('Error issuing device secret:', error);
+    res.status(500).json({ message: 'Server error issuing device secret.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/tables/:tableId/device-commands
+ * @description Send a command to the table's ESP32 (e.g. unlock the ball return by hand).
+ * Delivery and the device's acknowledgement are tracked in the command log.
+ * @access Admin or a manager/owner of the table's venue
+ * @body {string} command - 'unlock', 'lock' or 'reset'.
+ */
+router.post('/:tableId/device-commands', requirePermission('table:manageDevice', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
+  const { command } = req.body;
+
+  if (!DEVICE_COMMANDS.includes(command)) {
+    return res.status(400).json({ message: `Invalid command. Expected one of: ${DEVICE_COMMANDS.join(', ')}.` });
+  }
+
+  try {
+    const table = await Table.findById(tableId);
+    if (!table) {
+      return res.status(404).json({ message: 'Table not found.' });
+    }
+    if (!table.esp32DeviceId) {
+      return res.status(400).json({ message: 'This table has no device.' });
+    }
+
+    const deviceCommand = await sendDeviceCommand(table, command, {
+      reason: 'manual',
+      sessionId: table.currentSessionId,
+      requestedBy: req.user.uid,
+    });
+    console.log(`[TABLE_ROUTE_DEVICE_COMMAND] Admin ${req.user.uid} sent '${command}' to table ${tableId}.`);
+
+    res.status(202).json({ message: `Command '${command}' sent to Table ${table.tableNumber}.`, command: deviceCommand });
+  } catch (error) {
+    console.error('Error sending device command:', error);
+    res.status(500).json({ message: 'Server error sending device command.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/tables/:tableId/device-commands
+ * @description Command log for the table's device (newest first), including delivery attempts and acks.
+ * @access Admin or staff of the table's venue
+ * @query {string} [sessionId] - Only commands for this game, e.g. to check that a paid game unlocked the table.
+ * @query {number} [limit=50] - Max 200.
+ */
+router.get('/:tableId/device-commands', requirePermission('table:viewDeviceCommands', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
+  const { sessionId } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const commands = await getCommandLog(tableId, { sessionId, limit });
+    res.status(200).json(commands);
+  } catch (error) {
+    console.error('Error fetching device command log:', error);
+    res.status(500).json({ message: 'Server error fetching device command log.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/tables/:tableId/timeline
+ * @description Everything that happened at the table, newest first: joins, queue changes, check-ins,
+ * win claims, confirmations, disputes, staff removals, payments and maintenance. Each event has its
+ * type, actor (userId, role, displayName), createdAt, fromStatus/toStatus and the table before and after.
+ * Returns { events, nextCursor }; pass nextCursor back as cursor for the next page (null on the last page).
+ * @access Admin or staff of the table's venue
+ * @query {string} [type] - Only these event types, comma-separated, e.g. 'claimWin,confirmWin,disputeWin'.
+ * @query {string} [actorId] - Only events caused by this user.
+ * @query {string} [role] - Only events by 'player', 'staff', 'system' or 'device'.
+ * @query {string} [from] - ISO date; only events at or after it.
+ * @query {string} [to] - ISO date; only events at or before it.
+ * @query {string} [cursor] - nextCursor from the previous page.
+ * @query {number} [limit=50] - Max 200.
+ */
+router.get('/:tableId/timeline', requirePermission('table:viewTimeline', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
+  const { type, actorId, role, from, to, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const result = await listTableEvents({ tableId }, { types: type, actorId, role, from, to, cursor, limit });
+    if (!result.success) {
+      const errors = {
+        INVALID_TABLE: 'Invalid table ID.',
+        INVALID_TYPE: `Invalid type. Expected one or more of: ${TABLE_EVENT_TYPES.join(', ')}.`,
+        INVALID_ROLE: "Invalid role. Use 'player', 'staff', 'system' or 'device'.",
+        INVALID_DATE: 'Invalid from/to date. Use ISO 8601 dates.',
+        INVALID_CURSOR: 'Invalid cursor. Use the nextCursor of the previous page.',
+      };
+      return res.status(400).json({ message: errors[result.error] });
+    }
+    res.status(200).json({ events: result.events, nextCursor: result.nextCursor });
+  } catch (error) {
+    console.error('Error fetching table timeline:', error);
+    res.status(500).json({ message: 'Server error fetching table timeline.', error: error.message });
+  }
+});
+
 /**
  * @route POST /api/tables/:tableId/join-table
- * @description User joins an available table.
+ * @description User joins an available table. Taking the seat charges the venue's perGameCost
+ * (unless the venue's paymentPolicy does not require payment). Rejected while the venue is closed.
+ * Concurrent joins are handled one at a time; 409 if the table can no longer be joined directly
+ * (code 'ILLEGAL_TRANSITION') or stayed busy with another request (code 'TABLE_BUSY', retry).
+ * 404 for tables of venues hidden from the player.
  * @access Private
  */
 router.post('/:tableId/join-table', async (req, res) => {
@@ -85,50 +275,90 @@ router.post('/:tableId/join-table', async (req, res) => {
   const io = getSocketIO();
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
+    const snapshot = await Table.findById(tableId).populate('venueId'); // venueId needed for perGameCost/payment policy
+    if (!snapshot || (snapshot.venueId && !canViewVenue(req.user, snapshot.venueId))) {
       return res.status(404).json({ message: 'Table not found.' });
     }
 
-    if (table.currentPlayers.player1Id === userId || table.currentPlayers.player2Id === userId || table.queue.includes(userId)) {
-      return res.status(400).json({ message: 'You are already involved with this table.' });
+    if (isOutOfService(snapshot)) {
+      return res.status(400).json({ message: describeOutOfService(snapshot) });
+    }
+
+    if (!isVenueOpen(snapshot.venueId)) {
+      return res.status(400).json({ message: describeVenueClosed(snapshot.venueId) });
     }
 
-    let message = '';
-    let playerSlot = '';
+    const hold = await getReservationHold(snapshot);
+    if (hold) {
+      const message = hold.userId === userId
+        ? 'This table is reserved for you. Check in through your reservation to take your seat.'
+        : `Table ${snapshot.tableNumber} is reserved until ${hold.endTime.toISOString()}. Please join the queue.`;
+      return res.status(400).json({ message });
+    }
 
-    if (table.status === 'available') {
-      if (!table.currentPlayers.player1Id) {
-        table.currentPlayers.player1Id = userId;
-        message = `You have joined Table ${table.tableNumber} as Player 1.`;
-        playerSlot = 'player1';
-      } else if (!table.currentPlayers.player2Id) {
+    // Seat, charge and game start happen on a fresh copy of the table while no other transition can touch it
+    const transition = await runTableTransition(tableId, 'joinTable', async (table, event) => {
+      if (table.currentPlayers.player1Id === userId || table.currentPlayers.player2Id === userId || table.queue.includes(userId)) {
+        return { error: 'ALREADY_INVOLVED' };
+      }
+
+      let message = '';
+      let playerSlot = '';
+      if (table.status === 'available') {
+        if (!table.currentPlayers.player1Id) {
+          table.currentPlayers.player1Id = userId;
+          message = `You have joined Table ${table.tableNumber} as Player 1.`;
+          playerSlot = 'player1';
+        } else if (!table.currentPlayers.player2Id) {
+          table.currentPlayers.player2Id = userId;
+          table.status = 'in_play';
+          message = `You have joined Table ${table.tableNumber} as Player 2. Game started!`;
+          playerSlot = 'player2';
+        } else {
+          return { error: 'TABLE_FULL' };
+        }
+      } else if (!table.currentPlayers.player2Id) { // 'in_play' waiting for an opponent
         table.currentPlayers.player2Id = userId;
-        table.status = 'in_play';
         message = `You have joined Table ${table.tableNumber} as Player 2. Game started!`;
         playerSlot = 'player2';
       } else {
-        return res.status(400).json({ message: 'Table is currently occupied by two players. Please join the queue.' });
+        return { error: 'TABLE_FULL' };
       }
-    } else if (table.status === 'in_play' && !table.currentPlayers.player2Id) {
-      table.currentPlayers.player2Id = userId;
-      message = `You have joined Table ${table.tableNumber} as Player 2. Game started!`;
-      playerSlot = 'player2';
-    } else {
-      return res.status(400).json({ message: 'Table is not available for direct joining. Please join the queue.' });
+
+      // No seat without a successful charge (the table changes above are discarded if it fails)
+      const charge = await chargeForSeat(table, userId);
+      if (!charge.success) {
+        return { error: 'INSUFFICIENT_BALANCE', perGameCost: getPaymentPolicy(table.venueId).perGameCost };
+      }
+
+      if (playerSlot === 'player2') {
+        await startGameSession(table, 'direct_join'); // Both players seated: record the game
+      }
+
+      event.details = { playerSlot, charged: charge.charged ? getPaymentPolicy(table.venueId).perGameCost : 0 };
+      return { table, message, playerSlot };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'Table is not available for direct joining. Please join the queue.');
+    }
+    const { error, perGameCost, table, message, playerSlot } = transition.result;
+    if (error === 'ALREADY_INVOLVED') {
+      return res.status(400).json({ message: 'You are already involved with this table.' });
+    }
+    if (error === 'TABLE_FULL') {
+      return res.status(400).json({ message: 'Table is currently occupied by two players. Please join the queue.' });
+    }
+    if (error === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: `Insufficient token balance. A game on this table costs ${perGameCost} tokens.` });
     }
 
-    await table.save();
+    await leaveVenueQueue(table.venueId._id, userId); // Found a table directly: no longer waiting at this venue
+    if (playerSlot === 'player1') {
+      await assignWaitingPlayers(table.venueId._id); // Someone in the venue queue may take the open seat
+    }
 
     const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_JOIN] Attempting to emit tableStatusUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_JOIN] Emitted tableStatusUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_JOIN] Not emitting tableStatusUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
-    }
     io.to(userId).emit('tableJoined', { tableId: table._id, tableNumber: table.tableNumber, message, playerSlot });
 
     res.status(200).json({ message, table: updatedTableForSocket, playerSlot });
@@ -140,7 +370,11 @@ router.post('/:tableId/join-table', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/join-queue
- * @description User joins the queue for a table.
+ * @description User joins the queue for a table. The response includes the player's queue position and
+ * estimated wait (from recent game durations on this table/venue). Rejected while the venue is closed.
+ * Queue entries are added one at a time, so simultaneous joins never overwrite each other; 409 with
+ * code 'TABLE_BUSY' if the table stayed busy with another request (retry). 404 for tables of venues
+ * hidden from the player.
  * @access Private
  */
 router.post('/:tableId/join-queue', async (req, res) => {
@@ -149,30 +383,49 @@ router.post('/:tableId/join-queue', async (req, res) => {
   const io = getSocketIO();
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
+    const snapshot = await Table.findById(tableId).populate('venueId', 'name timezone operatingHours visibility ownerId staff');
+    if (!snapshot || (snapshot.venueId && !canViewVenue(req.user, snapshot.venueId))) {
       return res.status(404).json({ message: 'Table not found.' });
     }
 
-    if (table.queue.includes(userId) || table.currentPlayers.player1Id === userId || table.currentPlayers.player2Id === userId) {
-      return res.status(400).json({ message: 'You are already in the queue or playing at this table.' });
+    if (isOutOfService(snapshot)) {
+      return res.status(400).json({ message: describeOutOfService(snapshot) });
     }
 
-    table.queue.push(userId);
-    table.status = 'queued';
-    await table.save();
+    if (!isVenueOpen(snapshot.venueId)) {
+      return res.status(400).json({ message: describeVenueClosed(snapshot.venueId) });
+    }
 
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_JOIN_QUEUE] Attempting to emit queueUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('queueUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_JOIN_QUEUE] Emitted queueUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_JOIN_QUEUE] Not emitting queueUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    if (await isInVenueQueue(snapshot.venueId._id, userId)) {
+      return res.status(400).json({ message: 'You are already in the venue-wide queue. Leave it first to queue for a specific table.' });
+    }
+
+    const transition = await runTableTransition(tableId, 'joinQueue', async (table) => {
+      if (table.queue.includes(userId) || table.currentPlayers.player1Id === userId || table.currentPlayers.player2Id === userId) {
+        return { error: 'ALREADY_INVOLVED' };
+      }
+      table.queue.push(userId);
+      if (table.status === 'available') {
+        table.status = 'queued'; // A game in progress stays in play
+      }
+      return { table };
+    }, { actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition);
+    }
+    if (transition.result.error === 'ALREADY_INVOLVED') {
+      return res.status(400).json({ message: 'You are already in the queue or playing at this table.' });
     }
+    const { table } = transition.result;
+    const { updatedTable: updatedTableForSocket } = transition;
+
+    const queuePosition = table.queue.indexOf(userId) + 1;
+    const estimatedWaitMinutes = updatedTableForSocket && updatedTableForSocket.estimatedWait
+      ? updatedTableForSocket.estimatedWait.queue[queuePosition - 1]
+      : null;
 
-    res.status(200).json({ message: 'Successfully joined the queue.', table: updatedTableForSocket });
+    res.status(200).json({ message: 'Successfully joined the queue.', table: updatedTableForSocket, queuePosition, estimatedWaitMinutes });
   } catch (error) {
     console.error('Error joining queue:', error);
     res.status(500).json({ message: 'Server error joining queue.', error: error.message });
@@ -181,43 +434,42 @@ router.post('/:tableId/join-queue', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/leave-queue
- * @description User leaves the queue for a table.
+ * @description User leaves the queue for a table (or the venue queue, if that is where they wait).
  * @access Private
  */
 router.post('/:tableId/leave-queue', async (req, res) => {
   const { tableId } = req.params;
   const userId = req.user.uid;
-  const io = getSocketIO();
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
+    const snapshot = await Table.findById(tableId).select('venueId queue');
+    if (!snapshot) {
       return res.status(404).json({ message: 'Table not found.' });
     }
 
-    const initialQueueLength = table.queue.length;
-    table.queue = table.queue.filter(id => id.toString() !== userId.toString());
-
-    if (table.queue.length === initialQueueLength) {
+    if (!snapshot.queue.includes(userId)) {
+      // The app may show venue-queue players against the table they are waiting for
+      if (await leaveVenueQueue(snapshot.venueId, userId)) {
+        return res.status(200).json({ message: 'Successfully left the venue queue.' });
+      }
       return res.status(400).json({ message: 'You are not in the queue for this table.' });
     }
 
-    if (table.queue.length === 0 && !table.currentPlayers.player1Id && !table.currentPlayers.player2Id) {
-      table.status = 'available';
-    }
-    await table.save();
+    const transition = await runTableTransition(tableId, 'leaveQueue', async (table) => {
+      if (!table.queue.includes(userId)) {
+        return { error: 'NOT_IN_QUEUE' };
+      }
+      table.queue = table.queue.filter(id => id !== userId);
+    }, { actor: actorFromRequest(req) });
 
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_LEAVE_QUEUE] Attempting to emit queueUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('queueUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_LEAVE_QUEUE] Emitted queueUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_LEAVE_QUEUE] Not emitting queueUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition);
+    }
+    if (transition.result && transition.result.error === 'NOT_IN_QUEUE') {
+      return res.status(400).json({ message: 'You are not in the queue for this table.' });
     }
 
-    res.status(200).json({ message: 'Successfully left the queue.', table: updatedTableForSocket });
+    res.status(200).json({ message: 'Successfully left the queue.', table: transition.updatedTable });
   } catch (error) {
     console.error('Error leaving queue:', error);
     res.status(500).json({ message: 'Server error leaving queue.', error: error.message });
@@ -225,40 +477,67 @@ router.post('/:tableId/leave-queue', async (req, res) => {
 });
 
 /**
- * @route POST /api/tables/:tableId/clear-queue
- * @description Admin clears the queue for a table.
- * @access Admin
+ * @route POST /api/tables/:tableId/check-in
+ * @description Player promoted from the queue confirms they are at the table. Must happen before the
+ * check-in deadline (venue queuePolicy), otherwise the player is skipped and the next queued player promoted.
+ * @access Private
  */
-router.post('/:tableId/clear-queue', async (req, res) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can clear queues.' });
-  }
-
+router.post('/:tableId/check-in', async (req, res) => {
   const { tableId } = req.params;
-  const io = getSocketIO();
+  const userId = req.user.uid;
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
-      return res.status(404).json({ message: 'Table not found.' });
-    }
+    const transition = await runTableTransition(tableId, 'checkIn', async (table) => {
+      const checkIn = await checkInPlayer(table, userId);
+      if (!checkIn.success) {
+        return { error: checkIn.error, perGameCost: getPaymentPolicy(table.venueId).perGameCost };
+      }
+      return { table };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
 
-    table.queue = [];
-    if (!table.currentPlayers.player1Id && !table.currentPlayers.player2Id) {
-      table.status = 'available';
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'You have no pending check-in at this table.');
+    }
+    const { error, perGameCost, table } = transition.result;
+    if (error === 'NO_PENDING_CHECK_IN') {
+      return res.status(400).json({ message: 'You have no pending check-in at this table.' });
+    }
+    if (error) {
+      return res.status(400).json({ message: `Insufficient token balance. A game on this table costs ${perGameCost} tokens. Top up and check in again before your deadline.` });
     }
-    await table.save();
 
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_CLEAR_QUEUE] Attempting to emit queueUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('queueUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_CLEAR_QUEUE] Emitted queueUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_CLEAR_QUEUE] Not emitting queueUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    res.status(200).json({
+      message: table.status === 'in_play'
+        ? `Checked in on Table ${table.tableNumber}. Game started!`
+        : `Checked in on Table ${table.tableNumber}. Waiting for your opponent.`,
+      table: transition.updatedTable,
+    });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({ message: 'Server error checking in.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/tables/:tableId/clear-queue
+ * @description Admin or venue staff clears the queue for a table.
+ * @access Admin or staff of the table's venue
+ */
+router.post('/:tableId/clear-queue', requirePermission('table:clearQueue', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
+
+  try {
+    const transition = await runTableTransition(tableId, 'clearQueue', async (table, event) => {
+      event.details = { removed: [...table.queue] };
+      table.queue = [];
+    }, { actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition);
     }
 
+    // Nothing is broadcast when the queue was already empty
+    const updatedTableForSocket = transition.updatedTable || await getPopulatedTableWithPerGameCost(tableId);
     res.status(200).json({ message: 'Queue cleared successfully.', table: updatedTableForSocket });
   }
   catch (error) {
@@ -268,101 +547,134 @@ router.post('/:tableId/clear-queue', async (req, res) => {
 });
 
 /**
- * @route POST /api/tables/:tableId/claim-win
- * @description Player claims a win, notifies opponent.
- * @access Private
+ * @route POST /api/tables/:tableId/maintenance
+ * @description Take a table out of service. A game in progress is voided and refunded, seated players
+ * are removed (seat payments refunded) and the queue is moved to the venue's other tables.
+ * Reservations before expectedReturnAt (all upcoming ones without it) are cancelled and refunded.
+ * @access Admin or a manager/owner of the table's venue
+ * @body {string} [status='maintenance'] - 'maintenance' or 'out_of_order'.
+ * @body {string} [reason] - Shown to players, e.g. 'Re-felting'.
+ * @body {string} [expectedReturnAt] - ISO date the table should be back.
  */
-router.post('/:tableId/claim-win', async (req, res) => {
+router.post('/:tableId/maintenance', requirePermission('table:maintenance', { scope: 'table' }), async (req, res) => {
   const { tableId } = req.params;
-  const winnerId = req.user.uid;
-  const winnerDisplayName = req.user.displayName || req.user.email;
-  const io = getSocketIO();
+  const { status = 'maintenance', reason, expectedReturnAt } = req.body;
 
-  try {
-    const table = await Table.findById(tableId).populate('venueId'); // Ensure venueId is populated for FCM
-    if (!table) {
-      return res.status(404).json({ message: 'Table not found.' });
+  if (status !== 'maintenance' && status !== 'out_of_order') {
+    return res.status(400).json({ message: "Invalid status. Expected 'maintenance' or 'out_of_order'." });
+  }
+  let expectedReturnDate = null;
+  if (expectedReturnAt !== undefined && expectedReturnAt !== null) {
+    expectedReturnDate = new Date(expectedReturnAt);
+    if (isNaN(expectedReturnDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid expectedReturnAt. Use an ISO date.' });
     }
+  }
 
-    if (table.status !== 'in_play' && table.status !== 'awaiting_confirmation') {
-      return res.status(400).json({ message: 'Game is not in play or awaiting confirmation.' });
-    }
+  try {
+    const outcome = await takeTableOutOfService(tableId, status, {
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      expectedReturnAt: expectedReturnDate,
+      startedBy: req.user.uid,
+    });
+    if (!outcome.success) {
+      return sendTransitionFailure(res, outcome);
+    }
+    const { table, refunds, evicted, moves, cancelledReservations } = outcome;
+    console.log(`[TABLE_ROUTE_MAINTENANCE] Table ${tableId} set to '${status}' by admin ${req.user.uid}.`);
+
+    res.status(200).json({
+      message: `Table ${table.tableNumber} is now ${status === 'out_of_order' ? 'out of order' : 'under maintenance'}.`,
+      table: await getPopulatedTableWithPerGameCost(table._id),
+      evicted,
+      refunds,
+      movedQueue: moves,
+      cancelledReservations,
+    });
+  } catch (error) {
+    console.error('Error taking table out of service:', error);
+    res.status(500).json({ message: 'Server error taking table out of service.', error: error.message });
+  }
+});
 
-    const opponentId = (table.currentPlayers.player1Id?.toString() === winnerId.toString())
-      ? table.currentPlayers.player2Id
-      : table.currentPlayers.player1Id;
+/**
+ * @route POST /api/tables/:tableId/reopen
+ * @description Put a table that is under maintenance or out of order back into service ('available').
+ * 409 (code 'ILLEGAL_TRANSITION') if the table is in service.
+ * @access Admin or a manager/owner of the table's venue
+ */
+router.post('/:tableId/reopen', requirePermission('table:maintenance', { scope: 'table' }), async (req, res) => {
+  const { tableId } = req.params;
 
-    if (!opponentId) {
-      return res.status(400).json({ message: 'No opponent found to confirm the win.' });
+  try {
+    const transition = await reopenTable(tableId, req.user.uid);
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'Table is not under maintenance or out of order.');
     }
+    const { table } = transition.result;
+    console.log(`[TABLE_ROUTE_REOPEN] Table ${tableId} reopened by admin ${req.user.uid}.`);
 
-    table.status = 'awaiting_confirmation';
-    await table.save();
-
-    // FCM Notification to Opponent
-    const opponentUser = await User.findById(opponentId);
-    // Defensive check for admin instance
-    const admin = req.app.get('admin'); // Get the admin instance
-    if (opponentUser && opponentUser.fcmTokens && opponentUser.fcmTokens.length > 0) { // Check fcmTokens array
-      if (admin) { // Check if admin instance is available
-        const venueNameForNotification = table.venueId ? table.venueId.name : 'Unknown Venue';
-        const message = {
-          notification: {
-            title: 'Win Claimed!',
-            body: `${winnerDisplayName} claims victory on Table ${table.tableNumber} at ${venueNameForNotification}. Confirm or dispute?`,
-          },
-          data: {
-            type: 'win_confirmation',
-            tableId: tableId.toString(),
-            tableNumber: table.tableNumber.toString(),
-            winnerId: winnerId.toString(),
-            winnerDisplayName: winnerDisplayName,
-            sessionId: table.currentSessionId ? table.currentSessionId.toString() : '',
-          },
-          tokens: opponentUser.fcmTokens, // Use tokens (plural) for multiple recipients
-        };
-        // Use sendEachForMulticast for multiple tokens
-        admin.messaging().sendEachForMulticast(message)
-          .then((response) => {
-            console.log(`FCM: Win claim notification sent to opponent ${opponentUser.email}. Success: ${response.successCount}, Failure: ${response.failureCount}`);
-            if (response.failureCount > 0) {
-              response.responses.forEach((resp, idx) => {
-                if (!resp.success) {
-                  console.error(`FCM: Failed to send to token ${opponentUser.fcmTokens[idx]}: ${resp.error}`);
-                }
-              });
-            }
-          })
-          .catch(error => console.error(`FCM: Error sending win claim notification to ${opponentUser.email}:`, error));
-      } else {
-        console.error('[TABLE_ROUTE_CLAIM_WIN] Firebase Admin SDK instance not found on app object. Cannot send FCM notification.');
-      }
-    } else {
-      console.log(`FCM: Opponent ${opponentId} has no FCM tokens registered or user not found. OpponentUser exists: ${!!opponentUser}, FCM Tokens exist and are array: ${Array.isArray(opponentUser?.fcmTokens) && opponentUser.fcmTokens.length > 0}`);
-    }
+    res.status(200).json({ message: `Table ${table.tableNumber} is available again.`, table: transition.updatedTable });
+  } catch (error) {
+    console.error('Error reopening table:', error);
+    res.status(500).json({ message: 'Server error reopening table.', error: error.message });
+  }
+});
 
-    // Socket.IO event to the OPPONENT (player who needs to confirm)
-    io.to(opponentId).emit('winClaimedNotification', {
-        tableId: table._id.toString(),
-        tableNumber: table.tableNumber,
-        winnerId: winnerId,
-        winnerDisplayName: winnerDisplayName,
-        message: `${winnerDisplayName} claims victory on Table ${table.tableNumber}. Do you confirm this win?`
-    });
-    console.log(`[TABLE_ROUTE_CLAIM_WIN] Emitted winClaimedNotification to opponent ${opponentId}.`);
+/**
+ * @route POST /api/tables/:tableId/claim-win
+ * @description Player claims a win, notifies opponent. 409 if the game is not in play or awaiting
+ * confirmation (code 'ILLEGAL_TRANSITION'), the opponent's claim is already pending ('CLAIM_PENDING') or
+ * the table stayed busy with another request ('TABLE_BUSY', retry). Claiming again while one's own
+ * claim is pending changes nothing and returns its deadline.
+ * @access Private
+ */
+router.post('/:tableId/claim-win', async (req, res) => {
+  const { tableId } = req.params;
+  const winnerId = req.user.uid;
 
+  try {
+    // The opponent is notified by the claimWin hook (winConfirmationService)
+    const transition = await runTableTransition(tableId, 'claimWin', async (table, event) => {
+      if (table.currentPlayers.player1Id !== winnerId && table.currentPlayers.player2Id !== winnerId) {
+        return { error: 'NOT_A_PLAYER' };
+      }
+      const opponentId = table.currentPlayers.player1Id === winnerId
+        ? table.currentPlayers.player2Id
+        : table.currentPlayers.player1Id;
+      if (!opponentId) {
+        return { error: 'NO_OPPONENT' };
+      }
+      // Only the first claim counts; the opponent answers it by confirming or disputing
+      if (table.pendingWinClaim?.claimedBy === winnerId) {
+        return { confirmationDeadline: table.pendingWinClaim.confirmationDeadline };
+      }
+      if (table.pendingWinClaim?.claimedBy) {
+        return { error: 'CLAIM_PENDING' };
+      }
 
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_CLAIM_WIN] Attempting to emit tableStatusUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_CLAIM_WIN] Emitted tableStatusUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_CLAIM_WIN] Not emitting tableStatusUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+      table.status = 'awaiting_confirmation';
+      // Auto-confirms or escalates per the venue's winConfirmation policy if the opponent never answers
+      const confirmationDeadline = await scheduleWinConfirmationDeadline(table, winnerId, opponentId);
+      event.details = { opponentId, confirmationDeadline };
+      return { confirmationDeadline };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'Game is not in play or awaiting confirmation.');
+    }
+    const { error, confirmationDeadline } = transition.result;
+    if (error === 'NOT_A_PLAYER') {
+      return res.status(403).json({ message: 'Access denied. Only a player at this table can claim a win.' });
+    }
+    if (error === 'NO_OPPONENT') {
+      return res.status(400).json({ message: 'No opponent found to confirm the win.' });
+    }
+    if (error === 'CLAIM_PENDING') {
+      return res.status(409).json({ message: 'Your opponent has already claimed this game. Confirm or dispute their claim.', code: 'CLAIM_PENDING', retryable: false });
     }
 
-    res.status(200).json({ message: 'Win claim sent for confirmation.' });
+    res.status(200).json({ message: 'Win claim sent for confirmation.', confirmationDeadline });
   } catch (error) {
     console.error('Error claiming win:', error);
     res.status(500).json({ message: 'Server error claiming win.', error: error.message });
@@ -371,102 +683,52 @@ router.post('/:tableId/claim-win', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/confirm-win
- * @description Opponent confirms a win, ends game, awards tokens, invites next player.
+ * @description Opponent confirms a win, ends game, awards tokens, invites next player. 409 if the table
+ * is not awaiting confirmation (code 'ILLEGAL_TRANSITION', e.g. already confirmed) or stayed busy with
+ * another request ('TABLE_BUSY', retry).
  * @access Private
  */
 router.post('/:tableId/confirm-win', async (req, res) => {
   const { tableId } = req.params;
   const { winnerId, sessionId } = req.body;
   const confirmerId = req.user.uid; // This is the loser confirming the win
-  const io = getSocketIO();
 
   try {
-    const table = await Table.findById(tableId).populate('venueId');
-    if (!table) {
-      return res.status(404).json({ message: 'Table not found.' });
-    }
-
-    if (table.status !== 'awaiting_confirmation') {
-      return res.status(400).json({ message: 'Table is not awaiting win confirmation.' });
-    }
+    const transition = await runTableTransition(tableId, 'confirmWin', async (table, event) => {
+      // Ensure the confirmer is indeed the opponent of the winner
+      const isConfirmerOpponent = (table.currentPlayers.player1Id === confirmerId && table.currentPlayers.player2Id === winnerId) ||
+                                  (table.currentPlayers.player2Id === confirmerId && table.currentPlayers.player1Id === winnerId);
+      if (!winnerId || !isConfirmerOpponent) {
+        return { error: 'NOT_OPPONENT' };
+      }
+      if (table.pendingWinClaim?.claimedBy && table.pendingWinClaim.claimedBy !== winnerId) {
+        return { error: 'WINNER_MISMATCH' };
+      }
 
-    // Ensure the confirmer is indeed the opponent of the winner
-    const isConfirmerOpponent = (table.currentPlayers.player1Id?.toString() === confirmerId.toString() && table.currentPlayers.player2Id?.toString() === winnerId.toString()) ||
-                                (table.currentPlayers.player2Id?.toString() === confirmerId.toString() && table.currentPlayers.player1Id?.toString() === winnerId.toString());
+      const game = await confirmWin(table, winnerId, confirmerId);
+      event.details = { winnerId, loserId: confirmerId, sessionId: game.sessionId };
+      return { table, game };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
 
-    if (!isConfirmerOpponent) {
-      return res.status(403).json({ message: 'Access denied. Only the opponent can confirm the win.' });
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'Table is not awaiting win confirmation.');
     }
-
-    // --- CRITICAL FIX: Update currentPlayers logic ---
-    // The winner remains in player1Id slot, the loser's slot (confirmerId) is cleared.
-    if (table.currentPlayers.player1Id?.toString() === winnerId.toString()) {
-      // Winner was player1, loser was player2
-      table.currentPlayers.player2Id = null; // Clear loser's slot
-      console.log(`[CONFIRM_WIN_FIX] Winner ${winnerId} remains as Player 1. Loser ${confirmerId} removed from Player 2.`);
-    } else if (table.currentPlayers.player2Id?.toString() === winnerId.toString()) {
-      // Winner was player2, loser was player1. Move winner to player1 slot.
-      table.currentPlayers.player1Id = winnerId; // Move winner to player1
-      table.currentPlayers.player2Id = null; // Clear player2 slot (which was winner's, now free)
-      console.log(`[CONFIRM_WIN_FIX] Winner ${winnerId} moved to Player 1. Loser ${confirmerId} removed from Player 1.`);
-    } else {
-      // This case should ideally not be reached if isConfirmerOpponent check passed
-      console.warn(`[CONFIRM_WIN_FIX] Unexpected player configuration during win confirmation for table ${tableId}.`);
-      table.currentPlayers = { player1Id: null, player2Id: null }; // Fallback to clear both
-    }
-    table.currentSessionId = undefined; // Clear the session ID
-
-    // Handle queue: If there's a next player, they take the now-empty player2 slot
-    if (table.queue.length > 0 && !table.currentPlayers.player2Id) {
-      const nextPlayerId = table.queue.shift(); // Remove from queue
-      table.currentPlayers.player2Id = nextPlayerId; // Assign to player2 slot
-      table.status = 'in_play'; // Game continues if a new player joins
-      console.log(`[CONFIRM_WIN_FIX] Next player ${nextPlayerId} from queue assigned to Player 2.`);
-
-      const nextPlayerUser = await User.findById(nextPlayerId);
-      const admin = req.app.get('admin');
-      if (nextPlayerUser && nextPlayerUser.fcmTokens && nextPlayerUser.fcmTokens.length > 0 && admin) {
-        const message = {
-          notification: {
-            title: 'Your Turn!',
-            body: `It's your turn on Table ${table.tableNumber} at ${table.venueId.name}.`,
-          },
-          data: {
-            type: 'your_turn',
-            tableId: tableId.toString(),
-            tableNumber: table.tableNumber.toString(),
-          },
-          tokens: nextPlayerUser.fcmTokens,
-        };
-        admin.messaging().sendEachForMulticast(message)
-          .then((response) => {
-            console.log(`FCM: Next player notification sent to ${nextPlayerUser.email}. Success: ${response.successCount}, Failure: ${response.failureCount}`);
-          })
-          .catch(error => console.error(`FCM: Error sending next player notification to ${nextPlayerUser.email}:`, error));
-      }
-    } else if (table.currentPlayers.player1Id && !table.currentPlayers.player2Id) {
-      // Only winner is left, and no one in queue to fill player2 slot
-      table.status = 'available'; // Table is available for another player to join
-      console.log(`[CONFIRM_WIN_FIX] Only winner ${winnerId} remains. Table status set to 'available'.`);
-    } else if (!table.currentPlayers.player1Id && !table.currentPlayers.player2Id) {
-      // No players left after confirmation (should not happen with this logic, but as a fallback)
-      table.status = 'available';
-      console.log(`[CONFIRM_WIN_FIX] No players left after confirmation. Table status set to 'available'.`);
+    const { error, table, game } = transition.result;
+    if (error === 'NOT_OPPONENT') {
+      return res.status(403).json({ message: 'Access denied. Only the opponent can confirm the win.' });
     }
-
-    await table.save();
-
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_CONFIRM_WIN] Attempting to emit tableStatusUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_CONFIRM_WIN] Emitted tableStatusUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_CONFIRM_WIN] Not emitting tableStatusUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    if (error === 'WINNER_MISMATCH') {
+      return res.status(400).json({ message: 'The winner does not match the pending win claim.' });
     }
+    // The session is closed and ratings updated only once the table has moved on
+    const { completedSession, ratingChanges } = await settleConfirmedGame(game);
 
-    res.status(200).json({ message: 'Win confirmed and game ended.' });
+    res.status(200).json({
+      message: 'Win confirmed and game ended.',
+      sessionId: completedSession ? completedSession._id : null,
+      nextSessionId: table.currentSessionId, // Set if the next players were seated and the game started
+      ratingChanges,
+    });
   } catch (error) {
     console.error('Error confirming win:', error);
     res.status(500).json({ message: 'Server error confirming win.', error: error.message });
@@ -475,74 +737,54 @@ router.post('/:tableId/confirm-win', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/dispute-win
- * @description Player disputes a win.
+ * @description Player disputes a win. Records a Dispute for venue admins to resolve and reverts the table to 'in_play'.
+ * 409 (code 'ILLEGAL_TRANSITION') if the table is not awaiting win confirmation.
  * @access Private
+ * @body {string} disputerId - Must be the authenticated user.
+ * @body {string} [reason] - Optional explanation shown to admins.
  */
 router.post('/:tableId/dispute-win', async (req, res) => {
   const { tableId } = req.params;
-  const { sessionId, disputerId } = req.body;
+  const { sessionId, disputerId, reason } = req.body;
   const userId = req.user.uid;
-  const io = getSocketIO();
 
   if (disputerId !== userId) {
     return res.status(403).json({ message: 'Access denied. You can only dispute your own games.' });
   }
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
-      return res.status(404).json({ message: 'Table not found.' });
-    }
-
-    if (table.status !== 'awaiting_confirmation') {
-      return res.status(400).json({ message: 'Table is not awaiting win confirmation.' });
-    }
-
-    table.status = 'in_play';
-    await table.save();
-
-    const player1 = await User.findById(table.currentPlayers.player1Id);
-    const player2 = await User.findById(table.currentPlayers.player2Id);
-
-    const notificationTitle = 'Win Disputed!';
-    const notificationBody = `${req.user.displayName || req.user.email} has disputed the win claim on Table ${table.tableNumber}. The game state has been reverted.`;
+    // Both players are notified by the disputeWin hook (winConfirmationService)
+    const transition = await runTableTransition(tableId, 'disputeWin', async (table, event) => {
+      if (table.currentPlayers.player1Id !== userId && table.currentPlayers.player2Id !== userId) {
+        return { error: 'NOT_A_PLAYER' };
+      }
 
-    // Defensive check for admin instance
-    const admin = req.app.get('admin'); // Get the admin instance
-    if (player1 && player1.fcmTokens && player1.fcmTokens.length > 0) { // Check fcmTokens array
-      if (admin) { // Check if admin instance is available
-        admin.messaging().sendEachForMulticast({
-          notification: { title: notificationTitle, body: notificationBody },
-          data: { type: 'win_disputed', tableId: tableId.toString(), tableNumber: table.tableNumber.toString() },
-          tokens: player1.fcmTokens,
-        }).catch(error => console.error(`FCM: Error sending dispute notification to player1:`, error));
-      } else {
-        console.error('[TABLE_ROUTE_DISPUTE_WIN] Firebase Admin SDK instance not found on app object. Cannot send FCM notification to player1.');
+      // Game end reported by the table device and nobody has claimed a win: nothing to dispute,
+      // the player is saying the game isn't over (e.g. a false trigger), so play simply resumes.
+      const dispute = table.pendingWinClaim?.claimedBy ? await openDispute(table, userId, reason) : null;
+      await cancelWinConfirmationJobs(table._id);
+      table.status = 'in_play';
+      table.pendingWinClaim = { claimedBy: null, claimedAt: null, confirmationDeadline: null };
+      if (dispute) {
+        await disputeGameSession(table.currentSessionId);
       }
+      event.details = { disputeId: dispute ? dispute._id.toString() : null, reason: reason || null };
+      return { dispute };
+    }, { actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition, 'Table is not awaiting win confirmation.');
     }
-    if (player2 && player2.fcmTokens && player2.fcmTokens.length > 0) { // Check fcmTokens array
-      if (admin) { // Check if admin instance is available
-        admin.messaging().sendEachForMulticast({
-          notification: { title: notificationTitle, body: notificationBody },
-          data: { type: 'win_disputed', tableId: tableId.toString(), tableNumber: table.tableNumber.toString() },
-          tokens: player2.fcmTokens,
-        }).catch(error => console.error(`FCM: Error sending dispute notification to player2:`, error));
-      } else {
-        console.error('[TABLE_ROUTE_DISPUTE_WIN] Firebase Admin SDK instance not found on app object. Cannot send FCM notification to player2.');
-      }
+    const { error, dispute } = transition.result;
+    if (error === 'NOT_A_PLAYER') {
+      return res.status(403).json({ message: 'Access denied. You can only dispute your own games.' });
     }
-
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_DISPUTE_WIN] Attempting to emit tableStatusUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_DISPUTE_WIN] Emitted tableStatusUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_DISPUTE_WIN] Not emitting tableStatusUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    if (!dispute) {
+      console.log(`[TABLE_ROUTE_DISPUTE_WIN] ${userId} dismissed the device-reported game over on table ${tableId}. Game continues.`);
+      return res.status(200).json({ message: 'Game over report dismissed. The game continues.', disputeId: null });
     }
 
-    res.status(200).json({ message: 'Win dispute recorded. Game state reverted.' });
+    res.status(200).json({ message: 'Win dispute recorded. Game state reverted.', disputeId: dispute._id });
   } catch (error) {
     console.error('Error disputing win:', error);
     res.status(500).json({ message: 'Server error disputing win.', error: error.message });
@@ -551,71 +793,72 @@ router.post('/:tableId/dispute-win', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/remove-player
- * @description Admin removes a player from a table.
- * @access Admin
+ * @description Admin or venue staff removes a player from a table (a seat or the queue). A game in
+ * progress is voided and refunded; the remaining player keeps Player 1 and empty seats are filled
+ * from the queue like after any game.
+ * @access Admin or staff of the table's venue
+ * @body {string} playerIdToRemove
  */
-router.post('/:tableId/remove-player', async (req, res) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can remove players.' });
-  }
-
+router.post('/:tableId/remove-player', requirePermission('table:removePlayer', { scope: 'table' }), async (req, res) => {
   const { tableId } = req.params;
   const { playerIdToRemove } = req.body;
-  const io = getSocketIO();
+
+  if (!playerIdToRemove) {
+    return res.status(400).json({ message: 'playerIdToRemove is required.' });
+  }
+  const removedId = playerIdToRemove.toString();
 
   try {
-    const table = await Table.findById(tableId);
-    if (!table) {
-      return res.status(404).json({ message: 'Table not found.' });
-    }
+    const transition = await runTableTransition(tableId, 'removePlayer', async (table, event) => {
+      let removedFrom = null;
+      if (table.currentPlayers.player1Id === removedId) {
+        table.currentPlayers.player1Id = null;
+        removedFrom = 'player1';
+      } else if (table.currentPlayers.player2Id === removedId) {
+        table.currentPlayers.player2Id = null;
+        removedFrom = 'player2';
+      } else if (table.queue.includes(removedId)) {
+        table.queue = table.queue.filter(id => id !== removedId);
+        removedFrom = 'queue';
+      } else {
+        return { error: 'PLAYER_NOT_FOUND' };
+      }
 
-    let playerRemoved = false;
-    if (table.currentPlayers.player1Id?.toString() === playerIdToRemove.toString()) {
-      table.currentPlayers.player1Id = null;
-      playerRemoved = true;
-    } else if (table.currentPlayers.player2Id?.toString() === playerIdToRemove.toString()) {
-      table.currentPlayers.player2Id = null;
-      playerRemoved = true;
-    } else {
-      const initialQueueLength = table.queue.length;
-      table.queue = table.queue.filter(id => id.toString() !== playerIdToRemove.toString());
-      if (table.queue.length < initialQueueLength) {
-        playerRemoved = true;
+      // A check-in job left behind finds no pending check-in and does nothing
+      table.pendingCheckIns = table.pendingCheckIns.filter(entry => entry.userId !== removedId);
+      // Seat released before play began: give back what the player paid for it (once the removal is saved)
+      await refundSeatPayment(table, removedId, `Refund for Table ${table.tableNumber}: removed by staff before the game started`);
+
+      // A seated player was removed mid-game: the game (and any win claim) is voided and both players
+      // refunded, after the removal is saved.
+      let voidedSessionId = null;
+      if (table.currentSessionId && (!table.currentPlayers.player1Id || !table.currentPlayers.player2Id)) {
+        voidedSessionId = table.currentSessionId;
+        table.currentSessionId = null;
+        table.pendingWinClaim = { claimedBy: null, claimedAt: null, confirmationDeadline: null };
       }
-    }
 
-    if (!playerRemoved) {
+      if (!table.currentPlayers.player1Id && table.currentPlayers.player2Id) {
+        // Keep the remaining player in the Player 1 slot; the transition fills the open seat from the queue
+        table.currentPlayers.player1Id = table.currentPlayers.player2Id;
+        table.currentPlayers.player2Id = null;
+      }
+      event.details = { userId: removedId, removedFrom, gameVoided: !!voidedSessionId };
+      return { voidedSessionId, tableNumber: table.tableNumber };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
+
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition);
+    }
+    if (transition.result.error === 'PLAYER_NOT_FOUND') {
       return res.status(400).json({ message: 'Player not found at this table or in its queue.' });
     }
 
-    if (!table.currentPlayers.player1Id && !table.currentPlayers.player2Id && table.queue.length === 0) {
-      table.status = 'available';
-    } else if (!table.currentPlayers.player1Id || !table.currentPlayers.player2Id) {
-        if (table.queue.length > 0 && !table.currentPlayers.player1Id) {
-            table.currentPlayers.player1Id = table.queue.shift();
-            table.status = 'available';
-        } else if (table.queue.length > 0 && !table.currentPlayers.player2Id) {
-            table.currentPlayers.player2Id = table.queue.shift();
-            table.status = 'in_play';
-        } else if (table.currentPlayers.player1Id && !table.currentPlayers.player2Id) {
-            table.status = 'available';
-        } else if (!table.currentPlayers.player1Id && table.currentPlayers.player2Id) {
-            table.currentPlayers.player1Id = table.currentPlayers.player2Id;
-            table.currentPlayers.player2Id = null;
-            table.status = 'available';
-        }
-    }
-
-    await table.save();
-
-    const updatedTableForSocket = await getPopulatedTableWithPerGameCost(table._id);
-    if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
-      const venueRoomId = updatedTableForSocket.venueId._id.toString();
-      console.log(`[TABLE_ROUTE_REMOVE_PLAYER] Attempting to emit tableStatusUpdate for table ${tableId} to room: ${venueRoomId}. perGameCost: ${updatedTableForSocket.perGameCost}`);
-      io.to(venueRoomId).emit('tableStatusUpdate', updatedTableForSocket);
-      console.log(`[TABLE_ROUTE_REMOVE_PLAYER] Emitted tableStatusUpdate for table ${tableId} to room: ${venueRoomId}.`);
-    } else {
-      console.warn(`[TABLE_ROUTE_REMOVE_PLAYER] Not emitting tableStatusUpdate for ${tableId} because updatedTableForSocket or its venueId/_id is null/undefined.`);
+    const { voidedSessionId, tableNumber } = transition.result;
+    if (transition.committed && voidedSessionId) {
+      await cancelWinConfirmationJobs(tableId);
+      await cancelGameSession(voidedSessionId);
+      await refundSessionPayments(voidedSessionId, `Refund for Table ${tableNumber}: game voided by staff`);
     }
 
     res.status(200).json({ message: 'Player removed successfully.' });
@@ -627,8 +870,10 @@ router.post('/:tableId/remove-player', async (req, res) => {
 
 /**
  * @route POST /api/tables/:tableId/pay-with-tokens
- * @description Deduct tokens from user's balance for a ty87
- * \table. Does NOT affect table status or player assignment.
+ * @description Pay for your seat at a table you are playing at or were promoted to (pending check-in).
+ * Seats are normally charged automatically when taken; this covers paying ahead of a check-in and
+ * venues that don't require payment. The payment belongs to your current/next game on this table and is
+ * refunded if your seat is released before play or the game is voided. Rejected while the venue is closed.
  * @access Private
  * @body {number} cost - The number of tokens to deduct (should match venue's perGameCost).
  */
@@ -636,10 +881,6 @@ router.post('/:tableId/pay-with-tokens', async (req, res) => {
   const { tableId } = req.params;
   const { cost } = req.body;
   const userId = req.user.uid;
-  const io = getSocketIO();
-
-  console.log(`[PAY_DEBUG] Attempting to process payment for userId: ${userId} on tableId: ${tableId}`);
-  console.log(`[PAY_DEBUG] Cost received from frontend: ${cost}`);
 
   try {
     const user = await User.findById(userId);
@@ -648,7 +889,6 @@ router.post('/:tableId/pay-with-tokens', async (req, res) => {
       console.error(`[PAY_ERROR] User not found in DB for _id (Firebase UID): ${userId}`);
       return res.status(404).json({ message: 'User not found.' });
     }
-    console.log(`[PAY_DEBUG] User found: ${user.email}, current balance: ${user.tokenBalance}`);
 
     const table = await Table.findById(tableId).populate('venueId');
 
@@ -660,27 +900,61 @@ router.post('/:tableId/pay-with-tokens', async (req, res) => {
       console.error(`[PAY_ERROR] Venue not populated for tableId: ${tableId}. Check Table model populate path.`);
       return res.status(500).json({ message: 'Table\'s venue information is missing.' });
     }
+    if (!isVenueOpen(table.venueId)) {
+      return res.status(400).json({ message: describeVenueClosed(table.venueId) });
+    }
 
     const expectedCost = table.venueId.perGameCost;
-    console.log(`[PAY_DEBUG] Venue perGameCost: ${expectedCost}`);
     if (typeof cost !== 'number' || isNaN(cost) || cost !== expectedCost) {
       console.warn(`[PAY_WARN] Mismatch or invalid cost. Expected ${expectedCost}, received ${cost}.`);
       return res.status(400).json({ message: `Invalid or mismatching table cost. Expected ${expectedCost}.` });
     }
 
-    if (user.tokenBalance < cost) {
-      console.warn(`[PAY_WARN] Insufficient token balance for user ${userId}. Balance: ${user.tokenBalance}, Cost: ${cost}`);
-      return res.status(400).json({ message: 'Insufficient token balance.' });
+    const isSeated = table.currentPlayers.player1Id === userId || table.currentPlayers.player2Id === userId;
+    const isPendingCheckIn = table.pendingCheckIns.some(entry => entry.userId === userId);
+    if (!isSeated && !isPendingCheckIn) {
+      return res.status(400).json({ message: 'You can only pay for a table you are seated at or called up to.' });
     }
 
-    user.tokenBalance -= cost;
-    await user.save();
-    console.log(`[PAY_DEBUG] Tokens deducted. New balance for ${userId}: ${user.tokenBalance}`);
+    if (table.currentSessionId) {
+      // Game already running: the payment goes straight to its session (emits tokenBalanceUpdate)
+      const debit = await chargeForSession(table, userId, cost);
+      if (debit.error === 'ALREADY_PAID') {
+        return res.status(400).json({ message: 'You have already paid for this game.' });
+      }
+      if (!debit.success) {
+        console.warn(`[PAY_WARN] Insufficient token balance for user ${userId}. Balance: ${user.tokenBalance}, Cost: ${cost}`);
+        return res.status(400).json({ message: 'Insufficient token balance.' });
+      }
+      await recordTableEvent(table, 'sessionPayment', { actor: actorFromRequest(req), details: { userId, amount: cost, sessionId: table.currentSessionId } });
+      return res.status(200).json({ message: `Successfully paid ${cost} tokens for Table ${table.tableNumber}. Your new balance is ${debit.newBalance} tokens.`, newBalance: debit.newBalance });
+    }
 
-    io.to(userId).emit('tokenBalanceUpdate', { newBalance: user.tokenBalance });
-    console.log(`[PAY_DEBUG] Emitted tokenBalanceUpdate to user ${userId}`);
+    // The payment is held on the table until the game starts
+    const transition = await runTableTransition(tableId, 'payForSeat', async (freshTable, event) => {
+      if (hasPaidSeat(freshTable, userId)) {
+        return { error: 'ALREADY_PAID' };
+      }
+      const charge = await chargeForSeat(freshTable, userId, { voluntary: true });
+      if (!charge.success) {
+        return { error: 'INSUFFICIENT_BALANCE' };
+      }
+      event.details = { userId, amount: cost };
+      return { charge };
+    }, { populate: 'venueId', actor: actorFromRequest(req) });
+    if (!transition.success) {
+      return sendTransitionFailure(res, transition);
+    }
+    if (transition.result.error === 'ALREADY_PAID') {
+      return res.status(400).json({ message: 'You have already paid for this game.' });
+    }
+    if (transition.result.error) {
+      console.warn(`[PAY_WARN] Insufficient token balance for user ${userId}. Balance: ${user.tokenBalance}, Cost: ${cost}`);
+      return res.status(400).json({ message: 'Insufficient token balance.' });
+    }
+    const { charge } = transition.result;
 
-    res.status(200).json({ message: `Successfully paid ${cost} tokens for Table ${table.tableNumber}. Your new balance is ${user.tokenBalance} tokens.`, newBalance: user.tokenBalance });
+    res.status(200).json({ message: `Successfully paid ${cost} tokens for Table ${table.tableNumber}. Your new balance is ${charge.newBalance} tokens.`, newBalance: charge.newBalance });
 
   } catch (error) {
     console.error(`[PAY_ERROR] Server error processing token payment for userId ${userId}:`, error);
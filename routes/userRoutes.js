@@ -1,11 +1,37 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
+const TokenTransaction = require('../models/TokenTransaction');
+const { getPlayerDisplayDetails } = require('../services/gameService');
 const authMiddleware = require('../middleware/authMiddleware');
 
 // Apply authMiddleware to all routes in this router
 router.use(authMiddleware);
 
+// Session types that represent an actual game between two players
+const GAME_SESSION_TYPES = ['game', 'direct_join', 'direct_join_fallback'];
+
+/**
+ * Builds the Session filter for completed games involving userId, optionally narrowed to one opponent.
+ * @param {string} userId - Firebase UID.
+ * @param {string} [opponentId] - Firebase UID of the opponent.
+ * @returns {Object} Mongoose filter.
+ */
+const buildCompletedGamesFilter = (userId, opponentId) => {
+  const filter = { type: { $in: GAME_SESSION_TYPES }, status: 'completed' };
+  if (opponentId) {
+    filter.$or = [
+      { player1Id: userId, player2Id: opponentId },
+      { player1Id: opponentId, player2Id: userId },
+    ];
+  } else {
+    filter.$or = [{ player1Id: userId }, { player2Id: userId }];
+  }
+  return filter;
+};
+
 /**
  * @route GET /api/user/profile
  * @description Get the authenticated user's full profile information, including token balance and Stripe Customer ID.
@@ -164,4 +190,173 @@ router.get('/balance', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/user/transactions
+ * @description Gets the authenticated user's token ledger (credits and debits), newest first.
+ * @access Private (requires Firebase auth token)
+ * @query {number} [page=1]
+ * @query {number} [limit=20] - Max 100.
+ */
+router.get('/transactions', async (req, res) => {
+  const userId = req.user.uid;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  console.log(`[UserRoutes:/transactions] Fetching transactions for UID: ${userId}, page: ${page}, limit: ${limit}`);
+
+  try {
+    const [transactions, total] = await Promise.all([
+      TokenTransaction.find({ userId })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TokenTransaction.countDocuments({ userId }),
+    ]);
+
+    res.json({
+      transactions,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('[UserRoutes:/transactions] Error fetching token transactions:', error.message);
+    res.status(500).json({ message: 'Failed to fetch token transactions.' });
+  }
+});
+
+/**
+ * @route GET /api/user/matches
+ * @description Gets the authenticated user's completed games, newest first, with opponent and result.
+ * @access Private (requires Firebase auth token)
+ * @query {number} [page=1]
+ * @query {number} [limit=20] - Max 100.
+ * @query {string} [venueId] - Only games at this venue.
+ * @query {string} [from] - ISO date; only games started at or after it.
+ * @query {string} [to] - ISO date; only games started at or before it.
+ */
+router.get('/matches', async (req, res) => {
+  const userId = req.user.uid;
+  const { venueId, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  console.log(`[UserRoutes:/matches] Fetching matches for UID: ${userId}, page: ${page}, limit: ${limit}, venueId: ${venueId}, from: ${from}, to: ${to}`);
+
+  const filter = buildCompletedGamesFilter(userId);
+  if (venueId) {
+    if (!mongoose.isValidObjectId(venueId)) {
+      return res.status(400).json({ message: 'Invalid venueId.' });
+    }
+    filter.venueId = venueId;
+  }
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'Invalid from/to date. Use ISO 8601 dates.' });
+    }
+    filter.startTime = {};
+    if (fromDate) filter.startTime.$gte = fromDate;
+    if (toDate) filter.startTime.$lte = toDate;
+  }
+
+  try {
+    const [sessions, total] = await Promise.all([
+      Session.find(filter)
+        .sort({ startTime: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('venueId', 'name')
+        .populate('tableId', 'tableNumber')
+        .lean(),
+      Session.countDocuments(filter),
+    ]);
+
+    // Look each opponent up once, even if they appear in several matches on this page
+    const opponentIds = [...new Set(sessions.map(s => (s.player1Id === userId ? s.player2Id : s.player1Id)))];
+    const opponentDetails = await Promise.all(opponentIds.map(id => getPlayerDisplayDetails(id)));
+    const opponentsById = new Map(opponentIds.map((id, idx) => [id, opponentDetails[idx]]));
+
+    const matches = sessions.map(session => {
+      const opponentId = session.player1Id === userId ? session.player2Id : session.player1Id;
+      return {
+        sessionId: session._id,
+        venue: session.venueId ? { _id: session.venueId._id, name: session.venueId.name } : null,
+        tableId: session.tableId ? session.tableId._id : null,
+        tableNumber: session.tableId ? session.tableId.tableNumber : null,
+        opponent: opponentsById.get(opponentId),
+        result: session.winnerId === userId ? 'win' : 'loss',
+        cost: session.cost,
+        startTime: session.startTime,
+        endTime: session.endTime,
+      };
+    });
+
+    res.json({
+      matches,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('[UserRoutes:/matches] Error fetching match history:', error.message);
+    res.status(500).json({ message: 'Failed to fetch match history.' });
+  }
+});
+
+/**
+ * @route GET /api/user/head-to-head/:opponentId
+ * @description Gets the authenticated user's record against one opponent: wins, losses, last played date and venues.
+ * @access Private (requires Firebase auth token)
+ */
+router.get('/head-to-head/:opponentId', async (req, res) => {
+  const userId = req.user.uid;
+  const { opponentId } = req.params;
+  console.log(`[UserRoutes:/head-to-head] Fetching head-to-head for UID: ${userId} vs ${opponentId}`);
+
+  if (opponentId === userId) {
+    return res.status(400).json({ message: 'Cannot fetch a head-to-head record against yourself.' });
+  }
+
+  try {
+    const sessions = await Session.find(buildCompletedGamesFilter(userId, opponentId))
+      .select('venueId winnerId startTime')
+      .sort({ startTime: -1 })
+      .populate('venueId', 'name')
+      .lean();
+
+    let wins = 0;
+    const venuesById = new Map();
+    for (const session of sessions) {
+      if (session.winnerId === userId) wins++;
+      if (session.venueId) {
+        const key = session.venueId._id.toString();
+        const venue = venuesById.get(key) || { _id: session.venueId._id, name: session.venueId.name, gamesPlayed: 0 };
+        venue.gamesPlayed++;
+        venuesById.set(key, venue);
+      }
+    }
+
+    const [you, opponent] = await Promise.all([
+      getPlayerDisplayDetails(userId),
+      getPlayerDisplayDetails(opponentId),
+    ]);
+
+    res.json({
+      you,
+      opponent,
+      wins,
+      losses: sessions.length - wins,
+      gamesPlayed: sessions.length,
+      lastPlayedAt: sessions.length > 0 ? sessions[0].startTime : null,
+      venues: [...venuesById.values()],
+    });
+  } catch (error) {
+    console.error('[UserRoutes:/head-to-head] Error fetching head-to-head record:', error.message);
+    res.status(500).json({ message: 'Failed to fetch head-to-head record.' });
+  }
+});
+
 module.exports = router;
@@ -3,11 +3,20 @@ const express = require('express');
 const router = express.Router();
 const Venue = require('../models/Venue');
 const Table = require('../models/Table'); // Import Table model
+const User = require('../models/User');
 const authMiddleware = require('../middleware/authMiddleware');
-const { getSocketIO } = require('../services/socketService');
+const { getSocketIO, canViewVenue } = require('../services/socketService');
 // Import gameService functions for populating table details
 const { populateTablePlayersDetails, populateQueueWithUserDetails } = require('../services/gameService');
 const { getPopulatedTableWithPerGameCost } = require('../services/tableHelpers');
+const { getPlayerDisplayDetails } = require('../services/gameService');
+const { getVenueLeaderboard } = require('../services/ratingService');
+const { getVenueQueue } = require('../services/queueService');
+const { joinVenueQueue, leaveVenueQueue } = require('../services/venueQueueService');
+const { isVenueOpen } = require('../services/venueHoursService');
+const { addVenueStaff, removeVenueStaff, listVenueStaff } = require('../services/venueStaffService');
+const { requirePermission, hasPermission } = require('../middleware/permissionMiddleware');
+const { TABLE_EVENT_TYPES, listTableEvents } = require('../services/tableEventService');
 
 // Apply authMiddleware to all routes in this router
 router.use(authMiddleware);
@@ -22,15 +31,14 @@ router.use(authMiddleware);
  * @body {number} longitude
  * @body {number} numberOfTables
  * @body {number} [perGameCost] - Optional: Cost per game in tokens. Defaults to 10.
+ * @body {string} [timezone] - IANA timezone of the operating hours, e.g. 'Europe/London'. Defaults to UTC.
+ * @body {Object} [operatingHours] - { weekly: [{ day: 0-6, open: 'HH:MM', close: 'HH:MM' }],
+ *   exceptions: [{ date: 'YYYY-MM-DD', closed, open, close, note }] }. Omit for a venue that is always open.
  */
-router.post('/', async (req, res) => {
-  const { name, address, latitude, longitude, numberOfTables, perGameCost } = req.body;
+router.post('/', requirePermission('venue:create'), async (req, res) => {
+  const { name, address, latitude, longitude, numberOfTables, perGameCost, timezone, operatingHours } = req.body;
   const ownerId = req.user.uid; // Firebase UID from authenticated user
 
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can register venues.' });
-  }
-
   if (!name || !address || typeof latitude !== 'number' || typeof longitude !== 'number' || !numberOfTables || numberOfTables <= 0) {
     return res.status(400).json({ message: 'Missing required venue information (name, address, latitude, longitude, numberOfTables).' });
   }
@@ -46,6 +54,8 @@ router.post('/', async (req, res) => {
       ownerId,
       numberOfTables,
       perGameCost: perGameCost !== undefined ? perGameCost : 10, // Set default if not provided
+      timezone,
+      operatingHours,
     });
 
     const savedVenue = await newVenue.save();
@@ -66,6 +76,9 @@ router.post('/', async (req, res) => {
 
     res.status(201).json(savedVenue);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid venue details.', error: error.message });
+    }
     console.error('Error registering venue:', error);
     res.status(500).json({ message: 'Server error during venue registration.', error: error.message });
   }
@@ -76,10 +89,7 @@ router.post('/', async (req, res) => {
  * @description Get all venues (Admin only), with their associated tables.
  * @access Private (Admin only)
  */
-router.get('/', async (req, res) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can view all venues.' });
-  }
+router.get('/', requirePermission('venue:list'), async (req, res) => {
   try {
     const venues = await Venue.find({}).lean(); // Use .lean() for performance
 
@@ -106,9 +116,11 @@ router.get('/', async (req, res) => {
  * @query {number} lat - Latitude
  * @query {number} lon - Longitude
  * @query {number} [radiusMiles=5] - Radius in miles
+ * @query {boolean} [openNow] - 'true' to only return venues that are open right now.
+ * Each venue includes openNow, computed from its operating hours. Staff-only venues are only listed for their staff.
  */
 router.get('/nearby', async (req, res) => {
-  const { lat, lon, radiusMiles } = req.query;
+  const { lat, lon, radiusMiles, openNow } = req.query;
 
   if (typeof lat === 'undefined' || typeof lon === 'undefined') {
     return res.status(400).json({ message: 'Latitude and longitude are required.' });
@@ -131,7 +143,11 @@ router.get('/nearby', async (req, res) => {
       }
     }).lean(); // Use .lean() for faster queries if you don't need Mongoose documents
 
-    res.json(venues);
+    const now = new Date();
+    const venuesWithHours = venues
+      .filter(venue => canViewVenue(req.user, venue))
+      .map(venue => ({ ...venue, openNow: isVenueOpen(venue, now) }));
+    res.json(openNow === 'true' ? venuesWithHours.filter(venue => venue.openNow) : venuesWithHours);
   } catch (error) {
     console.error('Error fetching nearby venues:', error);
     res.status(500).json({ message: 'Server error fetching nearby venues.' });
@@ -140,13 +156,14 @@ router.get('/nearby', async (req, res) => {
 
 /**
  * @route GET /api/venues/:venueId
- * @description Get a specific venue by ID.
+ * @description Get a specific venue by ID. Venues hidden from players (visibility 'staff_only') are
+ * only found by admins and the venue's staff.
  * @access Private
  */
 router.get('/:venueId', async (req, res) => {
   try {
     const venue = await Venue.findById(req.params.venueId);
-    if (!venue) {
+    if (!venue || !canViewVenue(req.user, venue)) {
       return res.status(404).json({ message: 'Venue not found.' });
     }
     res.json(venue);
@@ -158,7 +175,8 @@ router.get('/:venueId', async (req, res) => {
 
 /**
  * @route GET /api/venues/:venueId/tables-detailed
- * @description Get all tables for a specific venue, with populated player and queue details, and perGameCost from venue.
+ * @description Get all tables for a specific venue, with populated player and queue details, perGameCost from venue,
+ * and estimated queue wait times (estimatedWait per table, estimatedWaitMinutes per queued player).
  * @access Private
  */
 router.get('/:venueId/tables-detailed', async (req, res) => {
@@ -168,7 +186,7 @@ router.get('/:venueId/tables-detailed', async (req, res) => {
     // First, find the venue to get its perGameCost (this part is still explicit for initial fetch)
     console.log(`[VENUE_ROUTES] Attempting to find venue by ID: ${venueId}`);
     const venue = await Venue.findById(venueId).lean();
-    if (!venue) {
+    if (!venue || !canViewVenue(req.user, venue)) {
       console.error(`[VENUE_ROUTES] Venue not found for ID: ${venueId}`);
       return res.status(404).json({ message: 'Venue not found.' });
     }
@@ -209,6 +227,268 @@ router.get('/:venueId/tables-detailed', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/venues/:venueId/leaderboard
+ * @description Get the top-rated players at a venue (Elo ratings from confirmed games at this venue).
+ * @access Private
+ * @query {number} [limit=10] - Number of players to return (max 100).
+ */
+router.get('/:venueId/leaderboard', async (req, res) => {
+  const { venueId } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  try {
+    const venue = await Venue.findById(venueId).lean();
+    if (!venue || !canViewVenue(req.user, venue)) {
+      return res.status(404).json({ message: 'Venue not found.' });
+    }
+
+    const ratings = await getVenueLeaderboard(venue._id, limit);
+    const leaderboard = await Promise.all(ratings.map(async (rating, idx) => {
+      const player = await getPlayerDisplayDetails(rating.userId);
+      return {
+        rank: idx + 1,
+        userId: rating.userId,
+        displayName: player.displayName,
+        rating: rating.rating,
+        gamesPlayed: rating.gamesPlayed,
+        wins: rating.wins,
+        losses: rating.losses,
+      };
+    }));
+
+    res.json({ venueId: venue._id, venueName: venue.name, leaderboard });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error fetching venue leaderboard:', error);
+    res.status(500).json({ message: 'Server error fetching leaderboard.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/venues/:venueId/queue
+ * @description The venue-wide queue in order (players waiting for whichever table frees up first).
+ * @access Private
+ */
+router.get('/:venueId/queue', async (req, res) => {
+  const { venueId } = req.params;
+
+  try {
+    const venue = await Venue.findById(venueId).select('visibility ownerId staff').lean();
+    if (!venue || !canViewVenue(req.user, venue)) {
+      return res.status(404).json({ message: 'Venue not found.' });
+    }
+    const queue = await getVenueQueue(venueId);
+    const ownEntry = queue.find(entry => entry.userId === req.user.uid || entry.partnerId === req.user.uid);
+    res.json({ venueId, queue, yourPosition: ownEntry ? ownEntry.position : null });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error fetching venue queue:', error);
+    res.status(500).json({ message: 'Server error fetching venue queue.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/venues/:venueId/queue
+ * @description Join the venue-wide queue. The player (with their partner, for a party of two) is seated
+ * at the first table that frees up and fits the party; if a table is free now they are seated immediately.
+ * You can't be in the venue queue and a table's queue at the same venue at the same time.
+ * @access Private
+ * @body {string} [partnerId] - UID of a second player to be seated with you (party of two).
+ * @body {Array<string>} [tableTypes] - Acceptable table types (Table.tableType), e.g. ['9ft']. Omit for any table.
+ */
+router.post('/:venueId/queue', async (req, res) => {
+  const { venueId } = req.params;
+  const userId = req.user.uid;
+  const { partnerId, tableTypes } = req.body;
+
+  if (tableTypes !== undefined && (!Array.isArray(tableTypes) || tableTypes.some(t => typeof t !== 'string'))) {
+    return res.status(400).json({ message: 'tableTypes must be an array of strings.' });
+  }
+  if (partnerId !== undefined && partnerId !== null && typeof partnerId !== 'string') {
+    return res.status(400).json({ message: 'partnerId must be a user ID.' });
+  }
+
+  try {
+    const result = await joinVenueQueue(venueId, userId, { partnerId: partnerId || null, tableTypes: tableTypes || [] });
+    if (!result.success) {
+      const errors = {
+        VENUE_NOT_FOUND: [404, 'Venue not found.'],
+        VENUE_CLOSED: [400, result.closedMessage],
+        INVALID_PARTNER: [400, 'You cannot be your own partner.'],
+        PARTNER_NOT_FOUND: [404, 'Partner not found.'],
+        ALREADY_IN_QUEUE: [400, 'You or your partner are already in the queue for this venue.'],
+        ALREADY_AT_TABLE: [400, 'You or your partner are already playing or queued at a table in this venue. Leave that queue first.'],
+      };
+      const [status, message] = errors[result.error] || [400, 'Could not join the venue queue.'];
+      return res.status(status).json({ message });
+    }
+
+    console.log(`[VENUE_ROUTES] ${userId} joined venue queue ${venueId}. Assigned: ${result.assigned}, position: ${result.position}`);
+    res.status(200).json({
+      message: result.assigned
+        ? 'A table was free: you have been assigned to it.'
+        : `Successfully joined the venue queue. You are number ${result.position}.`,
+      assigned: result.assigned,
+      position: result.position,
+    });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error joining venue queue:', error);
+    res.status(500).json({ message: 'Server error joining venue queue.', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/venues/:venueId/queue
+ * @description Leave the venue-wide queue (removes your whole party).
+ * @access Private
+ */
+router.delete('/:venueId/queue', async (req, res) => {
+  const { venueId } = req.params;
+
+  try {
+    const left = await leaveVenueQueue(venueId, req.user.uid);
+    if (!left) {
+      return res.status(400).json({ message: 'You are not in the queue for this venue.' });
+    }
+    res.status(200).json({ message: 'Successfully left the venue queue.' });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error leaving venue queue:', error);
+    res.status(500).json({ message: 'Server error leaving venue queue.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/venues/:venueId/staff
+ * @description List the venue's owner, managers and staff.
+ * @access Admin or staff of the venue
+ */
+router.get('/:venueId/staff', requirePermission('venue:viewStaff', { scope: 'venue' }), async (req, res) => {
+  const { venueId } = req.params;
+
+  try {
+    const venue = await Venue.findById(venueId).select('ownerId staff').lean();
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found.' });
+    }
+
+    res.json(await listVenueStaff(venue));
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error listing venue staff:', error);
+    res.status(500).json({ message: 'Server error listing venue staff.', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/venues/:venueId/activity
+ * @description Activity log across the venue's tables, newest first, for looking into complaints.
+ * Same events and shape as GET /api/tables/:tableId/timeline: { events, nextCursor }.
+ * @access Admin or staff of the venue
+ * @query {string} [tableId] - Only this table.
+ * @query {string} [type] - Only these event types, comma-separated, e.g. 'removePlayer,clearQueue'.
+ * @query {string} [actorId] - Only events caused by this user, e.g. a player who complained or a staff member.
+ * @query {string} [role] - Only events by 'player', 'staff', 'system' or 'device'.
+ * @query {string} [from] - ISO date; only events at or after it.
+ * @query {string} [to] - ISO date; only events at or before it.
+ * @query {string} [cursor] - nextCursor from the previous page.
+ * @query {number} [limit=50] - Max 200.
+ */
+router.get('/:venueId/activity', requirePermission('venue:viewActivity', { scope: 'venue' }), async (req, res) => {
+  const { venueId } = req.params;
+  const { tableId, type, actorId, role, from, to, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const result = await listTableEvents({ venueId }, { tableId, types: type, actorId, role, from, to, cursor, limit });
+    if (!result.success) {
+      const errors = {
+        INVALID_TYPE: `Invalid type. Expected one or more of: ${TABLE_EVENT_TYPES.join(', ')}.`,
+        INVALID_VENUE: 'Invalid venueId.',
+        INVALID_TABLE: 'Invalid tableId.',
+        INVALID_ROLE: "Invalid role. Use 'player', 'staff', 'system' or 'device'.",
+        INVALID_DATE: 'Invalid from/to date. Use ISO 8601 dates.',
+        INVALID_CURSOR: 'Invalid cursor. Use the nextCursor of the previous page.',
+      };
+      return res.status(400).json({ message: errors[result.error] });
+    }
+    res.json({ events: result.events, nextCursor: result.nextCursor });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error fetching venue activity:', error);
+    res.status(500).json({ message: 'Server error fetching venue activity.', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/venues/:venueId/staff
+ * @description Add a user to the venue's staff, or change their role. The owner (or an administrator)
+ * can add managers and staff; managers can add staff. The user is notified over Socket.IO and push.
+ * @access Admin, venue owner or venue manager
+ * @body {string} [userId] - Firebase UID of the user to add.
+ * @body {string} [email] - Or the email address they signed up with.
+ * @body {string} role - 'manager' or 'staff'.
+ */
+router.post('/:venueId/staff', requirePermission('venue:addStaff', { scope: 'venue' }), async (req, res) => {
+  const { venueId } = req.params;
+  const { userId, email, role } = req.body;
+
+  if (!userId && !email) {
+    return res.status(400).json({ message: 'userId or email is required.' });
+  }
+
+  try {
+    const venue = await Venue.findById(venueId);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found.' });
+    }
+
+    const result = await addVenueStaff(venue, req.user, { userId, email }, role);
+    if (!result.success) {
+      const errors = {
+        INVALID_ROLE: [400, "Invalid role. Use 'manager' or 'staff'."],
+        FORBIDDEN: [403, 'Access denied. Only administrators and the venue owner can manage managers; managers can manage staff.'],
+        USER_NOT_FOUND: [404, 'User not found. They need to sign in to the app once before they can be added.'],
+        IS_OWNER: [400, 'This user already owns the venue.'],
+      };
+      const [status, message] = errors[result.error];
+      return res.status(status).json({ message });
+    }
+
+    res.status(200).json({ message: `${result.member.displayName || result.member.email} is now ${role === 'manager' ? 'a manager' : 'staff'} at ${venue.name}.`, member: result.member });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error adding venue staff:', error);
+    res.status(500).json({ message: 'Server error adding venue staff.', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/venues/:venueId/staff/:userId
+ * @description Remove a user from the venue's staff. Same rules as adding; anyone can remove themselves.
+ * @access Admin, venue owner, venue manager (staff only) or the member themselves
+ */
+router.delete('/:venueId/staff/:userId', requirePermission('venue:removeStaff', { scope: 'venue' }), async (req, res) => {
+  const { venueId, userId } = req.params;
+
+  try {
+    const venue = await Venue.findById(venueId);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found.' });
+    }
+
+    const result = await removeVenueStaff(venue, req.user, userId);
+    if (!result.success) {
+      const errors = {
+        IS_OWNER: [400, 'The venue owner cannot be removed. An administrator can transfer ownership instead.'],
+        NOT_STAFF: [404, 'This user is not on the venue staff.'],
+        FORBIDDEN: [403, 'Access denied. Only administrators and the venue owner can remove managers; managers can remove staff.'],
+      };
+      const [status, message] = errors[result.error];
+      return res.status(status).json({ message });
+    }
+
+    res.status(200).json({ message: 'Removed from the venue staff.' });
+  } catch (error) {
+    console.error('[VENUE_ROUTES] Error removing venue staff:', error);
+    res.status(500).json({ message: 'Server error removing venue staff.', error: error.message });
+  }
+});
 
 /**
  * @route PUT /api/venues/:venueId
@@ -220,11 +500,19 @@ router.get('/:venueId/tables-detailed', async (req, res) => {
  * @body {number} [longitude]
  * @body {number} [numberOfTables]
  * @body {number} [perGameCost]
+ * @body {Object} [winConfirmation] - { timeoutMinutes, timeoutAction: 'auto_confirm'|'dispute', reminderMinutesBeforeDeadline }
+ * @body {Object} [queuePolicy] - { checkInWindowMinutes, noShowAction: 'move_to_back'|'drop' }
+ * @body {Object} [paymentPolicy] - { requirePayment, winnerStaysFree }
+ * @body {Object} [reservationPolicy] - { depositTokens, minDurationMinutes, maxDurationMinutes, maxAdvanceDays,
+ *   gracePeriodMinutes, freeCancellationMinutes, reminderMinutesBefore }
+ * @body {string} [timezone] - IANA timezone of the operating hours.
+ * @body {Object} [operatingHours] - Replaces the venue's hours: { weekly: [...], exceptions: [...] } (see POST /api/venues).
+ * @body {string|null} [ownerId] - Admin only: transfer the venue to another user.
+ * @body {string} [visibility] - 'public' or 'staff_only' (hidden from players, e.g. while setting up).
  */
-router.put('/:venueId', async (req, res) => {
-  const { name, address, latitude, longitude, numberOfTables, perGameCost } = req.body;
+router.put('/:venueId', requirePermission('venue:update', { scope: 'venue' }), async (req, res) => {
+  const { name, address, latitude, longitude, numberOfTables, perGameCost, winConfirmation, queuePolicy, paymentPolicy, reservationPolicy, timezone, operatingHours, ownerId, visibility } = req.body;
   const { venueId } = req.params;
-  const userId = req.user.uid;
 
   try {
     const venue = await Venue.findById(venueId);
@@ -232,9 +520,16 @@ router.put('/:venueId', async (req, res) => {
       return res.status(404).json({ message: 'Venue not found.' });
     }
 
-    // Authorization: Only admin or venue owner can update
-    if (!req.user.isAdmin && venue.ownerId !== userId) {
-      return res.status(403).json({ message: 'Access denied. You are not authorized to update this venue.' });
+    // Ownership transfers are for administrators only
+    if (ownerId !== undefined) {
+      if (!hasPermission(req.user, 'venue:transferOwnership', venue)) {
+        return res.status(403).json({ message: 'Access denied. Only administrators can change the venue owner.', code: 'FORBIDDEN', permission: 'venue:transferOwnership', requiredRole: 'admin' });
+      }
+      if (ownerId !== null && !(await User.exists({ _id: ownerId }))) {
+        return res.status(404).json({ message: 'New owner not found.' });
+      }
+      venue.ownerId = ownerId;
+      venue.staff = venue.staff.filter(entry => entry.userId !== ownerId); // The owner role replaces any staff role
     }
 
     if (name) venue.name = name;
@@ -278,10 +573,46 @@ router.put('/:venueId', async (req, res) => {
     if (typeof perGameCost === 'number' && perGameCost >= 0) {
       venue.perGameCost = perGameCost;
     }
+    // Win confirmation timeout policy (validated by the Venue schema)
+    if (winConfirmation && typeof winConfirmation === 'object') {
+      const { timeoutMinutes, timeoutAction, reminderMinutesBeforeDeadline } = winConfirmation;
+      if (timeoutMinutes !== undefined) venue.winConfirmation.timeoutMinutes = timeoutMinutes;
+      if (timeoutAction !== undefined) venue.winConfirmation.timeoutAction = timeoutAction;
+      if (reminderMinutesBeforeDeadline !== undefined) venue.winConfirmation.reminderMinutesBeforeDeadline = reminderMinutesBeforeDeadline;
+    }
+    // Queue check-in policy (validated by the Venue schema)
+    if (queuePolicy && typeof queuePolicy === 'object') {
+      const { checkInWindowMinutes, noShowAction } = queuePolicy;
+      if (checkInWindowMinutes !== undefined) venue.queuePolicy.checkInWindowMinutes = checkInWindowMinutes;
+      if (noShowAction !== undefined) venue.queuePolicy.noShowAction = noShowAction;
+    }
+    // Seat payment policy
+    if (paymentPolicy && typeof paymentPolicy === 'object') {
+      if (typeof paymentPolicy.requirePayment === 'boolean') venue.paymentPolicy.requirePayment = paymentPolicy.requirePayment;
+      if (typeof paymentPolicy.winnerStaysFree === 'boolean') venue.paymentPolicy.winnerStaysFree = paymentPolicy.winnerStaysFree;
+    }
+    // Reservation policy (validated by the Venue schema)
+    if (reservationPolicy && typeof reservationPolicy === 'object') {
+      for (const key of ['depositTokens', 'minDurationMinutes', 'maxDurationMinutes', 'maxAdvanceDays', 'gracePeriodMinutes', 'freeCancellationMinutes', 'reminderMinutesBefore']) {
+        if (reservationPolicy[key] !== undefined) venue.reservationPolicy[key] = reservationPolicy[key];
+      }
+    }
+    if (visibility !== undefined) venue.visibility = visibility; // Validated by the Venue schema
+    // Opening hours (validated by the Venue schema); queues are cleared at closing time
+    if (typeof timezone === 'string') venue.timezone = timezone;
+    if (operatingHours && typeof operatingHours === 'object') {
+      venue.operatingHours = {
+        weekly: Array.isArray(operatingHours.weekly) ? operatingHours.weekly : [],
+        exceptions: Array.isArray(operatingHours.exceptions) ? operatingHours.exceptions : [],
+      };
+    }
 
     const updatedVenue = await venue.save();
     res.json(updatedVenue);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid venue settings.', error: error.message });
+    }
     console.error('Error updating venue:', error);
     res.status(500).json({ message: 'Server error updating venue.', error: error.message });
   }
@@ -293,13 +624,9 @@ router.put('/:venueId', async (req, res) => {
  * @description Delete a venue and its associated tables.
  * @access Private (Admin only)
  */
-router.delete('/:venueId', async (req, res) => {
+router.delete('/:venueId', requirePermission('venue:delete'), async (req, res) => {
   const { venueId } = req.params;
 
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Only administrators can delete venues.' });
-  }
-
   try {
     const venue = await Venue.findById(venueId);
     if (!venue) {
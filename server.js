@@ -22,13 +22,62 @@ initializeSocketIO(server, {
   }
 });
 
+// Command channel to table ESP32 devices ('/devices' namespace, HMAC-authenticated)
+const { initializeDeviceNamespace, registerDeviceCommandJobHandlers } = require('./services/deviceCommandService');
+initializeDeviceNamespace(getSocketIO());
+
 // Now initialize other services (MongoDB, Firebase Admin, Stripe)
 // Pass the 'app' instance here so Firebase Admin can be attached to it.
 initializeServices(app); // <--- MODIFIED: Pass 'app' instance
 
+// Start the persistent job scheduler (win confirmation reminders/deadlines, queue check-in deadlines).
+// Pending jobs are stored in MongoDB, so deadlines that passed while the server was down run on startup.
+// Jobs are claimed atomically, so every instance can run the scheduler.
+const { startScheduler } = require('./services/schedulerService');
+const { registerWinConfirmationJobHandlers, registerWinConfirmationTransitionHooks } = require('./services/winConfirmationService');
+const { registerQueueJobHandlers, registerQueueTransitionHooks } = require('./services/queueService');
+const { registerSessionTransitionHooks } = require('./services/sessionService');
+const { registerPaymentTransitionHooks } = require('./services/gamePaymentService');
+const { registerReservationJobHandlers } = require('./services/reservationService');
+const { registerDisputeJobHandlers } = require('./services/disputeService');
+registerWinConfirmationJobHandlers();
+registerQueueJobHandlers();
+registerReservationJobHandlers();
+registerDisputeJobHandlers();
+registerDeviceCommandJobHandlers();
+startScheduler();
+
+// Side effects of table transitions (services/tableStateMachineService.js): queue promotion before
+// a change is saved; unlocking started games and player notifications after; refunds for seat charges,
+// venue queue entries and game sessions taken or created by a change that was not saved.
+registerQueueTransitionHooks();
+registerPaymentTransitionHooks();
+registerSessionTransitionHooks();
+registerWinConfirmationTransitionHooks();
+
+// Marks table devices offline when their heartbeats stop. The monitors below run on every instance;
+// their updates are conditional, so only one instance acts on (and notifies about) each change.
+const { startDeviceMonitor } = require('./services/deviceService');
+startDeviceMonitor();
+
+// Clears the queues of venues at closing time (Venue.operatingHours).
+const { startVenueHoursMonitor } = require('./services/venueHoursService');
+startVenueHoursMonitor();
+
 
 // Middleware
 app.use(cors()); // Enable CORS for all routes
+
+// Stripe webhook: needs the raw body for signature verification and carries no Firebase token,
+// so it is registered BEFORE express.json() and the '/api' auth middleware.
+const { handleStripeWebhook } = require('./routes/paymentRoutes');
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
+// Table ESP32 device API: authenticated with HMAC-signed requests (deviceAuthMiddleware), not Firebase tokens.
+// The raw body is kept because it is part of the signed payload.
+const deviceRoutes = require('./routes/deviceRoutes');
+app.use('/api/devices', express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }), deviceRoutes);
+
 app.use(express.json()); // Body parser for JSON requests
 
 // Import the authentication middleware
@@ -50,6 +99,8 @@ const userRoutes = require('./routes/userRoutes');
 const venueRoutes = require('./routes/venueRoutes');
 const tableRoutes = require('./routes/tableRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -57,6 +108,8 @@ app.use('/api/user', userRoutes);
 app.use('/api/venues', venueRoutes);
 app.use('/api/tables', tableRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/reservations', reservationRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -64,5 +117,10 @@ app.use((err, req, res, next) => {
   res.status(500).send('Something broke!');
 });
 
+// Socket.IO adapter (SOCKET_ADAPTER): with 'mongodb', room emits reach sockets on every instance.
+// Applied before listening, as sockets connected before an adapter change lose their rooms.
+const { configureSocketAdapter } = require('./services/socketAdapterService');
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+configureSocketAdapter(getSocketIO()).then(() => {
+  server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+});
@@ -0,0 +1,235 @@
+// services/deviceCommandService.js
+// Command channel from the backend to table ESP32 devices (unlock/lock/reset the ball return).
+// Devices connect to the '/devices' Socket.IO namespace and acknowledge each 'command' event.
+// Every command is stored as a DeviceCommand; unacknowledged commands are retried through the
+// persistent scheduler until they are acknowledged, run out of attempts or expire.
+// Devices must treat commandId as idempotent: a command can arrive more than once (retry after a lost ack).
+
+const DeviceCommand = require('../models/DeviceCommand');
+const { verifyDeviceSignature } = require('../middleware/deviceAuthMiddleware');
+const { getSocketIO, emitToVenue } = require('./socketService');
+const { registerJobHandler, scheduleJob } = require('./schedulerService');
+const { recordHeartbeat } = require('./deviceService');
+
+const DEVICE_NAMESPACE = '/devices';
+const ACK_TIMEOUT_MS = 10 * 1000;
+const RETRY_DELAY_MS = 20 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 5;
+const COMMAND_TTL_MS = 5 * 60 * 1000;
+
+const JOB_DEVICE_COMMAND_RETRY = 'deviceCommandRetry';
+const DEVICE_COMMANDS = ['unlock', 'lock', 'reset'];
+
+const deviceRoom = (deviceId) => `device:${deviceId}`;
+
+/**
+ * Sets up the '/devices' namespace: authenticates devices with their HMAC secret (handshake auth
+ * { deviceId, timestamp, signature }, signed as method 'CONNECT' on path '/devices'), puts each device
+ * in its own room and redelivers commands that were still outstanding when it connects.
+ * @param {Object} io - The Socket.IO server.
+ */
+function initializeDeviceNamespace(io) {
+  const namespace = io.of(DEVICE_NAMESPACE);
+
+  namespace.use(async (socket, next) => {
+    const { deviceId, timestamp, signature } = socket.handshake.auth || {};
+    try {
+      const { table, error } = await verifyDeviceSignature({ deviceId, timestamp, signature, method: 'CONNECT', path: DEVICE_NAMESPACE });
+      if (error) {
+        console.warn(`[DEVICE_COMMANDS] Rejected socket connection from device ${deviceId}: ${error}`);
+        return next(new Error(error));
+      }
+      socket.data.deviceId = deviceId;
+      socket.data.tableId = table._id.toString();
+      next();
+    } catch (err) {
+      console.error('[DEVICE_COMMANDS] Error authenticating device socket:', err);
+      next(new Error('Server error authenticating device.'));
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    const { deviceId, tableId } = socket.data;
+    socket.join(deviceRoom(deviceId));
+    console.log(`[DEVICE_COMMANDS] Device ${deviceId} (table ${tableId}) connected on socket ${socket.id}.`);
+
+    socket.on('disconnect', (reason) => {
+      console.log(`[DEVICE_COMMANDS] Device ${deviceId} disconnected: ${reason}`);
+    });
+
+    try {
+      await recordHeartbeat(tableId);
+      const outstanding = await DeviceCommand.find({
+        deviceId,
+        status: { $in: ['pending', 'sent'] },
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: 1 });
+      for (const command of outstanding) {
+        deliverCommand(command._id).catch(error => console.error(`[DEVICE_COMMANDS] Error redelivering command ${command._id}:`, error));
+      }
+    } catch (error) {
+      console.error(`[DEVICE_COMMANDS] Error handling connection of device ${deviceId}:`, error);
+    }
+  });
+
+  console.log(`[DEVICE_COMMANDS] Namespace ${DEVICE_NAMESPACE} ready.`);
+  return namespace;
+}
+
+/**
+ * Tells the venue's clients (staff) how a command ended up.
+ * @param {Object} command - DeviceCommand document.
+ */
+function emitCommandUpdate(command) {
+  emitToVenue(command.venueId, 'deviceCommandUpdate', {
+    commandId: command._id,
+    tableId: command.tableId,
+    command: command.command,
+    reason: command.reason,
+    sessionId: command.sessionId,
+    status: command.status,
+    attempts: command.attempts,
+    ack: command.ack,
+    lastError: command.lastError,
+  });
+}
+
+/**
+ * Marks a command as failed or expired and notifies the venue.
+ */
+async function finishUndelivered(commandId, status, lastError) {
+  const command = await DeviceCommand.findOneAndUpdate(
+    { _id: commandId, status: { $in: ['pending', 'sent'] } },
+    { $set: { status, lastError } },
+    { new: true }
+  );
+  if (command) {
+    console.warn(`[DEVICE_COMMANDS] Command ${commandId} (${command.command} for device ${command.deviceId}) ${status}: ${lastError}`);
+    emitCommandUpdate(command);
+  }
+}
+
+/**
+ * Makes one delivery attempt for a command and waits for the device's ack.
+ * Schedules the next attempt when the device is unreachable or does not answer in time.
+ * @param {string} commandId
+ */
+async function deliverCommand(commandId) {
+  const now = new Date();
+  const command = await DeviceCommand.findOneAndUpdate(
+    { _id: commandId, status: { $in: ['pending', 'sent'] } },
+    { $set: { status: 'sent', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!command) return; // Already acknowledged/failed/expired
+
+  if (command.expiresAt <= now) {
+    return finishUndelivered(commandId, 'expired', 'Command expired before the device acknowledged it.');
+  }
+
+  const namespace = getSocketIO().of(DEVICE_NAMESPACE);
+  let error = null;
+  try {
+    const sockets = await namespace.in(deviceRoom(command.deviceId)).fetchSockets();
+    if (sockets.length === 0) {
+      error = 'Device not connected.';
+    } else {
+      console.log(`[DEVICE_COMMANDS] Sending ${command.command} (command ${command._id}, attempt ${command.attempts}) to device ${command.deviceId}.`);
+      const responses = await namespace
+        .to(deviceRoom(command.deviceId))
+        .timeout(ACK_TIMEOUT_MS)
+        .emitWithAck('command', {
+          commandId: command._id.toString(),
+          command: command.command,
+          sessionId: command.sessionId,
+          expiresAt: command.expiresAt,
+        });
+      const ack = responses.find(response => response && typeof response === 'object') || responses[0];
+      if (ack === undefined) {
+        error = 'Device not connected.';
+      } else {
+        const success = ack && typeof ack === 'object' ? ack.success !== false : true;
+        const message = ack && typeof ack === 'object' && typeof ack.message === 'string' ? ack.message : null;
+        const acknowledged = await DeviceCommand.findOneAndUpdate(
+          { _id: commandId, status: 'sent' },
+          { $set: { status: 'acknowledged', acknowledgedAt: new Date(), 'ack.success': success, 'ack.message': message, lastError: null } },
+          { new: true }
+        );
+        if (acknowledged) {
+          console.log(`[DEVICE_COMMANDS] Device ${command.deviceId} acknowledged command ${commandId} (${command.command}): ${success ? 'ok' : `failed - ${message}`}`);
+          emitCommandUpdate(acknowledged);
+        }
+        return;
+      }
+    }
+  } catch (err) {
+    error = err.message === 'operation has timed out' ? 'Device did not acknowledge in time.' : err.message;
+  }
+
+  await DeviceCommand.updateOne({ _id: commandId, status: 'sent' }, { $set: { lastError: error } });
+  if (command.attempts >= MAX_DELIVERY_ATTEMPTS) {
+    return finishUndelivered(commandId, 'failed', `${error} Gave up after ${command.attempts} attempts.`);
+  }
+  console.warn(`[DEVICE_COMMANDS] Attempt ${command.attempts} for command ${commandId} failed (${error}). Retrying in ${RETRY_DELAY_MS / 1000}s.`);
+  await scheduleJob(JOB_DEVICE_COMMAND_RETRY, new Date(Date.now() + RETRY_DELAY_MS), { commandId: commandId.toString(), tableId: command.tableId.toString() });
+}
+
+/**
+ * Issues a command to a table's device. Delivery happens in the background; the returned
+ * DeviceCommand is the log entry that tracks it.
+ * @param {Object} table - Table document (venueId may be populated or not).
+ * @param {'unlock'|'lock'|'reset'} command
+ * @param {Object} [options]
+ * @param {string} [options.reason] - e.g. 'game_started', 'manual'.
+ * @param {string} [options.sessionId] - The game this command belongs to.
+ * @param {string} [options.requestedBy] - UID of the staff member, if issued manually.
+ * @returns {Promise<Object|null>} The DeviceCommand, or null if the table has no device.
+ */
+async function sendDeviceCommand(table, command, { reason = null, sessionId = null, requestedBy = null } = {}) {
+  if (!table.esp32DeviceId) {
+    return null;
+  }
+  const deviceCommand = await DeviceCommand.create({
+    tableId: table._id,
+    venueId: table.venueId && table.venueId._id ? table.venueId._id : table.venueId,
+    deviceId: table.esp32DeviceId,
+    command,
+    reason,
+    sessionId,
+    requestedBy,
+    expiresAt: new Date(Date.now() + COMMAND_TTL_MS),
+  });
+  console.log(`[DEVICE_COMMANDS] Queued ${command} (command ${deviceCommand._id}) for device ${table.esp32DeviceId} on table ${table._id}. Reason: ${reason}`);
+
+  deliverCommand(deviceCommand._id).catch(error => console.error(`[DEVICE_COMMANDS] Error delivering command ${deviceCommand._id}:`, error));
+  return deviceCommand;
+}
+
+/**
+ * Command log for a table, newest first.
+ * @param {string} tableId
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Only commands for this game.
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCommandLog(tableId, { sessionId, limit = 50 } = {}) {
+  const filter = { tableId };
+  if (sessionId) filter.sessionId = sessionId;
+  return DeviceCommand.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Registers the scheduler handler for command retries. Call once at startup.
+ */
+function registerDeviceCommandJobHandlers() {
+  registerJobHandler(JOB_DEVICE_COMMAND_RETRY, ({ commandId }) => deliverCommand(commandId));
+}
+
+module.exports = {
+  DEVICE_COMMANDS,
+  initializeDeviceNamespace,
+  sendDeviceCommand,
+  getCommandLog,
+  registerDeviceCommandJobHandlers,
+};
@@ -0,0 +1,157 @@
+// services/deviceService.js
+// Table ESP32 devices: secrets, heartbeats, online/offline tracking and reported events.
+
+const crypto = require('crypto');
+const Table = require('../models/Table');
+const { emitToVenue, emitTableUpdate } = require('./socketService');
+
+const HEARTBEAT_TIMEOUT_MS = 90 * 1000; // A device that hasn't sent a heartbeat for this long is marked offline
+const MONITOR_INTERVAL_MS = 30 * 1000;
+
+// Events a device may report via POST /api/devices/events
+const DEVICE_EVENT_TYPES = ['ball_return_unlocked', 'ball_return_locked', 'game_started', 'game_over'];
+
+let monitorTimer = null;
+
+/**
+ * Generates and stores a new secret for a table's device, replacing any previous one.
+ * The secret is returned once so it can be flashed onto the device; it is never sent to clients again.
+ * @param {string} tableId
+ * @returns {Promise<string|null>} The new secret, or null if the table was not found.
+ */
+async function issueDeviceSecret(tableId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const table = await Table.findByIdAndUpdate(
+    tableId,
+    { $set: { 'device.secret': secret, 'device.online': false } },
+    { new: true }
+  );
+  if (!table) return null;
+  console.log(`[DEVICE_SERVICE] Issued new device secret for table ${tableId} (device ${table.esp32DeviceId}).`);
+  return secret;
+}
+
+/**
+ * Records a heartbeat and marks the device online. Emits tableStatusUpdate if it was offline.
+ * @param {string} tableId
+ * @param {Object} [details]
+ * @param {string} [details.firmwareVersion]
+ * @returns {Promise<Object|null>} The updated table, or null if not found.
+ */
+async function recordHeartbeat(tableId, { firmwareVersion } = {}) {
+  const update = { 'device.online': true, 'device.lastHeartbeatAt': new Date() };
+  if (typeof firmwareVersion === 'string') update['device.firmwareVersion'] = firmwareVersion;
+
+  // Returns the document as it was BEFORE the update so we know whether the device just came online
+  const previous = await Table.findByIdAndUpdate(tableId, { $set: update });
+  if (!previous) return null;
+
+  if (!previous.device || !previous.device.online) {
+    console.log(`[DEVICE_SERVICE] Device ${previous.esp32DeviceId} for table ${tableId} is online.`);
+    await emitTableUpdate(tableId);
+  }
+  return Table.findById(tableId);
+}
+
+/**
+ * Current table state as a device needs it (compact; no user profiles).
+ * @param {string} tableId
+ * @returns {Promise<Object|null>}
+ */
+async function getDeviceTableState(tableId) {
+  const table = await Table.findById(tableId).populate('venueId', 'perGameCost');
+  if (!table) return null;
+  return {
+    tableId: table._id,
+    tableNumber: table.tableNumber,
+    status: table.status,
+    currentPlayers: table.currentPlayers,
+    currentSessionId: table.currentSessionId,
+    pendingWinClaim: table.pendingWinClaim, // Lets the device tell a player's claim from its own game over report
+    queueLength: table.queue.length,
+    perGameCost: table.venueId && typeof table.venueId.perGameCost === 'number' ? table.venueId.perGameCost : null,
+    serverTime: new Date(),
+  };
+}
+
+/**
+ * Records an event reported by a table's device and relays it to the venue room as 'deviceEvent'.
+ * @param {string} tableId
+ * @param {string} type - One of DEVICE_EVENT_TYPES.
+ * @param {Object} [data] - Optional event details from the device.
+ * @returns {Promise<{success: boolean, error?: string}>} error is 'INVALID_EVENT_TYPE' or 'TABLE_NOT_FOUND'.
+ */
+async function recordDeviceEvent(tableId, type, data = {}) {
+  if (!DEVICE_EVENT_TYPES.includes(type)) {
+    return { success: false, error: 'INVALID_EVENT_TYPE' };
+  }
+  const at = new Date();
+  const table = await Table.findByIdAndUpdate(
+    tableId,
+    { $set: { 'device.lastEvent.type': type, 'device.lastEvent.at': at } },
+    { new: true }
+  );
+  if (!table) {
+    return { success: false, error: 'TABLE_NOT_FOUND' };
+  }
+
+  console.log(`[DEVICE_SERVICE] Device ${table.esp32DeviceId} on table ${tableId} reported '${type}'.`);
+  emitToVenue(table.venueId, 'deviceEvent', {
+    tableId: table._id,
+    tableNumber: table.tableNumber,
+    type,
+    data,
+    at,
+  });
+  return { success: true };
+}
+
+/**
+ * Marks devices offline whose last heartbeat is older than HEARTBEAT_TIMEOUT_MS.
+ * Each table is flipped with a conditional update, so concurrent instances emit at most once per table.
+ * @returns {Promise<number>} Number of devices marked offline.
+ */
+async function markStaleDevicesOffline() {
+  const cutoff = new Date(Date.now() - HEARTBEAT_TIMEOUT_MS);
+  const staleFilter = { 'device.online': true, 'device.lastHeartbeatAt': { $lt: cutoff } };
+  const staleTables = await Table.find(staleFilter).select('_id');
+
+  let markedOffline = 0;
+  for (const { _id } of staleTables) {
+    const table = await Table.findOneAndUpdate({ _id, ...staleFilter }, { $set: { 'device.online': false } }, { new: true });
+    if (!table) continue; // Heartbeat arrived or another instance got here first
+    markedOffline++;
+    console.warn(`[DEVICE_SERVICE] Device ${table.esp32DeviceId} for table ${_id} missed its heartbeat; marked offline.`);
+    await emitTableUpdate(_id);
+  }
+  return markedOffline;
+}
+
+/**
+ * Starts the periodic offline check. Safe to call once at server startup.
+ */
+function startDeviceMonitor() {
+  if (monitorTimer) return;
+  monitorTimer = setInterval(() => {
+    markStaleDevicesOffline().catch(error => console.error('[DEVICE_SERVICE] Error checking device heartbeats:', error));
+  }, MONITOR_INTERVAL_MS);
+  console.log(`[DEVICE_SERVICE] Device monitor started (heartbeat timeout ${HEARTBEAT_TIMEOUT_MS / 1000}s).`);
+}
+
+function stopDeviceMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+module.exports = {
+  DEVICE_EVENT_TYPES,
+  issueDeviceSecret,
+  recordHeartbeat,
+  getDeviceTableState,
+  recordDeviceEvent,
+  markStaleDevicesOffline,
+  startDeviceMonitor,
+  stopDeviceMonitor,
+};
@@ -0,0 +1,231 @@
+// services/disputeService.js
+const Dispute = require('../models/Dispute');
+const Table = require('../models/Table');
+const User = require('../models/User');
+const { completeGameSession, cancelGameSession } = require('./sessionService');
+const { applyGameResult, emitRatingUpdates } = require('./ratingService');
+const { refundSessionPayments } = require('./tokenService');
+const { advanceTableAfterGame } = require('./queueService');
+const { getSocketIO } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+const { runTableTransition } = require('./tableStateMachineService');
+const { registerJobHandler, scheduleJob } = require('./schedulerService');
+
+const RESOLUTIONS = ['award_player1', 'award_player2', 'void_refund'];
+const ADVANCE_TABLE_JOB = 'disputeAdvanceTable';
+const BUSY_TABLE_RETRY_MS = 15 * 1000; // Move the table on again this soon if it was busy
+
+/**
+ * Records a dispute of the current win claim on a table. If the session already has an open
+ * dispute, that one is returned instead of creating a duplicate.
+ * @param {Object} table - Table Mongoose document in 'awaiting_confirmation'.
+ * @param {string|null} raisedBy - Firebase UID of the player disputing the claim, or null when escalated automatically.
+ * @param {string} [reason] - Optional explanation from the player.
+ * @returns {Promise<Object>} The Dispute document.
+ */
+const openDispute = async (table, raisedBy, reason) => {
+  if (table.currentSessionId) {
+    const existingDispute = await Dispute.findOne({ sessionId: table.currentSessionId, status: 'open' });
+    if (existingDispute) {
+      console.log(`[DISPUTE_SERVICE] Session ${table.currentSessionId} already has open dispute ${existingDispute._id}.`);
+      return existingDispute;
+    }
+  }
+
+  const { player1Id, player2Id } = table.currentPlayers;
+  const dispute = await Dispute.create({
+    tableId: table._id,
+    venueId: table.venueId._id || table.venueId,
+    sessionId: table.currentSessionId || null,
+    player1Id,
+    player2Id,
+    // No claimant and no disputer: game end reported by the table device and nobody claimed the win
+    claimedWinnerId: table.pendingWinClaim?.claimedBy || (raisedBy ? (player1Id === raisedBy ? player2Id : player1Id) : null),
+    raisedBy,
+    reason: reason || '',
+  });
+  console.log(`[DISPUTE_SERVICE] Dispute ${dispute._id} opened by ${raisedBy || 'deadline escalation'} on table ${table._id} (session ${dispute.sessionId}).`);
+  return dispute;
+};
+
+/**
+ * Closes the open disputes of a session whose result the players confirmed themselves.
+ * @param {string} sessionId
+ * @param {string} winnerId - The winner the players agreed on.
+ */
+const settleOpenDisputesForSession = async (sessionId, winnerId) => {
+  const result = await Dispute.updateMany(
+    { sessionId, status: 'open' },
+    { $set: { status: 'resolved', resolution: 'settled_by_players', awardedWinnerId: winnerId, resolvedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[DISPUTE_SERVICE] ${result.modifiedCount} open dispute(s) for session ${sessionId} settled by the players.`);
+  }
+};
+
+/**
+ * Notifies both players of a dispute's outcome over Socket.IO ('disputeResolved') and push.
+ * @param {Object} dispute - The resolved Dispute document.
+ * @param {Object} table - The disputed table (for its number).
+ * @param {Array<Object>} refunds - Refunds made for a voided game.
+ */
+const notifyPlayersOfResolution = async (dispute, table, refunds) => {
+  const io = getSocketIO();
+  const tableNumber = table ? table.tableNumber : 'Unknown';
+  const outcome = dispute.resolution === 'void_refund'
+    ? 'The game was voided and payments refunded.'
+    : 'The win was awarded by venue staff.';
+
+  for (const playerId of [dispute.player1Id, dispute.player2Id]) {
+    const result = dispute.resolution === 'void_refund'
+      ? 'void'
+      : (dispute.awardedWinnerId === playerId ? 'win' : 'loss');
+
+    io.to(playerId).emit('disputeResolved', {
+      disputeId: dispute._id.toString(),
+      tableId: dispute.tableId.toString(),
+      tableNumber,
+      resolution: dispute.resolution,
+      awardedWinnerId: dispute.awardedWinnerId,
+      result,
+      refund: refunds.find(r => r.userId === playerId) || null,
+    });
+
+    const player = await User.findById(playerId);
+    if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+      sendPushNotification(
+        player.fcmTokens,
+        'Dispute Resolved',
+        `Your dispute on Table ${tableNumber} has been resolved. ${outcome}`,
+        { type: 'dispute_resolved', disputeId: dispute._id.toString(), tableId: dispute.tableId.toString(), result }
+      );
+    }
+  }
+  console.log(`[DISPUTE_SERVICE] Notified players ${dispute.player1Id} and ${dispute.player2Id} of resolution for dispute ${dispute._id}.`);
+};
+
+/**
+ * Moves the table on after a resolved dispute, as it would after a confirmed win, if the disputed
+ * game is still the table's current game.
+ * @param {Object} payload - { disputeId, tableId, sessionId, resolution, awardedWinnerId, resolvedBy }.
+ * @returns {Promise<Object>} The runTableTransition outcome.
+ */
+const advanceTableAfterResolution = (payload) =>
+  runTableTransition(payload.tableId, 'resolveDispute', async (table, event) => {
+    if (table.currentSessionId?.toString() !== payload.sessionId) {
+      return { error: 'GAME_ALREADY_ENDED' };
+    }
+    await advanceTableAfterGame(table, payload.awardedWinnerId);
+    event.details = { disputeId: payload.disputeId, resolution: payload.resolution, awardedWinnerId: payload.awardedWinnerId };
+  }, { populate: 'venueId', actor: { userId: payload.resolvedBy, role: 'staff' } });
+
+/**
+ * Job handler retrying advanceTableAfterResolution for a table that was busy when the dispute was
+ * resolved. Deferred (without counting as a failed attempt) while the table stays busy.
+ * @param {Object} payload - Job payload.
+ * @returns {Promise<{retryAfterMs: number}|undefined>}
+ */
+const handleAdvanceTable = async (payload) => {
+  const transition = await advanceTableAfterResolution(payload);
+  if (transition.error === 'TABLE_BUSY') {
+    console.warn(`[DISPUTE_SERVICE] Table ${payload.tableId} is still busy; moving it on after dispute ${payload.disputeId} later.`);
+    return { retryAfterMs: BUSY_TABLE_RETRY_MS };
+  }
+  if (transition.success && !transition.result?.error) {
+    console.log(`[DISPUTE_SERVICE] Table ${payload.tableId} moved on after dispute ${payload.disputeId}.`);
+  }
+};
+
+/**
+ * Resolves an open dispute: awards the game to one player (session completed, ratings updated)
+ * or voids it (session cancelled, game payments refunded). If the disputed game is still the
+ * table's current game, the table moves on as it would after a confirmed win (later, by a job,
+ * if the table is busy).
+ * @param {string} disputeId
+ * @param {'award_player1'|'award_player2'|'void_refund'} resolution
+ * @param {string} resolvedBy - Firebase UID of the admin resolving the dispute.
+ * @param {string} [notes]
+ * @returns {Promise<{dispute?: Object, ratingChanges?: Object, refunds?: Array, error?: string}>}
+ *   error is 'INVALID_RESOLUTION', 'NOT_FOUND' or 'ALREADY_RESOLVED'.
+ */
+const resolveDispute = async (disputeId, resolution, resolvedBy, notes) => {
+  if (!RESOLUTIONS.includes(resolution)) {
+    return { error: 'INVALID_RESOLUTION' };
+  }
+
+  const existing = await Dispute.findById(disputeId);
+  if (!existing) {
+    return { error: 'NOT_FOUND' };
+  }
+  const awardedWinnerId = resolution === 'award_player1' ? existing.player1Id
+    : resolution === 'award_player2' ? existing.player2Id
+    : null;
+
+  // Claim the dispute atomically so two admins cannot resolve it twice.
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: 'open' },
+    { $set: { status: 'resolved', resolution, awardedWinnerId, resolvedBy, resolvedAt: new Date(), resolutionNotes: notes || '' } },
+    { new: true }
+  );
+  if (!dispute) {
+    return { error: 'ALREADY_RESOLVED' };
+  }
+  console.log(`[DISPUTE_SERVICE] Dispute ${disputeId} resolved by ${resolvedBy} as ${resolution}.`);
+
+  let ratingChanges = null;
+  let refunds = [];
+  if (awardedWinnerId) {
+    const loserId = awardedWinnerId === dispute.player1Id ? dispute.player2Id : dispute.player1Id;
+    const completedSession = await completeGameSession(dispute.sessionId, awardedWinnerId);
+    if (completedSession || !dispute.sessionId) {
+      try {
+        ratingChanges = await applyGameResult(awardedWinnerId, loserId, dispute.venueId);
+        emitRatingUpdates(awardedWinnerId, loserId, ratingChanges, { tableId: dispute.tableId, sessionId: dispute.sessionId });
+      } catch (ratingError) {
+        console.error(`[DISPUTE_SERVICE] Failed to update ratings for dispute ${disputeId}:`, ratingError);
+      }
+    }
+  } else {
+    await cancelGameSession(dispute.sessionId);
+    refunds = await refundSessionPayments(dispute.sessionId, 'Refund for voided game (dispute resolution)');
+  }
+
+  if (dispute.sessionId) {
+    const payload = {
+      disputeId: dispute._id.toString(),
+      tableId: dispute.tableId.toString(),
+      sessionId: dispute.sessionId.toString(),
+      resolution,
+      awardedWinnerId,
+      resolvedBy,
+    };
+    const transition = await advanceTableAfterResolution(payload);
+    if (transition.error === 'TABLE_BUSY') {
+      // The dispute is already resolved; a job moves the table on once it is free
+      console.warn(`[DISPUTE_SERVICE] Table ${dispute.tableId} is busy; moving it on after dispute ${disputeId} later.`);
+      await scheduleJob(ADVANCE_TABLE_JOB, new Date(Date.now() + BUSY_TABLE_RETRY_MS), payload);
+    } else if (!transition.success && transition.error !== 'TABLE_NOT_FOUND' && transition.error !== 'ILLEGAL_TRANSITION') {
+      console.warn(`[DISPUTE_SERVICE] Could not move table ${dispute.tableId} on after dispute ${disputeId}: ${transition.error}.`);
+    }
+  }
+
+  const table = await Table.findById(dispute.tableId).select('tableNumber').lean();
+  await notifyPlayersOfResolution(dispute, table, refunds);
+
+  return { dispute, ratingChanges, refunds };
+};
+
+/**
+ * Registers the job handler that moves busy tables on after a resolved dispute. Call once at startup.
+ */
+const registerDisputeJobHandlers = () => {
+  registerJobHandler(ADVANCE_TABLE_JOB, handleAdvanceTable);
+};
+
+module.exports = {
+  RESOLUTIONS,
+  openDispute,
+  settleOpenDisputesForSession,
+  resolveDispute,
+  registerDisputeJobHandlers,
+};
@@ -0,0 +1,203 @@
+// services/gamePaymentService.js
+// Charging players the venue's perGameCost for their seat, and refunding seats released before play.
+// A seat payment is held on Table.seatPayments until the game starts, then moves to Session.payments.
+
+const Session = require('../models/Session');
+const { debitTokens, creditTokens } = require('./tokenService');
+const { onTableTransition } = require('./tableStateMachineService');
+
+// Seat charges made and seat refunds owed during a table transition that has not been saved yet,
+// keyed by the Table document: charges are refunded if it is not saved, refunds paid once it is
+// (see registerPaymentTransitionHooks).
+const uncommittedSeatCharges = new WeakMap();
+const uncommittedSeatRefunds = new WeakMap();
+
+/**
+ * Returns the venue's payment policy with defaults filled in.
+ * @param {Object} venue - Venue document or plain object (may be null or an unpopulated id).
+ * @returns {{requirePayment: boolean, winnerStaysFree: boolean, perGameCost: number}}
+ */
+const getPaymentPolicy = (venue) => {
+  const policy = (venue && venue.paymentPolicy) || {};
+  return {
+    requirePayment: policy.requirePayment !== false,
+    winnerStaysFree: policy.winnerStaysFree === true,
+    perGameCost: venue && typeof venue.perGameCost === 'number' ? venue.perGameCost : 10,
+  };
+};
+
+/**
+ * Whether the player already has a payment held for their seat on this table.
+ * @param {Object} table - Table Mongoose document.
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const hasPaidSeat = (table, userId) => table.seatPayments.some(payment => payment.userId === userId);
+
+/**
+ * Charges a player the venue's perGameCost for their seat and holds the payment on the table.
+ * Does nothing if the player already paid for this seat, or if the venue does not require
+ * payment (unless the player pays voluntarily). Mutates the table; the caller saves it. Call inside a
+ * table transition: the charge is refunded if the transition is not saved.
+ * @param {Object} table - Table Mongoose document with venueId populated.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.voluntary=false] - Charge even if the venue does not require payment (pay-with-tokens).
+ * @returns {Promise<{success: boolean, charged: boolean, newBalance?: number, error?: string}>}
+ *   error is 'USER_NOT_FOUND' or 'INSUFFICIENT_BALANCE' when success is false.
+ */
+const chargeForSeat = async (table, userId, { voluntary = false } = {}) => {
+  const policy = getPaymentPolicy(table.venueId);
+  if (hasPaidSeat(table, userId) || (!policy.requirePayment && !voluntary)) {
+    return { success: true, charged: false };
+  }
+
+  let transactionId = null;
+  let newBalance;
+  if (policy.perGameCost > 0) {
+    const debit = await debitTokens(userId, policy.perGameCost, {
+      reason: 'game_payment',
+      tableId: table._id,
+      venueId: table.venueId._id,
+      description: `Game on Table ${table.tableNumber} at ${table.venueId.name}`,
+    });
+    if (!debit.success) {
+      return { success: false, charged: false, error: debit.error };
+    }
+    transactionId = debit.transaction._id;
+    newBalance = debit.newBalance;
+    uncommittedSeatCharges.set(table, [...(uncommittedSeatCharges.get(table) || []), { userId, amount: policy.perGameCost }]);
+  }
+
+  table.seatPayments.push({ userId, amount: policy.perGameCost, transactionId, paidAt: new Date() });
+  console.log(`[GAME_PAYMENT] Charged ${policy.perGameCost} tokens to ${userId} for a seat on table ${table._id}.`);
+  return { success: true, charged: true, newBalance };
+};
+
+/**
+ * Holds a free seat for the winner who stays on (venue paymentPolicy.winnerStaysFree).
+ * Mutates the table; the caller saves it.
+ * @param {Object} table - Table Mongoose document.
+ * @param {string} userId
+ */
+const grantFreeSeat = (table, userId) => {
+  if (!hasPaidSeat(table, userId)) {
+    table.seatPayments.push({ userId, amount: 0, transactionId: null, paidAt: new Date() });
+    console.log(`[GAME_PAYMENT] Winner ${userId} stays on table ${table._id} for free.`);
+  }
+};
+
+/**
+ * Refunds a seat payment held for a player whose seat was released before the game started.
+ * Mutates the table; the caller saves it. Call inside a table transition: the tokens are credited
+ * once the transition is saved, never for one that is not.
+ * @param {Object} table - Table Mongoose document with venueId populated or not.
+ * @param {string} userId
+ * @param {string} description - Shown in the player's transaction history.
+ * @returns {Promise<number>} The number of tokens to be refunded (0 if there is nothing to refund).
+ */
+const refundSeatPayment = async (table, userId, description) => {
+  const payment = table.seatPayments.find(p => p.userId === userId);
+  if (!payment) return 0;
+
+  table.seatPayments = table.seatPayments.filter(p => p.userId !== userId);
+  const refund = { userId, amount: payment.amount, description };
+  uncommittedSeatRefunds.set(table, [...(uncommittedSeatRefunds.get(table) || []), refund]);
+  return payment.amount > 0 ? payment.amount : 0;
+};
+
+/**
+ * Credits back a seat payment that was already taken off the table, e.g. once the transition that
+ * released the seat has been saved.
+ * @param {Object} table - Table document or plain object (venueId populated or not).
+ * @param {Object} payment - { userId, amount } from Table.seatPayments.
+ * @param {string} description - Shown in the player's transaction history.
+ * @returns {Promise<number>} The number of tokens refunded.
+ */
+const creditSeatRefund = async (table, { userId, amount }, description) => {
+  if (amount <= 0) return 0;
+
+  await creditTokens(userId, amount, {
+    reason: 'game_refund',
+    tableId: table._id,
+    venueId: table.venueId._id || table.venueId,
+    description,
+  });
+  console.log(`[GAME_PAYMENT] Refunded ${amount} tokens to ${userId} for released seat on table ${table._id}.`);
+  return amount;
+};
+
+/**
+ * Charges a player for the game already running on a table; the payment goes straight to its session.
+ * The payment is added with a conditional update before the tokens are debited, so two requests at
+ * once can't both charge the player. It is taken off again if the debit fails.
+ * @param {Object} table - Table document with venueId populated and a currentSessionId.
+ * @param {string} userId
+ * @param {number} amount
+ * @returns {Promise<{success: boolean, newBalance?: number, error?: string}>} error is 'ALREADY_PAID',
+ *   'USER_NOT_FOUND' or 'INSUFFICIENT_BALANCE'.
+ */
+const chargeForSession = async (table, userId, amount) => {
+  const sessionId = table.currentSessionId;
+  const reserved = await Session.updateOne(
+    { _id: sessionId, 'payments.userId': { $ne: userId } },
+    { $push: { payments: { userId, amount, transactionId: null, paidAt: new Date() } } }
+  );
+  if (reserved.modifiedCount === 0) {
+    return { success: false, error: 'ALREADY_PAID' };
+  }
+
+  const debit = await debitTokens(userId, amount, {
+    reason: 'game_payment',
+    sessionId,
+    tableId: table._id,
+    venueId: table.venueId._id,
+    description: `Game on Table ${table.tableNumber} at ${table.venueId.name}`,
+  });
+  if (!debit.success) {
+    await Session.updateOne({ _id: sessionId }, { $pull: { payments: { userId, transactionId: null } } });
+    return { success: false, error: debit.error };
+  }
+  await Session.updateOne(
+    { _id: sessionId, 'payments.userId': userId },
+    { $set: { 'payments.$.transactionId': debit.transaction._id } }
+  );
+  console.log(`[GAME_PAYMENT] Charged ${amount} tokens to ${userId} for the running game ${sessionId} on table ${table._id}.`);
+  return { success: true, newBalance: debit.newBalance };
+};
+
+/**
+ * Pays the seat refunds of a table transition once it is saved, and refunds the seat charges of one
+ * that was not saved after all (the player paid but never got the seat). Call once at startup.
+ */
+const registerPaymentTransitionHooks = () => {
+  onTableTransition('afterCommit', '*', async (table) => {
+    const refunds = uncommittedSeatRefunds.get(table);
+    if (!refunds) return;
+    uncommittedSeatRefunds.delete(table);
+    for (const refund of refunds) {
+      await creditSeatRefund(table, refund, refund.description);
+    }
+  });
+
+  onTableTransition('afterRollback', '*', async (table, event) => {
+    const charges = uncommittedSeatCharges.get(table);
+    if (!charges) return;
+    uncommittedSeatCharges.delete(table);
+    for (const charge of charges) {
+      await creditSeatRefund(table, charge, `Refund for Table ${table.tableNumber}: seat could not be taken`);
+    }
+    console.warn(`[GAME_PAYMENT] ${event.name} on table ${table._id} was not saved; refunded ${charges.length} seat charge(s).`);
+  });
+};
+
+module.exports = {
+  getPaymentPolicy,
+  hasPaidSeat,
+  chargeForSeat,
+  grantFreeSeat,
+  refundSeatPayment,
+  creditSeatRefund,
+  chargeForSession,
+  registerPaymentTransitionHooks,
+};
@@ -1,6 +1,34 @@
 // services/gameService.js
 const User = require('../models/User'); // Import the User model
 
+/**
+ * Looks up a user's display details (displayName, falling back to email).
+ * @param {string} userId - Firebase UID.
+ * @returns {Promise<Object>} An object with _id and displayName ('Unknown Player' if the user no longer exists).
+ */
+const getPlayerDisplayDetails = async (userId) => {
+  try {
+    const player = await User.findById(userId);
+    if (player) {
+      return {
+        _id: player._id,
+        displayName: player.displayName || player.email, // Use displayName or fallback to email
+      };
+    }
+    // Handle case where the id exists but user not found (e.g., deleted user)
+    return {
+      _id: userId,
+      displayName: 'Unknown Player',
+    };
+  } catch (error) {
+    console.error(`Error populating player details for ${userId}:`, error);
+    return {
+      _id: userId,
+      displayName: 'Error Fetching Player',
+    };
+  }
+};
+
 /**
  * Populates player details (displayName) for player1Id and player2Id on a table object.
  * @param {Object} table - The table object (can be a Mongoose document or a plain object).
@@ -10,51 +38,11 @@ const populateTablePlayersDetails = async (table) => {
   const populatedTable = { ...table }; // Create a copy to avoid modifying original Mongoose doc directly
 
   if (populatedTable.currentPlayers && populatedTable.currentPlayers.player1Id) {
-    try {
-      const player1 = await User.findById(populatedTable.currentPlayers.player1Id);
-      if (player1) {
-        populatedTable.player1Details = {
-          _id: player1._id,
-          displayName: player1.displayName || player1.email, // Use displayName or fallback to email
-        };
-      } else {
-        // Handle case where player1Id exists but user not found (e.g., deleted user)
-        populatedTable.player1Details = {
-          _id: populatedTable.currentPlayers.player1Id,
-          displayName: 'Unknown Player',
-        };
-      }
-    } catch (error) {
-      console.error(`Error populating player1Details for ${populatedTable.currentPlayers.player1Id}:`, error);
-      populatedTable.player1Details = {
-        _id: populatedTable.currentPlayers.player1Id,
-        displayName: 'Error Fetching Player',
-      };
-    }
+    populatedTable.player1Details = await getPlayerDisplayDetails(populatedTable.currentPlayers.player1Id);
   }
 
   if (populatedTable.currentPlayers && populatedTable.currentPlayers.player2Id) {
-    try {
-      const player2 = await User.findById(populatedTable.currentPlayers.player2Id);
-      if (player2) {
-        populatedTable.player2Details = {
-          _id: player2._id,
-          displayName: player2.displayName || player2.email, // Use displayName or fallback to email
-        };
-      } else {
-        // Handle case where player2Id exists but user not found
-        populatedTable.player2Details = {
-          _id: populatedTable.currentPlayers.player2Id,
-          displayName: 'Unknown Player',
-        };
-      }
-    } catch (error) {
-      console.error(`Error populating player2Details for ${populatedTable.currentPlayers.player2Id}:`, error);
-      populatedTable.player2Details = {
-        _id: populatedTable.currentPlayers.player2Id,
-        displayName: 'Error Fetching Player',
-      };
-    }
+    populatedTable.player2Details = await getPlayerDisplayDetails(populatedTable.currentPlayers.player2Id);
   }
 
   return populatedTable;
@@ -99,6 +87,7 @@ const populateQueueWithUserDetails = async (queue) => {
 };
 
 module.exports = {
+  getPlayerDisplayDetails,
   populateTablePlayersDetails,
   populateQueueWithUserDetails,
 };
@@ -0,0 +1,516 @@
+// services/queueService.js
+// Moving players from a table's queue onto its seats, including the "your turn" check-in window.
+// Seats a table's own queue can't fill go to the venue-wide queue (Venue.queue): the first waiting
+// party whose size and table type preferences fit the table.
+// While a reservation slot is running and its holder hasn't checked in, nobody is promoted.
+
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const Reservation = require('../models/Reservation');
+const { startGameSession } = require('./sessionService');
+const { populateQueueWithUserDetails } = require('./gameService');
+const { sendPushNotification } = require('./notificationService');
+const { getSocketIO, emitToVenue } = require('./socketService');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./schedulerService');
+const { getPaymentPolicy, chargeForSeat, grantFreeSeat, refundSeatPayment } = require('./gamePaymentService');
+const { onTableTransition, runTableTransition } = require('./tableStateMachineService');
+
+const CHECK_IN_JOB = 'queueCheckInTimeout';
+const BUSY_TABLE_RETRY_MS = 15 * 1000; // Run the check-in timeout again this soon if the table was busy
+const DEFAULT_POLICY = { checkInWindowMinutes: 3, noShowAction: 'move_to_back' };
+
+/**
+ * Returns the venue's queue policy with defaults filled in.
+ * @param {Object} venue - Venue document or plain object (may be null or an unpopulated id).
+ * @returns {{checkInWindowMinutes: number, noShowAction: string}}
+ */
+const getQueuePolicy = (venue) => {
+  const policy = (venue && venue.queuePolicy) || {};
+  return {
+    checkInWindowMinutes: typeof policy.checkInWindowMinutes === 'number' ? policy.checkInWindowMinutes : DEFAULT_POLICY.checkInWindowMinutes,
+    noShowAction: policy.noShowAction || DEFAULT_POLICY.noShowAction,
+  };
+};
+
+/**
+ * Sets the table status from who is seated: 'in_play' (starting a game session) once both players
+ * are seated and checked in, 'occupied' while a promoted player still has to check in, otherwise
+ * 'queued' or 'available'. Mutates the table; the caller is responsible for saving it.
+ * @param {Object} table - Table Mongoose document.
+ */
+const refreshSeatedStatus = async (table) => {
+  const { player1Id, player2Id } = table.currentPlayers;
+  if (player1Id && player2Id && table.pendingCheckIns.length === 0) {
+    if (!table.currentSessionId) {
+      await startGameSession(table, 'game');
+    }
+    table.status = 'in_play';
+  } else if (player1Id && player2Id) {
+    table.status = 'occupied'; // Seats are taken but the game waits for check-in
+  } else {
+    table.status = table.queue.length > 0 ? 'queued' : 'available';
+  }
+};
+
+// Notifications for players moved by a table transition that has not been saved yet, keyed by the
+// Table document; they are sent once it is saved and dropped if it is not (see registerQueueTransitionHooks).
+const unsentQueueNotices = new WeakMap();
+
+/**
+ * Queues a notification to send once the table transition in progress is saved.
+ * @param {Object} table - Table document of the transition.
+ * @param {Function} send - async () => void.
+ */
+const notifyAfterCommit = (table, send) => {
+  unsentQueueNotices.set(table, [...(unsentQueueNotices.get(table) || []), send]);
+};
+
+/**
+ * Tells a player their turn was skipped because their seat could not be paid for.
+ * @param {Object} table - Table Mongoose document.
+ * @param {string} userId
+ */
+const notifySkippedForPayment = async (table, userId) => {
+  getSocketIO().to(userId).emit('queueTurnSkipped', {
+    tableId: table._id.toString(),
+    tableNumber: table.tableNumber,
+    reason: 'insufficient_balance',
+  });
+  const player = await User.findById(userId);
+  if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+    sendPushNotification(
+      player.fcmTokens,
+      'Turn Skipped',
+      `It was your turn on Table ${table.tableNumber}, but you don't have enough tokens to pay for the game.`,
+      { type: 'queue_turn_skipped', tableId: table._id.toString(), reason: 'insufficient_balance' }
+    );
+  }
+};
+
+/**
+ * The reservation holding the table right now: its slot has started and the holder has not
+ * checked in yet (nor been marked a no-show).
+ * @param {Object} table - Table document or plain object.
+ * @returns {Promise<Object|null>} The Reservation (lean), or null if the table is not held.
+ */
+const getReservationHold = async (table) => {
+  const now = new Date();
+  return Reservation.findOne({
+    tableId: table._id,
+    status: 'booked',
+    startTime: { $lte: now },
+    endTime: { $gt: now },
+  }).lean();
+};
+
+/**
+ * Whether a venue queue entry can be seated at a table with the given number of free seats.
+ * @param {Object} entry - Venue.queue entry.
+ * @param {Object} table - Table document.
+ * @param {number} freeSeats
+ * @returns {boolean}
+ */
+const venueQueueEntryFits = (entry, table, freeSeats) =>
+  (entry.partySize || 1) <= freeSeats &&
+  (!entry.tableTypes || entry.tableTypes.length === 0 || entry.tableTypes.includes(table.tableType)) &&
+  ![entry.userId, entry.partnerId].some(id => id && (id === table.currentPlayers.player1Id || id === table.currentPlayers.player2Id));
+
+// Venue queue entries taken by a table transition that has not been saved yet, keyed by the Table
+// document, so they can be put back if it is not (see registerQueueTransitionHooks).
+const takenVenueQueueEntries = new WeakMap();
+
+/**
+ * Removes and returns the first entry of the venue queue that fits the table. The entry is pulled
+ * atomically, so two tables freeing up at once can't both take the same party.
+ * @param {Object} table - Table document.
+ * @param {number} freeSeats
+ * @returns {Promise<Object|null>} The entry, or null if nobody in the venue queue fits.
+ */
+const takeNextVenueQueueEntry = async (table, freeSeats) => {
+  const venueId = table.venueId._id || table.venueId;
+  const venue = await Venue.findById(venueId).select('queue').lean();
+  const position = venue ? venue.queue.findIndex(e => venueQueueEntryFits(e, table, freeSeats)) : -1;
+  if (position === -1) return null;
+  const entry = venue.queue[position];
+
+  const pulled = await Venue.findOneAndUpdate(
+    { _id: venueId, 'queue.userId': entry.userId },
+    { $pull: { queue: { userId: entry.userId } } }
+  );
+  if (!pulled) return null;
+  takenVenueQueueEntries.set(table, [...(takenVenueQueueEntries.get(table) || []), { entry, position }]);
+  return entry;
+};
+
+/**
+ * Puts venue queue entries back where they were after the transition that took them was not saved.
+ * @param {Object} table - Table document.
+ * @param {Array<{entry: Object, position: number}>} taken - In the order they were taken.
+ */
+const restoreVenueQueueEntries = async (table, taken) => {
+  const venueId = table.venueId._id || table.venueId;
+  for (const { entry, position } of [...taken].reverse()) {
+    await Venue.updateOne(
+      { _id: venueId, 'queue.userId': { $ne: entry.userId } },
+      { $push: { queue: { $each: [entry], $position: position } } }
+    );
+  }
+  console.log(`[QUEUE_SERVICE] Table ${table._id} was not saved; put ${taken.length} venue queue entr${taken.length === 1 ? 'y' : 'ies'} back.`);
+  await emitVenueQueueUpdate(venueId);
+};
+
+/**
+ * The venue queue in order, with display names and positions, as sent to clients.
+ * @param {string} venueId
+ * @returns {Promise<Array<Object>>}
+ */
+const getVenueQueue = async (venueId) => {
+  const venue = await Venue.findById(venueId).select('queue').lean();
+  const entries = venue ? venue.queue : [];
+  const players = await populateQueueWithUserDetails(entries.map(e => e.userId));
+  const queue = entries.map((entry, index) => ({
+    position: index + 1,
+    userId: entry.userId,
+    displayName: players[index] ? players[index].displayName : 'Unknown User',
+    partnerId: entry.partnerId,
+    partySize: entry.partySize,
+    tableTypes: entry.tableTypes,
+    joinedAt: entry.joinedAt,
+  }));
+  return queue;
+};
+
+/**
+ * Broadcasts the venue queue to the venue room as 'venueQueueUpdate'.
+ * @param {string} venueId
+ * @returns {Promise<Array<Object>>} The queue as emitted.
+ */
+const emitVenueQueueUpdate = async (venueId) => {
+  const queue = await getVenueQueue(venueId);
+  emitToVenue(venueId, 'venueQueueUpdate', { venueId: venueId.toString(), queue });
+  console.log(`[QUEUE_SERVICE] Emitted venueQueueUpdate for venue ${venueId} (${queue.length} waiting).`);
+  return queue;
+};
+
+/**
+ * Puts a promoted player in an empty seat: with a check-in window they get a deadline (and pay at
+ * check-in), otherwise they are charged now. Mutates the table.
+ * @returns {Promise<{userId: string, deadline: Date|null}|null>} null if the player could not pay and was skipped.
+ */
+const seatPromotedPlayer = async (table, userId, policy) => {
+  const tableId = table._id;
+  if (policy.checkInWindowMinutes <= 0) {
+    const charge = await chargeForSeat(table, userId);
+    if (!charge.success) {
+      console.log(`[QUEUE_SERVICE] Skipping ${userId} on table ${tableId}: seat payment failed (${charge.error}).`);
+      notifyAfterCommit(table, () => notifySkippedForPayment(table, userId));
+      return null;
+    }
+  }
+  if (!table.currentPlayers.player1Id) {
+    table.currentPlayers.player1Id = userId;
+  } else {
+    table.currentPlayers.player2Id = userId;
+  }
+
+  let deadline = null;
+  if (policy.checkInWindowMinutes > 0) {
+    deadline = new Date(Date.now() + policy.checkInWindowMinutes * 60 * 1000);
+    table.pendingCheckIns.push({ userId, deadline });
+    await scheduleJob(CHECK_IN_JOB, deadline, { tableId: tableId.toString(), userId, deadline: deadline.toISOString() });
+  }
+  console.log(`[QUEUE_SERVICE] Next player ${userId} from queue seated on table ${tableId}${deadline ? `, check-in by ${deadline.toISOString()}` : ''}.`);
+  return { userId, deadline };
+};
+
+/**
+ * Seats players from the front of the queue in the table's empty seats; once the table's own queue
+ * is empty, the next fitting party from the venue queue is seated instead. With a check-in window
+ * configured for the venue, each promoted player gets a deadline to POST /check-in (and pays then);
+ * otherwise they are charged and seated right away, and skipped if they cannot pay.
+ * Promoted players get a "Your Turn!" push once the table is saved.
+ * Run inside a table transition (see registerQueueTransitionHooks); mutates the table.
+ * @param {Object} table - Table Mongoose document (venueId populated for the policy and venue name).
+ * @returns {Promise<Array<string>>} The user IDs promoted from the queue.
+ */
+const promoteFromQueue = async (table) => {
+  const tableId = table._id;
+  const policy = getQueuePolicy(table.venueId);
+  const promoted = [];
+  const fromVenueQueue = new Set();
+
+  const hold = await getReservationHold(table);
+  if (hold) {
+    console.log(`[QUEUE_SERVICE] Table ${tableId} is held for reservation ${hold._id}; not promoting from the queue.`);
+    await refreshSeatedStatus(table);
+    return [];
+  }
+
+  while (!table.currentPlayers.player1Id || !table.currentPlayers.player2Id) {
+    let nextPlayerIds;
+    if (table.queue.length > 0) {
+      nextPlayerIds = [table.queue.shift()];
+    } else {
+      const freeSeats = (table.currentPlayers.player1Id ? 0 : 1) + (table.currentPlayers.player2Id ? 0 : 1);
+      const entry = await takeNextVenueQueueEntry(table, freeSeats);
+      if (!entry) break;
+      nextPlayerIds = [entry.userId, entry.partnerId].filter(Boolean);
+      nextPlayerIds.forEach(id => fromVenueQueue.add(id));
+      console.log(`[QUEUE_SERVICE] Venue queue party of ${nextPlayerIds.length} (${nextPlayerIds.join(', ')}) assigned to table ${tableId}.`);
+    }
+    for (const nextPlayerId of nextPlayerIds) {
+      const seated = await seatPromotedPlayer(table, nextPlayerId, policy);
+      if (seated) promoted.push(seated);
+    }
+  }
+
+  await refreshSeatedStatus(table);
+  if (promoted.length > 0 || fromVenueQueue.size > 0) {
+    notifyAfterCommit(table, () => notifyPromotedPlayers(table, promoted, fromVenueQueue, policy));
+  }
+
+  return promoted.map(p => p.userId);
+};
+
+/**
+ * Tells players promoted by promoteFromQueue it is their turn, and players taken from the venue
+ * queue which table they were assigned to.
+ * @param {Object} table - Table document (venueId populated).
+ * @param {Array<{userId: string, deadline: Date|null}>} promoted
+ * @param {Set<string>} fromVenueQueue - Players taken from the venue queue (seated or not).
+ * @param {Object} policy - The venue's queue policy.
+ */
+const notifyPromotedPlayers = async (table, promoted, fromVenueQueue, policy) => {
+  const tableId = table._id;
+  if (fromVenueQueue.size > 0) {
+    const venueId = table.venueId._id || table.venueId;
+    const io = getSocketIO();
+    for (const userId of fromVenueQueue) {
+      const seat = promoted.find(p => p.userId === userId);
+      io.to(userId).emit('venueQueueAssigned', {
+        venueId: venueId.toString(),
+        tableId: tableId.toString(),
+        tableNumber: table.tableNumber,
+        seated: !!seat,
+        checkInDeadline: seat && seat.deadline ? seat.deadline.toISOString() : null,
+      });
+    }
+    await emitVenueQueueUpdate(venueId);
+  }
+
+  const venueName = table.venueId && table.venueId.name ? table.venueId.name : 'the venue';
+  for (const { userId, deadline } of promoted) {
+    const player = await User.findById(userId);
+    if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+      const checkInText = deadline ? ` Check in within ${policy.checkInWindowMinutes} minute(s) to keep your spot.` : '';
+      sendPushNotification(
+        player.fcmTokens,
+        'Your Turn!',
+        `It's your turn on Table ${table.tableNumber} at ${venueName}.${checkInText}`,
+        {
+          type: 'your_turn',
+          tableId: tableId.toString(),
+          tableNumber: table.tableNumber.toString(),
+          checkInDeadline: deadline ? deadline.toISOString() : '',
+        }
+      );
+    }
+  }
+};
+
+/**
+ * Moves a table on after its current game has ended: the winner (if any) stays as Player 1 and
+ * the other seat is freed. Run it inside a transition that promotes from the queue (e.g. confirmWin),
+ * which fills the empty seats. Mutates the table; the state machine saves it.
+ * @param {Object} table - Table Mongoose document (venueId populated).
+ * @param {string|null} winnerId - Firebase UID of the winner, or null if the game was voided (both players leave).
+ */
+const advanceTableAfterGame = async (table, winnerId) => {
+  const tableId = table._id;
+  if (winnerId && table.currentPlayers.player1Id?.toString() === winnerId.toString()) {
+    // Winner was player1, loser was player2
+    table.currentPlayers.player2Id = null;
+    console.log(`[QUEUE_SERVICE] Winner ${winnerId} remains as Player 1 on table ${tableId}.`);
+  } else if (winnerId && table.currentPlayers.player2Id?.toString() === winnerId.toString()) {
+    // Winner was player2, loser was player1. Move winner to player1 slot.
+    table.currentPlayers.player1Id = winnerId;
+    table.currentPlayers.player2Id = null;
+    console.log(`[QUEUE_SERVICE] Winner ${winnerId} moved to Player 1 on table ${tableId}.`);
+  } else {
+    if (winnerId) {
+      console.warn(`[QUEUE_SERVICE] Unexpected player configuration while ending game on table ${tableId}.`);
+    }
+    table.currentPlayers = { player1Id: null, player2Id: null };
+  }
+  table.currentSessionId = null;
+  table.pendingWinClaim = { claimedBy: null, claimedAt: null, confirmationDeadline: null };
+  table.lastGameEndedAt = new Date();
+
+  // The winner's seat for the next game is either free or paid like any other seat.
+  const stayingPlayerId = table.currentPlayers.player1Id;
+  const paymentPolicy = getPaymentPolicy(table.venueId);
+  if (stayingPlayerId && paymentPolicy.requirePayment) {
+    if (paymentPolicy.winnerStaysFree) {
+      grantFreeSeat(table, stayingPlayerId);
+    } else {
+      const charge = await chargeForSeat(table, stayingPlayerId);
+      if (!charge.success) {
+        console.log(`[QUEUE_SERVICE] Winner ${stayingPlayerId} could not pay for the next game on table ${tableId} (${charge.error}). Seat released.`);
+        table.currentPlayers.player1Id = null;
+        notifyAfterCommit(table, () => notifySkippedForPayment(table, stayingPlayerId));
+      }
+    }
+  }
+};
+
+/**
+ * Checks in a player promoted from the queue, charging them for their seat. Starts the game if
+ * both players are now ready. Mutates the table; the caller is responsible for saving it.
+ * @param {Object} table - Table Mongoose document with venueId populated.
+ * @param {string} userId
+ * @returns {Promise<{success: boolean, error?: string}>} error is 'NO_PENDING_CHECK_IN',
+ *   'INSUFFICIENT_BALANCE' or 'USER_NOT_FOUND'. A player who cannot pay stays pending until the deadline.
+ */
+const checkInPlayer = async (table, userId) => {
+  const hadPendingCheckIn = table.pendingCheckIns.some(entry => entry.userId === userId);
+  if (!hadPendingCheckIn) {
+    return { success: false, error: 'NO_PENDING_CHECK_IN' };
+  }
+  const charge = await chargeForSeat(table, userId);
+  if (!charge.success) {
+    return { success: false, error: charge.error };
+  }
+  table.pendingCheckIns = table.pendingCheckIns.filter(entry => entry.userId !== userId);
+  await cancelJobs([CHECK_IN_JOB], { tableId: table._id.toString(), userId });
+  await refreshSeatedStatus(table);
+  console.log(`[QUEUE_SERVICE] Player ${userId} checked in on table ${table._id}. Status: ${table.status}`);
+  return { success: true };
+};
+
+/**
+ * Skips a promoted player who did not check in before their deadline: frees their seat,
+ * requeues them at the back (if others are waiting and the venue policy allows it) or drops
+ * them. The checkInTimeout transition then promotes the next queued player. If another request
+ * holds the table the job is deferred (without counting as a failed attempt) until the table is free.
+ * @param {Object} payload - Job payload { tableId, userId, deadline }.
+ * @returns {Promise<{retryAfterMs: number}|undefined>}
+ */
+const handleCheckInTimeout = async (payload) => {
+  const transition = await runTableTransition(payload.tableId, 'checkInTimeout', async (table, event) => {
+    const entry = table.pendingCheckIns.find(e => e.userId === payload.userId);
+    if (!entry || entry.deadline.toISOString() !== payload.deadline) {
+      return { error: 'NOT_PENDING' };
+    }
+
+    const policy = getQueuePolicy(table.venueId);
+    table.pendingCheckIns = table.pendingCheckIns.filter(e => e.userId !== payload.userId);
+    await refundSeatPayment(table, payload.userId, `Refund for Table ${table.tableNumber}: missed check-in`);
+    if (table.currentPlayers.player1Id === payload.userId) {
+      // Keep the remaining player in the Player 1 slot
+      table.currentPlayers.player1Id = table.currentPlayers.player2Id;
+      table.currentPlayers.player2Id = null;
+    } else if (table.currentPlayers.player2Id === payload.userId) {
+      table.currentPlayers.player2Id = null;
+    }
+
+    // Requeueing when nobody else is waiting would just promote the same no-show again.
+    const requeued = policy.noShowAction === 'move_to_back' && table.queue.length > 0;
+    if (requeued) {
+      table.queue.push(payload.userId);
+    }
+    event.details = { userId: payload.userId, requeued };
+    return { table, requeued };
+  }, { populate: 'venueId' });
+
+  if (transition.error === 'TABLE_BUSY') {
+    console.warn(`[QUEUE_SERVICE] Table ${payload.tableId} is busy; checking ${payload.userId}'s check-in later.`);
+    return { retryAfterMs: BUSY_TABLE_RETRY_MS };
+  }
+  if (!transition.success || transition.result.error) {
+    console.log(`[QUEUE_SERVICE] Check-in of ${payload.userId} on table ${payload.tableId} is no longer pending. Skipping job.`);
+    return;
+  }
+
+  const { table, requeued } = transition.result;
+  console.log(`[QUEUE_SERVICE] Player ${payload.userId} missed check-in on table ${payload.tableId}. ${requeued ? 'Moved to back of queue' : 'Dropped'}. Promoted: ${(transition.details.promoted || []).join(', ') || 'none'}`);
+
+  getSocketIO().to(payload.userId).emit('checkInMissed', {
+    tableId: payload.tableId,
+    tableNumber: table.tableNumber,
+    requeued,
+    queuePosition: requeued ? table.queue.indexOf(payload.userId) + 1 : null,
+  });
+  const player = await User.findById(payload.userId);
+  if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+    sendPushNotification(
+      player.fcmTokens,
+      'Turn Skipped',
+      requeued
+        ? `You didn't check in on Table ${table.tableNumber} in time and were moved to the back of the queue.`
+        : `You didn't check in on Table ${table.tableNumber} in time and were removed from the queue.`,
+      { type: 'check_in_missed', tableId: payload.tableId, requeued }
+    );
+  }
+};
+
+/**
+ * Registers the check-in deadline job handler with the scheduler. Call once at startup.
+ */
+const registerQueueJobHandlers = () => {
+  registerJobHandler(CHECK_IN_JOB, handleCheckInTimeout);
+};
+
+/**
+ * Fills empty seats (promotesQueue) or recomputes the status (settlesStatus) before a table
+ * transition is saved, as declared in TABLE_TRANSITIONS. Tables with a game running or out of
+ * service are left alone. Players are notified once the transition is saved; venue queue entries
+ * taken for a transition that is then not saved go back into the venue queue. Call once at startup.
+ */
+const registerQueueTransitionHooks = () => {
+  onTableTransition('beforeCommit', '*', async (table, event) => {
+    const { promotesQueue, settlesStatus } = event.definition;
+    if (!promotesQueue && !settlesStatus) return;
+    if (table.currentSessionId || table.status === 'maintenance' || table.status === 'out_of_order') return;
+
+    if (promotesQueue) {
+      const promoted = await promoteFromQueue(table);
+      if (promoted.length > 0) event.details.promoted = promoted;
+    } else {
+      await refreshSeatedStatus(table);
+    }
+  });
+
+  onTableTransition('afterCommit', '*', async (table) => {
+    const notices = unsentQueueNotices.get(table);
+    if (!notices) return;
+    unsentQueueNotices.delete(table);
+    for (const send of notices) {
+      try {
+        await send();
+      } catch (error) {
+        console.error(`[QUEUE_SERVICE] Failed to notify players of table ${table._id}:`, error);
+      }
+    }
+  });
+
+  onTableTransition('afterRollback', '*', async (table) => {
+    unsentQueueNotices.delete(table);
+    const taken = takenVenueQueueEntries.get(table);
+    if (!taken) return;
+    takenVenueQueueEntries.delete(table);
+    await restoreVenueQueueEntries(table, taken);
+  });
+};
+
+module.exports = {
+  getQueuePolicy,
+  getReservationHold,
+  refreshSeatedStatus,
+  promoteFromQueue,
+  getVenueQueue,
+  emitVenueQueueUpdate,
+  advanceTableAfterGame,
+  checkInPlayer,
+  registerQueueJobHandlers,
+  registerQueueTransitionHooks,
+};
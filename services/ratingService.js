@@ -0,0 +1,109 @@
+// services/ratingService.js
+const Rating = require('../models/Rating');
+const { getSocketIO } = require('./socketService');
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+
+/**
+ * Gets a player's rating document for a scope, creating it with the default rating if needed.
+ * @param {string} userId - Firebase UID.
+ * @param {string|null} venueId - null for the global rating.
+ * @returns {Promise<Object>} The Rating document.
+ */
+const getOrCreateRating = async (userId, venueId) => {
+  return Rating.findOneAndUpdate(
+    { userId, venueId: venueId || null },
+    { $setOnInsert: { rating: DEFAULT_RATING } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Standard Elo expected score of a player rated ratingA against a player rated ratingB.
+ * @param {number} ratingA
+ * @param {number} ratingB
+ * @returns {number} Between 0 and 1.
+ */
+const expectedScore = (ratingA, ratingB) => 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+
+/**
+ * Applies one game result to the winner's and loser's ratings in a single scope.
+ * @param {string} winnerId
+ * @param {string} loserId
+ * @param {string|null} venueId - null for the global rating.
+ * @returns {Promise<Object>} { winner: { before, after, delta }, loser: { before, after, delta } }
+ */
+const applyResultInScope = async (winnerId, loserId, venueId) => {
+  const [winnerRating, loserRating] = await Promise.all([
+    getOrCreateRating(winnerId, venueId),
+    getOrCreateRating(loserId, venueId),
+  ]);
+
+  const delta = Math.round(K_FACTOR * (1 - expectedScore(winnerRating.rating, loserRating.rating)));
+  const now = new Date();
+
+  // $inc keeps concurrent results for the same player from overwriting each other
+  const [updatedWinner, updatedLoser] = await Promise.all([
+    Rating.findByIdAndUpdate(winnerRating._id, { $inc: { rating: delta, gamesPlayed: 1, wins: 1 }, $set: { lastGameAt: now } }, { new: true }),
+    Rating.findByIdAndUpdate(loserRating._id, { $inc: { rating: -delta, gamesPlayed: 1, losses: 1 }, $set: { lastGameAt: now } }, { new: true }),
+  ]);
+
+  return {
+    winner: { before: updatedWinner.rating - delta, after: updatedWinner.rating, delta },
+    loser: { before: updatedLoser.rating + delta, after: updatedLoser.rating, delta: -delta },
+  };
+};
+
+/**
+ * Updates the global and per-venue ratings of both players after a confirmed win.
+ * @param {string} winnerId - Firebase UID of the winner.
+ * @param {string} loserId - Firebase UID of the loser.
+ * @param {string} venueId - Venue the game was played at.
+ * @returns {Promise<Object>} { global: {winner, loser}, venue: {winner, loser} } with before/after/delta for each.
+ */
+const applyGameResult = async (winnerId, loserId, venueId) => {
+  const global = await applyResultInScope(winnerId, loserId, null);
+  const venue = venueId ? await applyResultInScope(winnerId, loserId, venueId) : null;
+  console.log(`[RATING_SERVICE] Applied result ${winnerId} beat ${loserId} at venue ${venueId}. Global delta: ${global.winner.delta}${venue ? `, venue delta: ${venue.winner.delta}` : ''}`);
+  return { global, venue };
+};
+
+/**
+ * Returns the top-rated players of a venue.
+ * @param {string} venueId
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>} Lean Rating documents sorted by rating, highest first.
+ */
+const getVenueLeaderboard = async (venueId, limit) => {
+  return Rating.find({ venueId, gamesPlayed: { $gt: 0 } })
+    .sort({ rating: -1, wins: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Pushes each player's rating change over Socket.IO ('ratingUpdate' to their user room).
+ * @param {string} winnerId
+ * @param {string} loserId
+ * @param {Object} ratingChanges - Result of applyGameResult.
+ * @param {Object} context - { tableId, sessionId } of the game.
+ */
+const emitRatingUpdates = (winnerId, loserId, ratingChanges, { tableId, sessionId }) => {
+  const io = getSocketIO();
+  const ratingPayload = (playerKey) => ({
+    tableId: tableId ? tableId.toString() : null,
+    sessionId: sessionId ? sessionId.toString() : null,
+    global: ratingChanges.global[playerKey],
+    venue: ratingChanges.venue ? ratingChanges.venue[playerKey] : null,
+  });
+  io.to(winnerId).emit('ratingUpdate', ratingPayload('winner'));
+  io.to(loserId).emit('ratingUpdate', ratingPayload('loser'));
+  console.log(`[RATING_SERVICE] Emitted ratingUpdate to ${winnerId} and ${loserId}.`);
+};
+
+module.exports = {
+  applyGameResult,
+  emitRatingUpdates,
+  getVenueLeaderboard,
+};
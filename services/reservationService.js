@@ -0,0 +1,477 @@
+// services/reservationService.js
+// Booking tables ahead of time. A reservation holds its table from the start of the slot until the
+// holder checks in (or misses the grace period); checking in seats the holder, or puts them at the
+// front of the table's queue if the table is still in use. Deposits are refunded on check-in or a
+// timely cancellation and kept on a no-show.
+
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const User = require('../models/User');
+const { debitTokens, creditTokens } = require('./tokenService');
+const { chargeForSeat } = require('./gamePaymentService');
+const { leaveVenueQueue } = require('./venueQueueService');
+const { getSocketIO, emitTableUpdate } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+const { isVenueOpenThroughout } = require('./venueHoursService');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./schedulerService');
+const { runTableTransition } = require('./tableStateMachineService');
+
+const REMINDER_JOB = 'reservationReminder';
+const START_JOB = 'reservationStart';
+const NO_SHOW_JOB = 'reservationNoShow';
+const END_JOB = 'reservationEnd';
+const RESERVATION_JOBS = [REMINDER_JOB, START_JOB, NO_SHOW_JOB, END_JOB];
+
+const EARLY_CHECK_IN_MS = 10 * 60 * 1000; // Holders may check in this long before their slot
+const DEFAULT_POLICY = {
+  depositTokens: 0,
+  minDurationMinutes: 30,
+  maxDurationMinutes: 120,
+  maxAdvanceDays: 14,
+  gracePeriodMinutes: 10,
+  freeCancellationMinutes: 60,
+  reminderMinutesBefore: 15,
+};
+
+/**
+ * Returns the venue's reservation policy with defaults filled in.
+ * @param {Object} venue - Venue document or plain object (may be null).
+ * @returns {Object} See Venue.reservationPolicy.
+ */
+const getReservationPolicy = (venue) => {
+  const policy = (venue && venue.reservationPolicy) || {};
+  const resolved = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_POLICY)) {
+    resolved[key] = typeof policy[key] === 'number' ? policy[key] : fallback;
+  }
+  return resolved;
+};
+
+/**
+ * Sends a socket event to the holder's room and a push notification.
+ */
+const notifyHolder = async (reservation, eventName, title, body, data = {}) => {
+  const payload = {
+    reservationId: reservation._id.toString(),
+    tableId: reservation.tableId.toString(),
+    startTime: reservation.startTime.toISOString(),
+    endTime: reservation.endTime.toISOString(),
+    ...data,
+  };
+  getSocketIO().to(reservation.userId).emit(eventName, payload);
+  const holder = await User.findById(reservation.userId);
+  if (holder && holder.fcmTokens && holder.fcmTokens.length > 0) {
+    sendPushNotification(holder.fcmTokens, title, body, { type: eventName, ...payload });
+  }
+};
+
+/**
+ * Refunds a reservation's deposit once. Safe to call more than once.
+ * @param {Object} reservation - Reservation document.
+ * @param {string} description - Shown in the holder's transaction history.
+ * @returns {Promise<number>} Tokens refunded.
+ */
+const refundDeposit = async (reservation, description) => {
+  if (reservation.depositAmount <= 0) return 0;
+  const claimed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, depositRefunded: false },
+    { $set: { depositRefunded: true } },
+    { new: true }
+  );
+  if (!claimed) return 0;
+  await creditTokens(reservation.userId, reservation.depositAmount, {
+    reason: 'reservation_deposit_refund',
+    tableId: reservation.tableId,
+    venueId: reservation.venueId,
+    reservationId: reservation._id,
+    description,
+  });
+  reservation.depositRefunded = true;
+  return reservation.depositAmount;
+};
+
+/**
+ * Overlapping reservations that still claim the slot.
+ */
+const findConflicts = (filter, startTime, endTime, excludeId) => Reservation.find({
+  ...filter,
+  _id: { $ne: excludeId },
+  status: { $in: ['booked', 'checked_in'] },
+  startTime: { $lt: endTime },
+  endTime: { $gt: startTime },
+}).lean();
+
+/**
+ * Schedules the reminder, start, no-show and end jobs of a new reservation.
+ */
+const scheduleReservationJobs = async (reservation, policy) => {
+  const payload = { reservationId: reservation._id.toString(), tableId: reservation.tableId.toString() };
+  const reminderAt = new Date(reservation.startTime.getTime() - policy.reminderMinutesBefore * 60 * 1000);
+  if (policy.reminderMinutesBefore > 0 && reminderAt > new Date()) {
+    await scheduleJob(REMINDER_JOB, reminderAt, payload);
+  }
+  await scheduleJob(START_JOB, reservation.startTime, payload);
+  await scheduleJob(NO_SHOW_JOB, new Date(reservation.startTime.getTime() + policy.gracePeriodMinutes * 60 * 1000), payload);
+  await scheduleJob(END_JOB, reservation.endTime, payload);
+};
+
+/**
+ * Books a table for a time slot, taking the venue's deposit if it has one.
+ * @param {string} userId - Holder.
+ * @param {Object} details
+ * @param {string} details.tableId
+ * @param {Date} details.startTime
+ * @param {Date} details.endTime
+ * @param {string} [details.partnerId]
+ * @returns {Promise<{success: boolean, reservation?: Object, error?: string, policy?: Object}>} error is one of
+ *   'TABLE_NOT_FOUND', 'OUT_OF_SERVICE', 'INVALID_PARTNER', 'PARTNER_NOT_FOUND', 'INVALID_TIME', 'TOO_SHORT',
+ *   'TOO_LONG', 'TOO_FAR_AHEAD', 'VENUE_CLOSED', 'CONFLICT', 'USER_CONFLICT', 'INSUFFICIENT_BALANCE', 'USER_NOT_FOUND'.
+ */
+const createReservation = async (userId, { tableId, startTime, endTime, partnerId = null }) => {
+  const table = await Table.findById(tableId).populate('venueId');
+  if (!table) return { success: false, error: 'TABLE_NOT_FOUND' };
+  if (table.status === 'out_of_order') return { success: false, error: 'OUT_OF_SERVICE' };
+
+  const policy = getReservationPolicy(table.venueId);
+  if (partnerId === userId) return { success: false, error: 'INVALID_PARTNER', policy };
+  if (partnerId && !(await User.exists({ _id: partnerId }))) return { success: false, error: 'PARTNER_NOT_FOUND', policy };
+
+  const now = Date.now();
+  const durationMinutes = (endTime - startTime) / 60000;
+  if (startTime.getTime() <= now || durationMinutes <= 0) return { success: false, error: 'INVALID_TIME', policy };
+  if (durationMinutes < policy.minDurationMinutes) return { success: false, error: 'TOO_SHORT', policy };
+  if (durationMinutes > policy.maxDurationMinutes) return { success: false, error: 'TOO_LONG', policy };
+  if (startTime.getTime() > now + policy.maxAdvanceDays * 24 * 60 * 60 * 1000) return { success: false, error: 'TOO_FAR_AHEAD', policy };
+  if (!isVenueOpenThroughout(table.venueId, startTime, endTime)) return { success: false, error: 'VENUE_CLOSED', policy };
+
+  if ((await findConflicts({ tableId: table._id }, startTime, endTime)).length > 0) {
+    return { success: false, error: 'CONFLICT', policy };
+  }
+  if ((await findConflicts({ userId }, startTime, endTime)).length > 0) {
+    return { success: false, error: 'USER_CONFLICT', policy };
+  }
+
+  const venueId = table.venueId._id;
+  const reservation = new Reservation({
+    venueId,
+    tableId: table._id,
+    userId,
+    partnerId,
+    startTime,
+    endTime,
+    depositAmount: policy.depositTokens,
+  });
+
+  if (policy.depositTokens > 0) {
+    const debit = await debitTokens(userId, policy.depositTokens, {
+      reason: 'reservation_deposit',
+      tableId: table._id,
+      venueId,
+      reservationId: reservation._id,
+      description: `Deposit for Table ${table.tableNumber} at ${table.venueId.name}, ${startTime.toISOString()}`,
+    });
+    if (!debit.success) return { success: false, error: debit.error, policy };
+    reservation.depositTransactionId = debit.transaction._id;
+  }
+  await reservation.save();
+
+  // Two bookings for the same slot can pass the check above at the same time: the earlier one wins.
+  const raced = (await findConflicts({ tableId: table._id }, startTime, endTime, reservation._id))
+    .some(other => other.createdAt < reservation.createdAt || (other.createdAt.getTime() === reservation.createdAt.getTime() && other._id < reservation._id));
+  if (raced) {
+    await refundDeposit(reservation, `Refund for Table ${table.tableNumber}: slot was just booked by someone else`);
+    await Reservation.deleteOne({ _id: reservation._id });
+    return { success: false, error: 'CONFLICT', policy };
+  }
+
+  await scheduleReservationJobs(reservation, policy);
+  console.log(`[RESERVATION_SERVICE] Reservation ${reservation._id} booked by ${userId} on table ${table._id}: ${startTime.toISOString()} - ${endTime.toISOString()}. Deposit: ${policy.depositTokens}`);
+  await emitTableUpdate(table._id);
+  return { success: true, reservation, policy };
+};
+
+/**
+ * Lets the table go to walk-ins again after a hold ended early (cancellation or no-show): the
+ * releaseReservationHold transition seats players from the queue.
+ * @param {string} tableId
+ * @param {Object} [actor] - Who ended the hold; the system for a no-show.
+ */
+const releaseHold = async (tableId, actor) => {
+  const transition = await runTableTransition(tableId, 'releaseReservationHold', async () => {}, { populate: 'venueId', actor });
+  if (!transition.success && transition.error === 'TABLE_BUSY') {
+    console.warn(`[RESERVATION_SERVICE] Table ${tableId} was busy; its queue moves up with the next change.`);
+  }
+  if (!transition.committed) {
+    await emitTableUpdate(tableId); // Nobody seated (or out of service), but clients stop showing the table as held
+  }
+};
+
+/**
+ * Cancels a booked reservation. The deposit is refunded when staff cancel, or when the holder
+ * cancels at least freeCancellationMinutes before the slot.
+ * @param {string} reservationId
+ * @param {string} cancelledBy - UID of the holder or admin.
+ * @param {boolean} isAdmin
+ * @returns {Promise<{success: boolean, reservation?: Object, refunded?: number, error?: string}>}
+ *   error is 'NOT_FOUND', 'FORBIDDEN' or 'NOT_CANCELLABLE'.
+ */
+const cancelReservation = async (reservationId, cancelledBy, isAdmin) => {
+  const existing = await Reservation.findById(reservationId).populate('venueId');
+  if (!existing) return { success: false, error: 'NOT_FOUND' };
+  if (!isAdmin && existing.userId !== cancelledBy) return { success: false, error: 'FORBIDDEN' };
+
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'booked' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy } },
+    { new: true }
+  );
+  if (!reservation) return { success: false, error: 'NOT_CANCELLABLE' };
+  await cancelJobs(RESERVATION_JOBS, { reservationId: reservation._id.toString() });
+
+  const policy = getReservationPolicy(existing.venueId);
+  const inTime = reservation.startTime.getTime() - Date.now() >= policy.freeCancellationMinutes * 60 * 1000;
+  const refunded = (isAdmin && cancelledBy !== reservation.userId) || inTime
+    ? await refundDeposit(reservation, 'Reservation cancelled: deposit refunded')
+    : 0;
+  console.log(`[RESERVATION_SERVICE] Reservation ${reservationId} cancelled by ${cancelledBy}. Deposit refunded: ${refunded}`);
+
+  if (reservation.startTime <= new Date()) {
+    await releaseHold(reservation.tableId, { userId: cancelledBy, role: cancelledBy === reservation.userId ? 'player' : 'staff' }); // The slot was already holding the table
+  } else {
+    await emitTableUpdate(reservation.tableId);
+  }
+  if (cancelledBy !== reservation.userId) {
+    await notifyHolder(reservation, 'reservationCancelled', 'Reservation Cancelled',
+      `Your table reservation was cancelled by the venue.${refunded > 0 ? ` Your ${refunded}-token deposit was refunded.` : ''}`,
+      { refunded });
+  }
+  return { success: true, reservation, refunded };
+};
+
+/**
+ * Checks the holder in for their slot: seats the holder (and partner) in free seats, or puts them at
+ * the front of the table's queue if the table is still in use, then refunds the deposit.
+ * @param {string} reservationId
+ * @param {string} userId - Must be the holder.
+ * @returns {Promise<{success: boolean, seated?: Array<string>, queued?: Array<string>, refunded?: number, error?: string}>} error is
+ *   'NOT_FOUND', 'FORBIDDEN', 'NOT_BOOKED', 'TOO_EARLY', 'EXPIRED', 'OUT_OF_SERVICE', 'INSUFFICIENT_BALANCE', 'USER_NOT_FOUND'
+ *   or 'TABLE_BUSY' (another request was changing the table; safe to retry).
+ */
+const checkInReservation = async (reservationId, userId) => {
+  const existing = await Reservation.findById(reservationId);
+  if (!existing) return { success: false, error: 'NOT_FOUND' };
+  if (existing.userId !== userId) return { success: false, error: 'FORBIDDEN' };
+  if (existing.status !== 'booked') return { success: false, error: 'NOT_BOOKED' };
+
+  const table = await Table.findById(existing.tableId).populate('venueId');
+  if (!table) return { success: false, error: 'NOT_FOUND' };
+  if (table.status === 'maintenance' || table.status === 'out_of_order') return { success: false, error: 'OUT_OF_SERVICE' };
+
+  const policy = getReservationPolicy(table.venueId);
+  const now = Date.now();
+  if (now < existing.startTime.getTime() - EARLY_CHECK_IN_MS) return { success: false, error: 'TOO_EARLY' };
+  if (now >= Math.min(existing.startTime.getTime() + policy.gracePeriodMinutes * 60 * 1000, existing.endTime.getTime())) {
+    return { success: false, error: 'EXPIRED' };
+  }
+
+  // Seats are filled on a fresh copy of the table while no other transition can touch it. The
+  // reservation is claimed first so it can only be checked in once, and put back to 'booked' if the
+  // table isn't saved; its jobs, the venue queue and the deposit are only touched after the save.
+  let claimed = null;
+  const releaseClaim = () => Reservation.updateOne(
+    { _id: reservationId, status: 'checked_in' },
+    { $set: { status: 'booked', checkedInAt: null } }
+  );
+  let transition;
+  try {
+    transition = await runTableTransition(table._id, 'reservationCheckIn', async (table, event) => {
+      claimed = await Reservation.findOneAndUpdate(
+        { _id: reservationId, status: 'booked' },
+        { $set: { status: 'checked_in', checkedInAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) return { error: 'NOT_BOOKED' };
+      return seatReservationMembers(table, claimed, event);
+    }, { populate: 'venueId', actor: { userId, role: 'player' } });
+  } catch (error) {
+    if (claimed) await releaseClaim();
+    throw error;
+  }
+
+  if (!transition.success) {
+    if (claimed) await releaseClaim();
+    const errors = { ILLEGAL_TRANSITION: 'OUT_OF_SERVICE', TABLE_NOT_FOUND: 'NOT_FOUND', INVALID_TABLE_ID: 'NOT_FOUND' };
+    return { success: false, error: errors[transition.error] || transition.error };
+  }
+  if (transition.result.error) {
+    // Holder can't pay for the seat: keep the booking (and its no-show job) so they can top up and try again
+    if (claimed) await releaseClaim();
+    return { success: false, error: transition.result.error };
+  }
+
+  const { seated, queued, leftVenueQueue } = transition.result;
+  for (const memberId of leftVenueQueue) {
+    await leaveVenueQueue(table.venueId._id, memberId);
+  }
+  await cancelJobs([REMINDER_JOB, START_JOB, NO_SHOW_JOB], { reservationId: claimed._id.toString() });
+  const refunded = await refundDeposit(claimed, `Reservation on Table ${table.tableNumber}: deposit returned on check-in`);
+  console.log(`[RESERVATION_SERVICE] Reservation ${reservationId} checked in. Seated: ${seated.join(', ') || 'none'}. Queued first: ${queued.join(', ') || 'none'}. Deposit refunded: ${refunded}`);
+
+  return { success: true, seated, queued, refunded };
+};
+
+/**
+ * Seats the members of a claimed reservation (holder first) or puts them at the front of the queue,
+ * charging for the seats they take. Runs inside the reservationCheckIn transition; mutates the table.
+ * @returns {Promise<{seated: Array<string>, queued: Array<string>, leftVenueQueue: Array<string>}|{error: string}>}
+ *   error is the holder's failed seat charge.
+ */
+const seatReservationMembers = async (table, reservation, event) => {
+  const members = [reservation.userId, reservation.partnerId].filter(Boolean);
+  const seated = [];
+  const queued = [];
+  const leftVenueQueue = [];
+  for (const memberId of members) {
+    if (table.currentPlayers.player1Id === memberId || table.currentPlayers.player2Id === memberId) {
+      seated.push(memberId);
+      continue;
+    }
+    const hasFreeSeat = !table.currentPlayers.player1Id || !table.currentPlayers.player2Id;
+    const charge = hasFreeSeat ? await chargeForSeat(table, memberId) : null;
+    if (charge && !charge.success && memberId === reservation.userId) {
+      return { error: charge.error };
+    }
+    table.queue = table.queue.filter(id => id !== memberId);
+    leftVenueQueue.push(memberId);
+    if (charge && charge.success) {
+      if (!table.currentPlayers.player1Id) {
+        table.currentPlayers.player1Id = memberId;
+      } else {
+        table.currentPlayers.player2Id = memberId;
+      }
+      seated.push(memberId);
+    } else {
+      queued.push(memberId);
+    }
+  }
+  // Reservation members go ahead of everyone already waiting, holder first
+  table.queue = [...queued, ...table.queue];
+
+  event.details = { reservationId: reservation._id.toString(), seated, queued };
+  return { seated, queued, leftVenueQueue }; // The transition fills any seat left over and starts the game once both seats are taken
+};
+
+/**
+ * Cancels the booked reservations of a table that is being taken out of service, refunding deposits.
+ * @param {string} tableId
+ * @param {Date|null} until - Only slots starting before this (null for every upcoming slot).
+ * @param {string} cancelledBy - UID of the admin taking the table out of service.
+ * @returns {Promise<number>} Number of reservations cancelled.
+ */
+const cancelReservationsForTable = async (tableId, until, cancelledBy) => {
+  const filter = { tableId, status: 'booked', endTime: { $gt: new Date() } };
+  if (until) filter.startTime = { $lt: until };
+  const reservations = await Reservation.find(filter).select('_id');
+  let cancelled = 0;
+  for (const { _id } of reservations) {
+    const result = await cancelReservation(_id, cancelledBy, true);
+    if (result.success) cancelled++;
+  }
+  return cancelled;
+};
+
+/**
+ * Lists reservations, soonest first.
+ * @param {Object} filter - Any of venueId, tableId, userId, status ('booked', ... or 'all'), from, to.
+ * @returns {Promise<Array<Object>>}
+ */
+const listReservations = async ({ venueId, tableId, userId, status = 'all', from, to }) => {
+  const query = {};
+  if (venueId) query.venueId = venueId;
+  if (tableId) query.tableId = tableId;
+  if (userId) query.userId = userId;
+  if (status !== 'all') query.status = status;
+  if (from) query.endTime = { $gt: from };
+  if (to) query.startTime = { $lt: to };
+  return Reservation.find(query).sort({ startTime: 1 }).populate('tableId', 'tableNumber').lean();
+};
+
+/**
+ * Loads a reservation for a job, or null if it is no longer in the expected status.
+ */
+const loadReservationForJob = async (payload, status) => {
+  const reservation = await Reservation.findById(payload.reservationId);
+  if (!reservation || reservation.status !== status) {
+    console.log(`[RESERVATION_SERVICE] Reservation ${payload.reservationId} is no longer ${status}. Skipping job.`);
+    return null;
+  }
+  return reservation;
+};
+
+const handleReminder = async (payload) => {
+  const reservation = await loadReservationForJob(payload, 'booked');
+  if (!reservation) return;
+  const table = await Table.findById(reservation.tableId).populate('venueId', 'name');
+  const minutes = Math.max(Math.ceil((reservation.startTime - Date.now()) / 60000), 1);
+  await notifyHolder(reservation, 'reservationReminder', 'Reservation Reminder',
+    `Your reservation on Table ${table ? table.tableNumber : ''}${table && table.venueId ? ` at ${table.venueId.name}` : ''} starts in ${minutes} minute(s).`);
+};
+
+const handleStart = async (payload) => {
+  const reservation = await loadReservationForJob(payload, 'booked');
+  if (!reservation) return;
+  const table = await Table.findById(reservation.tableId).populate('venueId');
+  const policy = getReservationPolicy(table ? table.venueId : null);
+  await emitTableUpdate(reservation.tableId); // Clients show the table as held
+  await notifyHolder(reservation, 'reservationStarted', 'Your Table Is Ready',
+    `Your reservation on Table ${table ? table.tableNumber : ''} has started. Check in within ${policy.gracePeriodMinutes} minute(s) to keep it.`);
+};
+
+const handleNoShow = async (payload) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: payload.reservationId, status: 'booked' },
+    { $set: { status: 'no_show' } },
+    { new: true }
+  );
+  if (!reservation) {
+    console.log(`[RESERVATION_SERVICE] Reservation ${payload.reservationId} is no longer booked. Skipping no-show job.`);
+    return;
+  }
+  await cancelJobs([END_JOB], { reservationId: reservation._id.toString() });
+  console.log(`[RESERVATION_SERVICE] Reservation ${reservation._id} marked no-show. Deposit of ${reservation.depositAmount} kept.`);
+  await releaseHold(reservation.tableId);
+  await notifyHolder(reservation, 'reservationNoShow', 'Reservation Expired',
+    `You didn't check in for your reservation in time, so the table was released.${reservation.depositAmount > 0 ? ` Your ${reservation.depositAmount}-token deposit is not refundable.` : ''}`);
+};
+
+const handleEnd = async (payload) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: payload.reservationId, status: 'checked_in' },
+    { $set: { status: 'completed' } },
+    { new: true }
+  );
+  if (reservation) {
+    console.log(`[RESERVATION_SERVICE] Reservation ${reservation._id} completed.`);
+    await emitTableUpdate(reservation.tableId);
+  }
+};
+
+/**
+ * Registers the reservation job handlers with the scheduler. Call once at startup.
+ */
+const registerReservationJobHandlers = () => {
+  registerJobHandler(REMINDER_JOB, handleReminder);
+  registerJobHandler(START_JOB, handleStart);
+  registerJobHandler(NO_SHOW_JOB, handleNoShow);
+  registerJobHandler(END_JOB, handleEnd);
+};
+
+module.exports = {
+  getReservationPolicy,
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+  cancelReservationsForTable,
+  listReservations,
+  registerReservationJobHandlers,
+};
@@ -0,0 +1,162 @@
+// services/schedulerService.js
+// Minimal persistent job scheduler backed by the ScheduledJob collection.
+// Jobs are claimed with an atomic findOneAndUpdate, so several server instances can poll
+// the same collection without running a job twice.
+
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const POLL_INTERVAL_MS = 15 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // A 'running' job older than this is assumed to belong to a crashed instance
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Registers the function that runs jobs of a given type.
+ * @param {string} type - Job type, e.g. 'winConfirmationTimeout'.
+ * @param {Function} handler - async (payload, job) => void. Throwing makes the job retry (at most
+ *   MAX_ATTEMPTS times). Returning { retryAfterMs } runs it again later without using up an attempt,
+ *   for jobs that could not run yet (e.g. their table was busy).
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+  console.log(`[SCHEDULER] Registered handler for job type '${type}'.`);
+}
+
+/**
+ * Persists a job to run at (or shortly after) runAt.
+ * @param {string} type - Registered job type.
+ * @param {Date} runAt
+ * @param {Object} payload - Plain data passed to the handler.
+ * @returns {Promise<Object>} The created ScheduledJob.
+ */
+async function scheduleJob(type, runAt, payload) {
+  const job = await ScheduledJob.create({ type, runAt, payload });
+  console.log(`[SCHEDULER] Scheduled ${type} job ${job._id} for ${runAt.toISOString()}.`);
+  return job;
+}
+
+/**
+ * Cancels pending jobs matching the given types and payload fields.
+ * @param {Array<string>} types - Job types to cancel.
+ * @param {Object} payloadMatch - e.g. { tableId: '...' } matches payload.tableId.
+ * @returns {Promise<number>} Number of jobs cancelled.
+ */
+async function cancelJobs(types, payloadMatch) {
+  const filter = { type: { $in: types }, status: 'pending' };
+  for (const [key, value] of Object.entries(payloadMatch)) {
+    filter[`payload.${key}`] = value;
+  }
+  const result = await ScheduledJob.updateMany(filter, { $set: { status: 'cancelled', completedAt: new Date() } });
+  if (result.modifiedCount > 0) {
+    console.log(`[SCHEDULER] Cancelled ${result.modifiedCount} pending job(s) of type ${types.join(', ')} matching ${JSON.stringify(payloadMatch)}.`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Atomically claims the next due job (or a job whose lock expired).
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextDueJob() {
+  const now = new Date();
+  return ScheduledJob.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: INSTANCE_ID }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Runs one claimed job and records its outcome.
+ * @param {Object} job - The claimed ScheduledJob.
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    const outcome = await handler(job.payload, job);
+    if (outcome && outcome.retryAfterMs) {
+      const runAt = new Date(Date.now() + outcome.retryAfterMs);
+      await ScheduledJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'pending', runAt, lockedAt: null, lockedBy: null }, $inc: { attempts: -1 } }
+      );
+      console.log(`[SCHEDULER] Job ${job._id} (${job.type}) deferred until ${runAt.toISOString()}.`);
+      return;
+    }
+    await ScheduledJob.updateOne({ _id: job._id }, { $set: { status: 'done', completedAt: new Date(), lastError: null } });
+    console.log(`[SCHEDULER] Job ${job._id} (${job.type}) done.`);
+  } catch (error) {
+    const retry = job.attempts < MAX_ATTEMPTS;
+    console.error(`[SCHEDULER] Job ${job._id} (${job.type}) failed on attempt ${job.attempts}${retry ? ', will retry' : ''}:`, error);
+    await ScheduledJob.updateOne(
+      { _id: job._id },
+      {
+        $set: retry
+          ? { status: 'pending', runAt: new Date(Date.now() + RETRY_DELAY_MS), lastError: error.message, lockedAt: null, lockedBy: null }
+          : { status: 'failed', completedAt: new Date(), lastError: error.message },
+      }
+    );
+  }
+}
+
+/**
+ * Runs every job that is currently due. Skips the round if the previous one is still running.
+ */
+async function pollDueJobs() {
+  if (polling) return;
+  polling = true;
+  try {
+    let job = await claimNextDueJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextDueJob();
+    }
+  } catch (error) {
+    console.error('[SCHEDULER] Error polling due jobs:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Starts polling for due jobs. Jobs that became due while the server was down run on the first poll.
+ */
+function startScheduler() {
+  if (pollTimer) {
+    console.warn('[SCHEDULER] Scheduler already started.');
+    return;
+  }
+  pollTimer = setInterval(pollDueJobs, POLL_INTERVAL_MS);
+  console.log(`[SCHEDULER] Started on instance ${INSTANCE_ID}, polling every ${POLL_INTERVAL_MS / 1000}s.`);
+  pollDueJobs();
+}
+
+/**
+ * Stops polling (used on shutdown).
+ */
+function stopScheduler() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  startScheduler,
+  stopScheduler,
+};
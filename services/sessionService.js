@@ -0,0 +1,133 @@
+// services/sessionService.js
+const Session = require('../models/Session');
+const Venue = require('../models/Venue');
+const { sendDeviceCommand } = require('./deviceCommandService');
+const { onTableTransition } = require('./tableStateMachineService');
+
+// Sessions created by a table transition that has not been saved yet, keyed by the Table document.
+// The table is unlocked once the transition commits; if it doesn't, the Session is deleted again
+// (the seat payments it took over are still on the unsaved table).
+const pendingGameStarts = new WeakMap();
+
+/**
+ * Starts a game on a table that just got two seated players: creates its Session, moving the held
+ * seat payments to it, and attaches it to the table. Call inside a table transition; the device is
+ * unlocked after the transition commits (registerSessionTransitionHooks).
+ * @param {Object} table - Table Mongoose document with both currentPlayers set (venueId may be populated or not).
+ * @param {'game'|'direct_join'} type - 'direct_join' when seated via join-table, 'game' when promoted from the queue.
+ * @returns {Promise<Object>} The Session.
+ */
+const startGameSession = async (table, type) => {
+  const venue = table.venueId && typeof table.venueId.perGameCost === 'number'
+    ? table.venueId
+    : await Venue.findById(table.venueId);
+  const perGameCost = venue && typeof venue.perGameCost === 'number' ? venue.perGameCost : 10;
+
+  const session = await Session.create({
+    type,
+    tableId: table._id,
+    venueId: venue ? venue._id : table.venueId,
+    player1Id: table.currentPlayers.player1Id,
+    player2Id: table.currentPlayers.player2Id,
+    // Seat payments held until the game started now belong to the game
+    payments: table.seatPayments.map(({ userId, amount, transactionId, paidAt }) => ({ userId, amount, transactionId, paidAt })),
+    startTime: new Date(),
+    cost: perGameCost,
+    status: 'active',
+  });
+  pendingGameStarts.set(table, session);
+  table.currentSessionId = session._id;
+  table.seatPayments = [];
+  console.log(`[SESSION_SERVICE] Started ${type} session ${session._id} on table ${table._id}: ${session.player1Id} vs ${session.player2Id}`);
+  return session;
+};
+
+/**
+ * Marks a game session as completed with its winner. A disputed session can still be completed
+ * if the players later agree on a result.
+ * @param {string} sessionId
+ * @param {string} winnerId - Firebase UID of the winner.
+ * @returns {Promise<Object|null>} The updated Session, or null if it was not active/disputed.
+ */
+const completeGameSession = async (sessionId, winnerId) => {
+  if (!sessionId) return null;
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, status: { $in: ['active', 'disputed'] } },
+    { $set: { status: 'completed', winnerId, endTime: new Date() } },
+    { new: true }
+  );
+  if (session) {
+    console.log(`[SESSION_SERVICE] Session ${sessionId} completed. Winner: ${winnerId}`);
+  } else {
+    console.warn(`[SESSION_SERVICE] Session ${sessionId} not found or not active/disputed. Not completed.`);
+  }
+  return session;
+};
+
+/**
+ * Marks an active game session as disputed.
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The updated Session, or null if it was not active.
+ */
+const disputeGameSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, status: 'active' },
+    { $set: { status: 'disputed' } },
+    { new: true }
+  );
+  if (session) {
+    console.log(`[SESSION_SERVICE] Session ${sessionId} marked as disputed.`);
+  } else {
+    console.warn(`[SESSION_SERVICE] Session ${sessionId} not found or not active. Not marked as disputed.`);
+  }
+  return session;
+};
+
+/**
+ * Cancels a game session that ended without a result (e.g. a player was removed mid-game).
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The updated Session, or null if it was already closed.
+ */
+const cancelGameSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, status: { $in: ['pending', 'active', 'disputed'] } },
+    { $set: { status: 'cancelled', endTime: new Date() } },
+    { new: true }
+  );
+  if (session) {
+    console.log(`[SESSION_SERVICE] Session ${sessionId} cancelled.`);
+  }
+  return session;
+};
+
+/**
+ * Unlocks the table for games started by a table transition once the transition is saved, and
+ * deletes their Session if it is not. Call once at startup.
+ */
+const registerSessionTransitionHooks = () => {
+  onTableTransition('afterCommit', '*', async (table) => {
+    const session = pendingGameStarts.get(table);
+    if (!session) return;
+    pendingGameStarts.delete(table);
+    // The game is paid for: release the balls (no-op for tables without a device)
+    await sendDeviceCommand(table, 'unlock', { reason: 'game_started', sessionId: session._id });
+  });
+
+  onTableTransition('afterRollback', '*', async (table) => {
+    const session = pendingGameStarts.get(table);
+    if (!session) return;
+    pendingGameStarts.delete(table);
+    await Session.deleteOne({ _id: session._id, status: 'active' });
+    console.log(`[SESSION_SERVICE] Table ${table._id} was not saved; deleted session ${session._id}.`);
+  });
+};
+
+module.exports = {
+  startGameSession,
+  completeGameSession,
+  disputeGameSession,
+  cancelGameSession,
+  registerSessionTransitionHooks,
+};
@@ -0,0 +1,149 @@
+// services/socketAdapterService.js
+// Chooses the Socket.IO adapter, which decides how io.to(room).emit reaches sockets connected to
+// other server instances. Set SOCKET_ADAPTER:
+//   - 'memory' (default): Socket.IO's in-memory adapter. Only sockets on this instance are reached,
+//     which is fine for a single instance and for local development.
+//   - 'mongodb': instances exchange packets through a MongoDB collection and a change stream
+//     (needs a replica set, e.g. Atlas). Venue event sequences are shared through MongoDB too.
+// If the MongoDB adapter can't be set up the server logs the error and stays on the in-memory adapter.
+
+const mongoose = require('mongoose');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { config } = require('../config');
+const { useMongoEventLog } = require('./venueEventLogService');
+
+const ADAPTER_COLLECTION = 'socket_io_adapter_events';
+const ADAPTER_EVENT_TTL_SECONDS = 60 * 60; // Packets are read through the change stream within moments
+const CHANGE_STREAM_RETRY_MS = 5 * 1000;
+const SUPPORTED_ADAPTERS = ['memory', 'mongodb'];
+
+/**
+ * BSON turns Buffers (binary packet attachments) into Binary; turns them back.
+ */
+const restoreBuffers = (value) => {
+  if (value instanceof mongoose.mongo.Binary) return Buffer.from(value.buffer);
+  if (Array.isArray(value)) return value.map(restoreBuffers);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, restoreBuffers(entry)]));
+  }
+  return value;
+};
+
+/**
+ * Builds a Socket.IO adapter class that publishes cluster messages as documents in `collection` and
+ * receives those of other instances through one change stream shared by all namespaces.
+ * @param {Object} collection - Native MongoDB collection.
+ * @returns {Function} Adapter class for io.adapter().
+ */
+function createMongoAdapter(collection) {
+  const adapters = new Map(); // Namespace name -> adapter on this instance
+  let changeStream = null;
+
+  const watch = () => {
+    changeStream = collection.watch([{ $match: { operationType: 'insert' } }]);
+    changeStream.on('change', ({ fullDocument: doc }) => {
+      const adapter = adapters.get(doc.nsp);
+      if (!adapter) return;
+      if (doc.type === 'message') {
+        adapter.onMessage(restoreBuffers(doc.data), doc._id.toHexString());
+      } else if (doc.type === 'response' && doc.requesterUid === adapter.uid) {
+        adapter.onResponse(restoreBuffers(doc.data));
+      }
+    });
+    changeStream.on('error', (error) => {
+      console.error(`[SOCKET_ADAPTER] Change stream error, reconnecting in ${CHANGE_STREAM_RETRY_MS / 1000}s:`, error.message);
+      changeStream.close().catch(() => {});
+      changeStream = null;
+      setTimeout(() => {
+        if (!changeStream && adapters.size > 0) watch();
+      }, CHANGE_STREAM_RETRY_MS);
+    });
+  };
+
+  return class MongoChangeStreamAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      adapters.set(nsp.name, this);
+      if (!changeStream) watch();
+    }
+
+    async doPublish(message) {
+      const { insertedId } = await collection.insertOne({
+        type: 'message',
+        nsp: message.nsp,
+        data: message,
+        createdAt: new Date(),
+      });
+      return insertedId.toHexString();
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await collection.insertOne({
+        type: 'response',
+        nsp: response.nsp,
+        requesterUid,
+        data: response,
+        createdAt: new Date(),
+      });
+    }
+
+    close() {
+      super.close();
+      adapters.delete(this.nsp.name);
+      if (adapters.size === 0 && changeStream) {
+        changeStream.close().catch(() => {});
+        changeStream = null;
+      }
+    }
+  };
+}
+
+/**
+ * Sets up the MongoDB adapter and event log once MongoDB is connected.
+ */
+const useMongoAdapter = async (io) => {
+  await mongoose.connection.asPromise();
+  const { db } = mongoose.connection;
+  const collection = db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_EVENT_TTL_SECONDS });
+
+  // Fails here, rather than inside the adapter, if the deployment has no change streams (standalone mongod)
+  const probe = collection.watch();
+  await probe.tryNext();
+  await probe.close();
+
+  await useMongoEventLog(db);
+  io.adapter(createMongoAdapter(collection));
+};
+
+/**
+ * Applies the adapter selected by SOCKET_ADAPTER. Call before the server starts listening: sockets
+ * connected before the adapter changes lose their rooms.
+ * @param {Object} io - Socket.IO server.
+ * @returns {Promise<string>} The adapter in use: 'memory' or 'mongodb'.
+ */
+async function configureSocketAdapter(io) {
+  const requested = config.SOCKET_ADAPTER.toLowerCase();
+  if (!SUPPORTED_ADAPTERS.includes(requested)) {
+    console.warn(`[SOCKET_ADAPTER] Unknown SOCKET_ADAPTER '${requested}' (use ${SUPPORTED_ADAPTERS.join(' or ')}). Using the in-memory adapter.`);
+    return 'memory';
+  }
+  if (requested === 'memory') {
+    console.log('[SOCKET_ADAPTER] Using the in-memory adapter; socket events only reach clients on this instance.');
+    return 'memory';
+  }
+
+  try {
+    await useMongoAdapter(io);
+    console.log(`[SOCKET_ADAPTER] Using the MongoDB adapter (collection '${ADAPTER_COLLECTION}').`);
+    return 'mongodb';
+  } catch (error) {
+    console.error('[SOCKET_ADAPTER] Could not set up the MongoDB adapter, falling back to the in-memory adapter:', error);
+    return 'memory';
+  }
+}
+
+module.exports = {
+  createMongoAdapter,
+  configureSocketAdapter,
+};
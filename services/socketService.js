@@ -1,12 +1,60 @@
 // services/socketService.js
 
 const socketIo = require('socket.io');
+const admin = require('firebase-admin');
+const mongoose = require('mongoose');
 const Table = require('../models/Table'); // Import Table model
+const Venue = require('../models/Venue');
+const User = require('../models/User');
 const { getPopulatedTableWithPerGameCost } = require('./tableHelpers');
 const { populateTablePlayersDetails, populateQueueWithUserDetails } = require('./gameService');
+const { getVenueEventLog } = require('./venueEventLogService');
 
 let ioInstance;
 
+// Venue room events carry { venueId, seq, epoch } as a second argument. seq increases by one per event
+// and venue; sequences restart when the epoch changes. Recent events are kept in the venue event log
+// (venueEventLogService) so a reconnecting client can catch up with joinVenueRoom(venueId, { lastSeq, epoch }).
+const pendingVenueEmits = new Map(); // venueId -> promise of the venue's last emit, keeps this instance's emits in order
+
+/**
+ * Socket.IO middleware: verifies the Firebase ID token sent in the handshake
+ * (io(url, { auth: { token } }), or an 'Authorization: Bearer <token>' header) and stores
+ * { uid, isAdmin } on socket.data.user. Connections without a valid token are refused.
+ */
+async function authenticateSocket(socket, next) {
+  const authHeader = socket.handshake.headers && socket.handshake.headers.authorization;
+  const idToken = (socket.handshake.auth && socket.handshake.auth.token) || authHeader?.split('Bearer ')[1];
+  if (!idToken) {
+    console.warn(`[SOCKET_SERVICE] Rejected socket ${socket.id}: no authentication token.`);
+    return next(new Error('No authentication token provided.'));
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    const userProfile = await User.findById(decodedToken.uid).select('isAdmin').lean();
+    socket.data.user = { uid: decodedToken.uid, isAdmin: !!(userProfile && userProfile.isAdmin) };
+    next();
+  } catch (error) {
+    console.warn(`[SOCKET_SERVICE] Rejected socket ${socket.id}: ${error.message}`);
+    next(new Error(error.code === 'auth/id-token-expired'
+      ? 'Authentication token expired. Please re-authenticate.'
+      : 'Invalid authentication token.'));
+  }
+}
+
+/**
+ * Whether the user may see a venue (follow its room, fetch its tables and queue). Venues that aren't
+ * public (e.g. still being set up) are only visible to administrators and the venue's owner and staff.
+ * @param {Object} user - socket.data.user or req.user.
+ * @param {Object} venue - Venue with visibility, ownerId and staff.
+ * @returns {boolean}
+ */
+function canViewVenue(user, venue) {
+  if (venue.visibility !== 'staff_only' || user.isAdmin) return true;
+  return venue.ownerId === user.uid || (venue.staff || []).some(member => member.userId === user.uid);
+}
+
 function initializeSocketIO(server) {
   if (ioInstance) {
     console.warn('Socket.IO already initialized.');
@@ -19,19 +67,68 @@ function initializeSocketIO(server) {
     }
   });
 
+  ioInstance.use(authenticateSocket);
+
   ioInstance.on('connection', (socket) => {
-    console.log(`[SOCKET_SERVICE] Socket connected: ${socket.id}`);
+    const { uid } = socket.data.user;
+    console.log(`[SOCKET_SERVICE] Socket connected: ${socket.id} (user ${uid})`);
+    socket.join(uid); // The user's own room (tokenBalanceUpdate, winClaimedNotification, ...) comes from the verified token
 
+    // Kept for older clients. The room is always the authenticated user's, whatever userId they send.
     socket.on('registerForUpdates', (userId) => {
-      console.log(`[SOCKET_SERVICE] User ${userId} registered socket ${socket.id} for real-time updates.`);
-      socket.join(userId); // Join a room specific to the user's ID
+      if (userId && userId !== uid) {
+        console.warn(`[SOCKET_SERVICE] Socket ${socket.id} (user ${uid}) tried to register for updates of user ${userId}. Ignored.`);
+      }
+      socket.join(uid);
     });
 
-    socket.on('joinVenueRoom', async (venueId) => {
+    // joinVenueRoom(venueId, [{ lastSeq, epoch }], [ack]). Reconnecting clients pass the seq/epoch of the
+    // last venue event they saw: missed events are replayed (then 'venueReplayComplete'), or a fresh
+    // initialVenueState is sent if they can't be.
+    socket.on('joinVenueRoom', async (venueId, options, ack) => {
+      if (typeof options === 'function') {
+        ack = options;
+        options = {};
+      }
+      const { lastSeq, epoch } = options || {};
       console.log(`[SOCKET_SERVICE] Socket ${socket.id} RECEIVED joinVenueRoom for venue: ${venueId}.`); // NEW LOG
-      socket.join(venueId);
+      const reject = (message) => {
+        console.warn(`[SOCKET_SERVICE] Socket ${socket.id} (user ${uid}) could not join venue room ${venueId}: ${message}`);
+        socket.emit('joinVenueRoomError', { venueId, message });
+        if (typeof ack === 'function') ack({ success: false, message });
+      };
+
+      try {
+        const venue = mongoose.Types.ObjectId.isValid(venueId)
+          ? await Venue.findById(venueId).select('visibility ownerId staff').lean()
+          : null;
+        if (!venue || !canViewVenue(socket.data.user, venue)) {
+          return reject('Venue not found.'); // Hidden venues look the same as missing ones
+        }
+      } catch (error) {
+        console.error(`[SOCKET_SERVICE] Error checking venue ${venueId} for socket ${socket.id}:`, error);
+        return reject('Server error joining venue.');
+      }
+      const room = venueId.toString();
+      socket.join(room);
 
+      // The socket is in the room before the log is read, so no event is lost in between. An event can
+      // arrive both live and replayed; clients skip seqs they have already applied.
       try {
+        const eventLog = getVenueEventLog();
+        const missed = Number.isInteger(lastSeq) && lastSeq >= 0 ? await eventLog.getMissedEvents(room, lastSeq, epoch) : null;
+        if (missed) {
+          for (const event of missed.events) {
+            socket.emit(event.eventName, event.payload, { venueId: room, seq: event.seq, epoch: missed.epoch });
+          }
+          socket.emit('venueReplayComplete', { venueId: room, fromSeq: lastSeq, seq: missed.seq, epoch: missed.epoch, replayed: missed.events.length });
+          console.log(`[SOCKET_SERVICE] Replayed ${missed.events.length} missed event(s) for venue ${room} to socket ${socket.id} (seq ${lastSeq} -> ${missed.seq}).`);
+          if (typeof ack === 'function') ack({ success: true, replayed: missed.events.length, seq: missed.seq, epoch: missed.epoch });
+          return;
+        }
+        if (typeof ack === 'function') ack({ success: true, replayed: null });
+
+        const snapshot = await eventLog.getPosition(room); // Events after this reach the client live
         const tablesInVenue = await Table.find({ venueId });
         const populatedTables = await Promise.all(
           tablesInVenue.map(async (table) => {
@@ -45,13 +142,14 @@ function initializeSocketIO(server) {
         if (validPopulatedTables.length > 0) {
           console.log(`[SOCKET_SERVICE] First table in initialVenueState (perGameCost): ${validPopulatedTables[0].perGameCost}`);
         }
-        socket.emit('initialVenueState', validPopulatedTables);
+        socket.emit('initialVenueState', validPopulatedTables, { venueId: room, seq: snapshot.seq, epoch: snapshot.epoch });
       } catch (error) {
         console.error(`[SOCKET_SERVICE] Error sending initial venue state for venue ${venueId}:`, error);
       }
     });
 
     socket.on('leaveVenueRoom', (venueId) => {
+      if (venueId === uid) return; // Not a venue room
       console.log(`[SOCKET_SERVICE] Socket ${socket.id} left venue room: ${venueId}.`);
       socket.leave(venueId);
     });
@@ -64,6 +162,39 @@ function initializeSocketIO(server) {
   return ioInstance;
 }
 
+/**
+ * Emits an event to a venue room with the venue's next sequence number and records it for replay.
+ * Every emit to a venue room should go through here. Emits of one venue leave this instance in order.
+ * If the event log can't be written the event is still sent live, with seq null so clients resync.
+ * @param {string} venueId
+ * @param {string} eventName - e.g. 'tableStatusUpdate', 'queueUpdate', 'venueQueueUpdate'.
+ * @param {*} payload
+ * @returns {Promise<number|null>} The event's sequence number (null if it could not be recorded).
+ */
+function emitToVenue(venueId, eventName, payload) {
+  const room = venueId.toString();
+  const previous = pendingVenueEmits.get(room) || Promise.resolve();
+  const emitted = previous.then(async () => {
+    let position;
+    try {
+      position = await getVenueEventLog().append(room, eventName, payload);
+    } catch (error) {
+      console.error(`[SOCKET_SERVICE] Could not record ${eventName} for venue ${room}; sending it without a sequence number:`, error);
+      position = { seq: null, epoch: null };
+    }
+    getSocketIO().to(room).emit(eventName, payload, { venueId: room, ...position });
+    return position.seq;
+  }).catch((error) => {
+    console.error(`[SOCKET_SERVICE] Error emitting ${eventName} to venue ${room}:`, error);
+    return null;
+  });
+  pendingVenueEmits.set(room, emitted);
+  emitted.finally(() => {
+    if (pendingVenueEmits.get(room) === emitted) pendingVenueEmits.delete(room);
+  });
+  return emitted;
+}
+
 function getSocketIO() {
   if (!ioInstance) {
     console.error('CRITICAL ERROR: Socket.IO instance not initialized when getSocketIO was called.');
@@ -72,7 +203,28 @@ function getSocketIO() {
   return ioInstance;
 }
 
+/**
+ * Emits the fully populated state of a table to its venue room.
+ * @param {string} tableId - The table that changed.
+ * @param {string} [eventName='tableStatusUpdate'] - 'tableStatusUpdate' or 'queueUpdate'.
+ * @returns {Promise<Object|null>} The populated table that was emitted, or null if nothing was emitted.
+ */
+async function emitTableUpdate(tableId, eventName = 'tableStatusUpdate') {
+  const updatedTableForSocket = await getPopulatedTableWithPerGameCost(tableId);
+  if (updatedTableForSocket && updatedTableForSocket.venueId && updatedTableForSocket.venueId._id) {
+    const venueRoomId = updatedTableForSocket.venueId._id.toString();
+    await emitToVenue(venueRoomId, eventName, updatedTableForSocket);
+    console.log(`[SOCKET_SERVICE] Emitted ${eventName} for table ${tableId} to room: ${venueRoomId}.`);
+    return updatedTableForSocket;
+  }
+  console.warn(`[SOCKET_SERVICE] Not emitting ${eventName} for ${tableId} because the populated table or its venueId/_id is null/undefined.`);
+  return null;
+}
+
 module.exports = {
+  canViewVenue,
   initializeSocketIO,
-  getSocketIO
+  getSocketIO,
+  emitToVenue,
+  emitTableUpdate
 };
@@ -0,0 +1,131 @@
+// services/tableEventService.js
+// Reads the table audit trail (models/TableEvent.js) for staff: one table's timeline or everything
+// that happened at a venue. Events are returned newest first and paged with an opaque cursor, so
+// pages stay stable while new events are being recorded.
+
+const mongoose = require('mongoose');
+const TableEvent = require('../models/TableEvent');
+const User = require('../models/User');
+const { TABLE_TRANSITIONS } = require('./tableStateMachineService');
+
+// Transitions plus the events recorded outside the state machine (see routes/tableRoutes.js)
+const TABLE_EVENT_TYPES = [...Object.keys(TABLE_TRANSITIONS), 'sessionPayment'];
+const ACTOR_ROLES = ['player', 'staff', 'system', 'device'];
+
+/**
+ * Cursor of the last event on a page: its createdAt and _id, base64url encoded.
+ */
+const encodeCursor = (event) =>
+  Buffer.from(`${event.createdAt.toISOString()}_${event._id}`).toString('base64url');
+
+/**
+ * @returns {{createdAt: Date, _id: mongoose.Types.ObjectId}|null} null if the cursor is malformed.
+ */
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const date = new Date(createdAt);
+  if (isNaN(date) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Shapes a stored event for the API, with the actor's display name.
+ */
+const formatEvent = (event, usersById) => ({
+  id: event._id,
+  type: event.type,
+  tableId: event.tableId,
+  tableNumber: event.tableNumber,
+  actor: {
+    userId: event.actor.userId,
+    role: event.actor.role,
+    displayName: event.actor.userId ? usersById.get(event.actor.userId) || 'Unknown User' : null,
+  },
+  createdAt: event.createdAt,
+  fromStatus: event.before.status,
+  toStatus: event.after.status,
+  before: event.before,
+  after: event.after,
+  details: event.details,
+});
+
+/**
+ * A page of table events, newest first.
+ * @param {Object} scope - Exactly one of:
+ * @param {string} [scope.tableId] - One table's timeline.
+ * @param {string} [scope.venueId] - Activity across the venue's tables.
+ * @param {Object} [options]
+ * @param {string|string[]} [options.types] - Only these event types (comma-separated or array).
+ * @param {string} [options.tableId] - With venueId: only this table.
+ * @param {string} [options.actorId] - Only events caused by this user.
+ * @param {string} [options.role] - Only events by this kind of actor: 'player', 'staff', 'system' or 'device'.
+ * @param {string} [options.from] - ISO date; only events at or after it.
+ * @param {string} [options.to] - ISO date; only events at or before it.
+ * @param {string} [options.cursor] - nextCursor of the previous page.
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{success: boolean, events?: Array<Object>, nextCursor?: string|null, error?: string}>}
+ *   error is 'INVALID_TYPE', 'INVALID_TABLE', 'INVALID_VENUE', 'INVALID_ROLE', 'INVALID_DATE' or 'INVALID_CURSOR'.
+ */
+async function listTableEvents(scope, { types, tableId, actorId, role, from, to, cursor, limit = 50 } = {}) {
+  if (!mongoose.isValidObjectId(scope.tableId || scope.venueId)) {
+    return { success: false, error: scope.tableId ? 'INVALID_TABLE' : 'INVALID_VENUE' };
+  }
+  const filter = scope.tableId ? { tableId: scope.tableId } : { venueId: scope.venueId };
+
+  if (types) {
+    const requested = toList(types);
+    if (requested.length === 0 || requested.some(type => !TABLE_EVENT_TYPES.includes(type))) {
+      return { success: false, error: 'INVALID_TYPE' };
+    }
+    filter.type = { $in: requested };
+  }
+  if (tableId && !scope.tableId) {
+    if (!mongoose.isValidObjectId(tableId)) return { success: false, error: 'INVALID_TABLE' };
+    filter.tableId = tableId;
+  }
+  if (actorId) filter['actor.userId'] = actorId;
+  if (role) {
+    if (!ACTOR_ROLES.includes(role)) return { success: false, error: 'INVALID_ROLE' };
+    filter['actor.role'] = role;
+  }
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) return { success: false, error: 'INVALID_DATE' };
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) return { success: false, error: 'INVALID_CURSOR' };
+    // Events recorded in the same millisecond are told apart by _id
+    filter.$or = [
+      { createdAt: { $lt: position.createdAt } },
+      { createdAt: position.createdAt, _id: { $lt: position._id } },
+    ];
+  }
+
+  // One extra event tells us whether there is another page
+  const stored = await TableEvent.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+  const page = stored.slice(0, limit);
+
+  const actorIds = [...new Set(page.map(event => event.actor.userId).filter(Boolean))];
+  const users = await User.find({ _id: { $in: actorIds } }).select('displayName email').lean();
+  const usersById = new Map(users.map(u => [u._id, u.displayName || u.email]));
+
+  return {
+    success: true,
+    events: page.map(event => formatEvent(event, usersById)),
+    nextCursor: stored.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  TABLE_EVENT_TYPES,
+  listTableEvents,
+};
@@ -2,10 +2,48 @@
 
 const Table = require('../models/Table');
 const Venue = require('../models/Venue'); // Needed for populating venue and getting perGameCost
+const Reservation = require('../models/Reservation');
 const { populateTablePlayersDetails, populateQueueWithUserDetails } = require('./gameService'); // Assuming gameService is in the same 'services' directory
+const { estimateTableWait } = require('./waitTimeService');
 
 /**
- * Helper function to get a fully populated table object with perGameCost.
+ * Adds wait estimates to a populated table: estimatedWait on the table and estimatedWaitMinutes
+ * on each queue entry.
+ */
+async function attachWaitEstimates(table, tableData) {
+  const estimatedWait = await estimateTableWait(table);
+  const queue = tableData.queue.map((entry, idx) => ({
+    ...entry,
+    estimatedWaitMinutes: estimatedWait ? estimatedWait.queue[idx] : null,
+  }));
+  return { ...tableData, queue, estimatedWait };
+}
+
+/**
+ * Adds the table's current or next reservation (booked or checked in) as `reservation`, or null.
+ * heldNow is true while the slot is running and the holder hasn't checked in, i.e. nobody else is seated.
+ */
+async function attachReservation(table, tableData) {
+  const now = new Date();
+  const next = await Reservation.findOne({
+    tableId: table._id,
+    status: { $in: ['booked', 'checked_in'] },
+    endTime: { $gt: now },
+  }).sort({ startTime: 1 }).lean();
+  const reservation = next ? {
+    reservationId: next._id,
+    userId: next.userId,
+    startTime: next.startTime,
+    endTime: next.endTime,
+    status: next.status,
+    heldNow: next.status === 'booked' && next.startTime <= now,
+  } : null;
+  return { ...tableData, reservation };
+}
+
+/**
+ * Helper function to get a fully populated table object with perGameCost, queue wait estimates and the
+ * current or next reservation.
  * This function is designed to be independent and reusable across modules.
  * @param {string} tableId - The ID of the table to populate.
  * @returns {Promise<object|null>} A promise that resolves to the populated table object, or null if not found/error.
@@ -26,7 +64,7 @@ async function getPopulatedTableWithPerGameCost(tableId) {
       console.error(`[TABLE_HELPER] Venue not populated for table ${tableId}. Cannot get perGameCost. Returning table without cost.`);
       const populatedQueue = await populateQueueWithUserDetails(table.queue);
       const tableWithQueue = { ...table.toObject(), queue: populatedQueue };
-      const fullyPopulatedTable = await populateTablePlayersDetails(tableWithQueue);
+      const fullyPopulatedTable = await attachReservation(table, await attachWaitEstimates(table, await populateTablePlayersDetails(tableWithQueue)));
       return { ...fullyPopulatedTable, perGameCost: null }; // Indicate missing cost
     }
 
@@ -38,7 +76,7 @@ async function getPopulatedTableWithPerGameCost(tableId) {
     // Convert Mongoose document to plain object before adding properties
     const tableObject = table.toObject();
     const tableWithQueue = { ...tableObject, queue: populatedQueue };
-    const fullyPopulatedTable = await populateTablePlayersDetails(tableWithQueue);
+    const fullyPopulatedTable = await attachReservation(table, await attachWaitEstimates(table, await populateTablePlayersDetails(tableWithQueue)));
 
     const finalTableData = { ...fullyPopulatedTable, perGameCost: venuePerGameCost };
     console.log(`[TABLE_HELPER] Final populated table data for ${tableId} (perGameCost: ${finalTableData.perGameCost}):`, JSON.stringify(finalTableData, null, 2));
@@ -51,4 +89,4 @@ async function getPopulatedTableWithPerGameCost(tableId) {
 
 module.exports = {
   getPopulatedTableWithPerGameCost
-};
+};
\ No newline at end of file
@@ -0,0 +1,230 @@
+// services/tableMaintenanceService.js
+// Taking tables out of service ('maintenance' / 'out_of_order') and putting them back.
+// Players on the table are refunded and removed; its queue moves to the venue's other tables.
+// Reservations for slots before the expected return (all of them if there is none) are cancelled and refunded.
+
+const Table = require('../models/Table');
+const User = require('../models/User');
+const { cancelGameSession } = require('./sessionService');
+const { refundSessionPayments } = require('./tokenService');
+const { creditSeatRefund } = require('./gamePaymentService');
+const { cancelWinConfirmationJobs } = require('./winConfirmationService');
+const { cancelReservationsForTable } = require('./reservationService');
+const { getSocketIO } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+const { runTableTransition } = require('./tableStateMachineService');
+
+const OUT_OF_SERVICE_STATUSES = ['maintenance', 'out_of_order'];
+
+/**
+ * Whether players can't use the table right now.
+ * @param {Object} table - Table document or plain object.
+ * @returns {boolean}
+ */
+const isOutOfService = (table) => OUT_OF_SERVICE_STATUSES.includes(table.status);
+
+/**
+ * Player-facing explanation of why a table can't be joined, e.g. for join-table/join-queue.
+ * @param {Object} table - Table document in an out-of-service status.
+ * @returns {string}
+ */
+const describeOutOfService = (table) => {
+  const label = table.status === 'out_of_order' ? 'out of order' : 'under maintenance';
+  const reason = table.maintenance && table.maintenance.reason ? ` (${table.maintenance.reason})` : '';
+  const expected = table.maintenance && table.maintenance.expectedReturnAt
+    ? ` Expected back ${table.maintenance.expectedReturnAt.toISOString()}.`
+    : '';
+  return `Table ${table.tableNumber} is ${label}${reason}.${expected}`;
+};
+
+/**
+ * Moves queued players to the venue's other in-service tables, in their original order. Each player
+ * goes to the table with the shortest queue they aren't already on. Players who can't be placed
+ * are dropped. Each target table takes its players in a receiveMovedQueue transition, which seats
+ * them straight away if it has free seats.
+ * @param {Object} table - The table being taken out of service.
+ * @param {Array<string>} queue - User IDs to move, front of the queue first.
+ * @param {Object} actor - Who took the table out of service.
+ * @returns {Promise<Array<{userId: string, tableId: Object, tableNumber: *, position: number}>>} position is 0 when seated.
+ */
+const moveQueueToOtherTables = async (table, queue, actor) => {
+  const venueId = table.venueId._id || table.venueId;
+  const targets = await Table.find({
+    venueId,
+    _id: { $ne: table._id },
+    status: { $nin: OUT_OF_SERVICE_STATUSES },
+  }).select('tableNumber queue currentPlayers').lean();
+
+  const plan = new Map(); // Target table -> user IDs it takes
+  const moves = [];
+  for (const userId of queue) {
+    const candidates = targets.filter(t =>
+      !t.queue.includes(userId) &&
+      t.currentPlayers.player1Id !== userId &&
+      t.currentPlayers.player2Id !== userId
+    );
+    const move = { userId, tableId: null, tableNumber: null, position: null };
+    moves.push(move);
+    if (candidates.length === 0) continue;
+    candidates.sort((a, b) => a.queue.length - b.queue.length);
+    const target = candidates[0];
+    target.queue.push(userId);
+    plan.set(target, [...(plan.get(target) || []), userId]);
+  }
+
+  for (const [target, userIds] of plan) {
+    const transition = await runTableTransition(target._id, 'receiveMovedQueue', async (targetTable, event) => {
+      const added = userIds.filter(userId =>
+        !targetTable.queue.includes(userId) &&
+        targetTable.currentPlayers.player1Id !== userId &&
+        targetTable.currentPlayers.player2Id !== userId
+      );
+      targetTable.queue.push(...added);
+      event.details = { fromTableId: table._id.toString(), fromTableNumber: table.tableNumber, userIds: added };
+      return { targetTable, added };
+    }, { populate: 'venueId', actor });
+    if (!transition.success) {
+      console.warn(`[TABLE_MAINTENANCE] Could not move players to table ${target._id} (${transition.error}). Dropped: ${userIds.join(', ')}.`);
+      continue;
+    }
+
+    const { targetTable, added } = transition.result;
+    const promoted = transition.details.promoted || [];
+    for (const move of moves.filter(m => added.includes(m.userId))) {
+      move.tableId = target._id;
+      move.tableNumber = target.tableNumber;
+      move.position = promoted.includes(move.userId) ? 0 : targetTable.queue.indexOf(move.userId) + 1; // 0: seated straight away
+    }
+  }
+
+  return moves;
+};
+
+/**
+ * Sends the 'tableOutOfService' socket event and a push to a player affected by a table closure.
+ */
+const notifyAffectedPlayer = async (table, userId, payload, body) => {
+  getSocketIO().to(userId).emit('tableOutOfService', payload);
+  const player = await User.findById(userId);
+  if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+    sendPushNotification(player.fcmTokens, 'Table Unavailable', body, {
+      type: 'table_out_of_service',
+      tableId: table._id.toString(),
+      movedToTableId: payload.movedToTableId || '',
+    });
+  }
+};
+
+/**
+ * Takes a table out of service. A game in progress is voided and refunded, seat payments of
+ * seated players are refunded, seats and check-ins are cleared, and the queue moves to other
+ * tables at the venue. Booked reservations starting before expectedReturnAt (every upcoming one
+ * without it) are cancelled with their deposits refunded. Runs as the takeOutOfService transition;
+ * the game is voided and refunds are paid only once the table is saved.
+ * @param {string} tableId
+ * @param {'maintenance'|'out_of_order'} status
+ * @param {Object} details
+ * @param {string} [details.reason]
+ * @param {Date} [details.expectedReturnAt]
+ * @param {string} details.startedBy - UID of the admin or manager.
+ * @returns {Promise<{success: boolean, table?: Object, refunds?: Array, evicted?: Array<string>, moves?: Array,
+ *   cancelledReservations?: number, error?: string, status?: string, action?: string}>} A failed result is the
+ *   failed transition (see runTableTransition).
+ */
+const takeTableOutOfService = async (tableId, status, { reason = null, expectedReturnAt = null, startedBy }) => {
+  const actor = { userId: startedBy, role: 'staff' };
+  const transition = await runTableTransition(tableId, 'takeOutOfService', async (table, event) => {
+    const voidedSessionId = table.currentSessionId || null;
+    const evicted = [table.currentPlayers.player1Id, table.currentPlayers.player2Id].filter(Boolean);
+    const releasedSeatPayments = table.seatPayments
+      .filter(payment => evicted.includes(payment.userId))
+      .map(({ userId, amount }) => ({ userId, amount }));
+
+    // Check-in and win-claim jobs left behind find the table out of service and do nothing
+    const queue = [...table.queue];
+    table.queue = [];
+    table.currentSessionId = null;
+    table.currentPlayers = { player1Id: null, player2Id: null };
+    table.pendingCheckIns = table.pendingCheckIns.filter(entry => !evicted.includes(entry.userId));
+    table.seatPayments = table.seatPayments.filter(payment => !evicted.includes(payment.userId));
+    table.pendingWinClaim = { claimedBy: null, claimedAt: null, confirmationDeadline: null };
+    table.status = status;
+    table.maintenance = { reason, expectedReturnAt, startedAt: new Date(), startedBy };
+    event.details = { reason, expectedReturnAt, evicted, voidedSessionId: voidedSessionId ? voidedSessionId.toString() : null };
+    return { table, evicted, queue, voidedSessionId, releasedSeatPayments };
+  }, { populate: 'venueId', actor });
+  if (!transition.success) return transition;
+
+  const { table, evicted, queue, voidedSessionId, releasedSeatPayments } = transition.result;
+  const tableLabel = `Table ${table.tableNumber}`;
+  const refunds = [];
+  await cancelWinConfirmationJobs(table._id);
+  if (voidedSessionId) {
+    await cancelGameSession(voidedSessionId);
+    refunds.push(...await refundSessionPayments(voidedSessionId, `Refund for ${tableLabel}: game voided, table taken out of service`));
+  }
+  for (const payment of releasedSeatPayments) {
+    const amount = await creditSeatRefund(table, payment, `Refund for ${tableLabel}: table taken out of service`);
+    if (amount > 0) refunds.push({ userId: payment.userId, amount });
+  }
+  console.log(`[TABLE_MAINTENANCE] Table ${table._id} set to '${status}' by ${startedBy}. Evicted: ${evicted.join(', ') || 'none'}. Queue to move: ${queue.length}.`);
+
+  const moves = await moveQueueToOtherTables(table, queue, actor);
+  const cancelledReservations = await cancelReservationsForTable(table._id, expectedReturnAt, startedBy);
+
+  const basePayload = {
+    tableId: table._id.toString(),
+    tableNumber: table.tableNumber,
+    status,
+    reason,
+    expectedReturnAt,
+  };
+  for (const userId of evicted) {
+    const refunded = refunds.filter(r => r.userId === userId).reduce((sum, r) => sum + r.amount, 0);
+    await notifyAffectedPlayer(
+      table,
+      userId,
+      { ...basePayload, evicted: true, refunded },
+      `${describeOutOfService(table)} Your game has ended${refunded > 0 ? ` and ${refunded} tokens were refunded` : ''}.`
+    );
+  }
+  for (const move of moves) {
+    const movedText = move.tableId
+      ? (move.position === 0 ? ` You've been seated on Table ${move.tableNumber} instead.` : ` You've been moved to the queue for Table ${move.tableNumber} (position ${move.position}).`)
+      : ' You have been removed from its queue.';
+    await notifyAffectedPlayer(
+      table,
+      move.userId,
+      { ...basePayload, evicted: false, movedToTableId: move.tableId ? move.tableId.toString() : null, movedToTableNumber: move.tableNumber, queuePosition: move.position },
+      `${describeOutOfService(table)}${movedText}`
+    );
+  }
+
+  return { success: true, table, refunds, evicted, moves, cancelledReservations };
+};
+
+/**
+ * Puts an out-of-service table back into service as 'available' (reopen transition).
+ * @param {string} tableId
+ * @param {string} reopenedBy - UID of the admin or manager.
+ * @returns {Promise<Object>} The result of runTableTransition; result.table is the reopened table.
+ */
+const reopenTable = async (tableId, reopenedBy) => {
+  const transition = await runTableTransition(tableId, 'reopen', async (table) => {
+    table.status = 'available';
+    table.maintenance = { reason: null, expectedReturnAt: null, startedAt: null, startedBy: null };
+    return { table };
+  }, { actor: { userId: reopenedBy, role: 'staff' } });
+  if (transition.success) {
+    console.log(`[TABLE_MAINTENANCE] Table ${tableId} reopened by ${reopenedBy}.`);
+  }
+  return transition;
+};
+
+module.exports = {
+  OUT_OF_SERVICE_STATUSES,
+  isOutOfService,
+  describeOutOfService,
+  takeTableOutOfService,
+  reopenTable,
+};
@@ -0,0 +1,262 @@
+// services/tableStateMachineService.js
+// The table state machine. Every change to a table's game state (seats, queue, win claims, service
+// status) is a named transition from TABLE_TRANSITIONS, which declares the statuses it may start
+// from, the statuses it may leave the table in and its side effects: filling empty seats from the
+// queue and the socket event clients get. Services add behaviour (e.g. notifications) with hooks,
+// see onTableTransition.
+//
+// A transition first takes the table's lease with a conditional findOneAndUpdate that only matches
+// when the table is in one of the allowed statuses and no other transition holds it. The change then
+// runs on a fresh copy of the table, so two players tapping "join" at once are handled one after the
+// other, on every server instance. Routes answer ILLEGAL_TRANSITION and TABLE_BUSY with 409 so
+// clients can refresh or retry. Each committed transition is recorded as a TableEvent.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const TableEvent = require('../models/TableEvent');
+const { emitTableUpdate } = require('./socketService');
+
+const LEASE_TIMEOUT_MS = 30 * 1000; // A lease older than this is assumed to belong to a crashed request
+const LEASE_WAIT_MS = 2 * 1000; // How long a transition waits for a busy table before giving up
+const LEASE_RETRY_MS = 100;
+
+const OUT_OF_SERVICE = ['maintenance', 'out_of_order'];
+const BETWEEN_GAMES = ['available', 'queued', 'occupied'];
+const IN_SERVICE = [...BETWEEN_GAMES, 'in_play', 'awaiting_confirmation'];
+const AFTER_GAME = [...BETWEEN_GAMES, 'in_play']; // A new game may start straight away
+
+// from: statuses the transition may start from (any other is an illegal transition).
+// to: statuses it may leave the table in. emits: socket event broadcast to the venue afterwards.
+// promotesQueue: empty seats are filled from the table (and venue) queue before the change is saved.
+// settlesStatus: the status is recomputed from the seats and queue before the change is saved.
+// Neither applies while a game is running or the table is out of service (queueService hook).
+const TABLE_TRANSITIONS = {
+  joinTable: { from: ['available', 'in_play'], to: ['available', 'in_play'], emits: 'tableStatusUpdate', action: 'join this table' },
+  joinQueue: { from: IN_SERVICE, to: IN_SERVICE, emits: 'queueUpdate', action: 'join the queue' },
+  leaveQueue: { from: IN_SERVICE, to: IN_SERVICE, emits: 'queueUpdate', settlesStatus: true, action: 'leave the queue' },
+  clearQueue: { from: [...IN_SERVICE, ...OUT_OF_SERVICE], to: [...IN_SERVICE, ...OUT_OF_SERVICE], emits: 'queueUpdate', settlesStatus: true, action: 'clear the queue' },
+  checkIn: { from: BETWEEN_GAMES, to: AFTER_GAME, emits: 'queueUpdate', action: 'check in' },
+  checkInTimeout: { from: BETWEEN_GAMES, to: AFTER_GAME, emits: 'queueUpdate', promotesQueue: true, action: 'skip a missed check-in' },
+  payForSeat: { from: IN_SERVICE, to: IN_SERVICE, emits: null, action: 'pay for a seat' },
+  claimWin: { from: ['in_play', 'awaiting_confirmation'], to: ['awaiting_confirmation'], emits: 'tableStatusUpdate', action: 'claim a win' },
+  deviceGameOver: { from: ['in_play'], to: ['awaiting_confirmation'], emits: 'tableStatusUpdate', action: 'end the game' },
+  disputeWin: { from: ['awaiting_confirmation'], to: ['in_play'], emits: 'tableStatusUpdate', action: 'dispute a win' },
+  confirmWin: { from: ['awaiting_confirmation'], to: AFTER_GAME, emits: 'tableStatusUpdate', promotesQueue: true, action: 'confirm a win' },
+  winClaimTimeout: { from: ['awaiting_confirmation'], to: AFTER_GAME, emits: 'tableStatusUpdate', promotesQueue: true, action: 'settle the win claim' },
+  resolveDispute: { from: IN_SERVICE, to: AFTER_GAME, emits: 'tableStatusUpdate', promotesQueue: true, action: 'resolve a dispute' },
+  removePlayer: { from: IN_SERVICE, to: IN_SERVICE, emits: 'tableStatusUpdate', promotesQueue: true, action: 'remove a player' },
+  assignFromVenueQueue: { from: ['available'], to: AFTER_GAME, emits: 'queueUpdate', promotesQueue: true, action: 'seat players from the venue queue' },
+  receiveMovedQueue: { from: IN_SERVICE, to: IN_SERVICE, emits: 'queueUpdate', promotesQueue: true, action: 'take over a closed table\'s queue' },
+  reservationCheckIn: { from: IN_SERVICE, to: IN_SERVICE, emits: 'queueUpdate', promotesQueue: true, action: 'check in a reservation' },
+  releaseReservationHold: { from: IN_SERVICE, to: IN_SERVICE, emits: 'queueUpdate', promotesQueue: true, action: 'release a reservation hold' },
+  takeOutOfService: { from: [...IN_SERVICE, ...OUT_OF_SERVICE], to: OUT_OF_SERVICE, emits: 'tableStatusUpdate', action: 'take the table out of service' },
+  reopen: { from: OUT_OF_SERVICE, to: ['available'], emits: 'tableStatusUpdate', action: 'reopen the table' },
+};
+
+const SYSTEM_ACTOR = { userId: null, role: 'system' };
+
+const hooks = { beforeCommit: [], afterCommit: [], afterRollback: [] };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Registers a hook for table transitions. Call at startup (see server.js).
+ * - 'beforeCommit' hooks run while the lease is held, after the transition's change and before the
+ *   table is saved; they may change the table further. A throwing hook aborts the transition.
+ * - 'afterCommit' hooks run once the table is saved, recorded and broadcast (lease released), e.g.
+ *   to notify players. Errors are logged; the transition has already happened.
+ * - 'afterRollback' hooks run when a loaded table was not saved after all (apply returned an error,
+ *   nothing changed, or a hook or the save threw), to undo changes made outside the table. Errors are logged.
+ * @param {'beforeCommit'|'afterCommit'|'afterRollback'} phase
+ * @param {Array<string>|'*'} names - Transitions the hook is for, or '*' for all.
+ * @param {Function} hook - async (table, event) => void. event is { name, definition, actor, before, details }.
+ */
+function onTableTransition(phase, names, hook) {
+  if (!hooks[phase]) throw new Error(`Unknown table transition phase '${phase}'.`);
+  const unknown = names === '*' ? [] : names.filter(name => !TABLE_TRANSITIONS[name]);
+  if (unknown.length > 0) throw new Error(`Unknown table transition(s) '${unknown.join(', ')}'.`);
+  hooks[phase].push({ names, hook });
+}
+
+const hooksFor = (phase, name) => hooks[phase].filter(({ names }) => names === '*' || names.includes(name));
+
+/**
+ * What the audit trail keeps of a table's state.
+ */
+const snapshotTable = (table) => ({
+  status: table.status,
+  player1Id: table.currentPlayers.player1Id || null,
+  player2Id: table.currentPlayers.player2Id || null,
+  queue: [...table.queue],
+  sessionId: table.currentSessionId || null,
+});
+
+/**
+ * Records an event in a table's audit trail. Transitions record themselves; this is for things that
+ * happen at a table without changing it (e.g. a payment towards the running game).
+ * Failures are logged, never thrown: the audit trail must not break play.
+ * @param {Object} table - Table document (venueId may be populated).
+ * @param {string} type - e.g. 'sessionPayment'.
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { userId, role: 'player'|'staff'|'system'|'device' }.
+ * @param {Object} [options.before] - Snapshot before the change; defaults to the table as it is.
+ * @param {Object} [options.details]
+ * @returns {Promise<Object|null>} The TableEvent, or null if it could not be stored.
+ */
+async function recordTableEvent(table, type, { actor = SYSTEM_ACTOR, before, details = {} } = {}) {
+  try {
+    const after = snapshotTable(table);
+    return await TableEvent.create({
+      tableId: table._id,
+      venueId: table.venueId._id || table.venueId,
+      tableNumber: table.tableNumber,
+      type,
+      actor,
+      before: before || after,
+      after,
+      details,
+    });
+  } catch (error) {
+    console.error(`[TABLE_STATE] Failed to record '${type}' for table ${table._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Takes the table's lease if it is in one of the allowed statuses and free (or its lease expired).
+ * @returns {Promise<{leased: boolean, error?: string, status?: string}>}
+ */
+const acquireLease = async (tableId, name, leaseId, from) => {
+  const deadline = Date.now() + LEASE_WAIT_MS;
+  for (;;) {
+    const now = new Date();
+    const leased = await Table.findOneAndUpdate(
+      {
+        _id: tableId,
+        status: { $in: from },
+        $or: [{ 'transition.id': null }, { 'transition.startedAt': { $lt: new Date(now.getTime() - LEASE_TIMEOUT_MS) } }],
+      },
+      { $set: { transition: { id: leaseId, name, startedAt: now } } },
+      { new: true, projection: { _id: 1 } }
+    );
+    if (leased) return { leased: true };
+
+    const current = await Table.findById(tableId).select('status transition').lean();
+    if (!current) return { leased: false, error: 'TABLE_NOT_FOUND' };
+    if (!from.includes(current.status)) return { leased: false, error: 'ILLEGAL_TRANSITION', status: current.status };
+    if (Date.now() >= deadline) return { leased: false, error: 'TABLE_BUSY', status: current.status };
+    await wait(LEASE_RETRY_MS);
+  }
+};
+
+/**
+ * Applies the change to the freshly loaded table while holding the lease: runs apply and the
+ * beforeCommit hooks, checks the resulting status, saves the table and records the event.
+ * @returns {Promise<{result: *, table?: Object, committed: boolean}>}
+ */
+const commitTransition = async (table, event, apply) => {
+  const tableId = table._id;
+  event.before = snapshotTable(table);
+
+  const result = await apply(table, event);
+  if (result && result.error) {
+    return { result, committed: false }; // The request broke a rule: nothing is saved
+  }
+  for (const { hook } of hooksFor('beforeCommit', event.name)) {
+    await hook(table, event);
+  }
+  if (!table.isModified()) {
+    return { result, table, committed: false }; // Nothing to do, e.g. nobody waiting to be seated
+  }
+  if (!event.definition.to.includes(table.status)) {
+    throw new Error(`Table transition '${event.name}' left table ${tableId} in status '${table.status}' (allowed: ${event.definition.to.join(', ')}).`);
+  }
+
+  await table.save();
+  await recordTableEvent(table, event.name, { actor: event.actor, before: event.before, details: event.details });
+  console.log(`[TABLE_STATE] ${event.name} on table ${tableId} by ${event.actor.role} ${event.actor.userId || ''}: '${event.before.status}' -> '${table.status}'.`);
+  return { result, table, committed: true };
+};
+
+/**
+ * Runs a table transition while holding the table's lease.
+ * @param {string} tableId
+ * @param {string} name - A key of TABLE_TRANSITIONS.
+ * @param {Function} apply - async (table, event) => result. Gets a fresh Table document and changes it
+ *   without saving; the state machine saves it. Returning { error } for a rule the request broke
+ *   discards the change. Details for the audit trail go in event.details.
+ * @param {Object} [options]
+ * @param {string|Object} [options.populate] - Passed to populate() when loading the table, e.g. 'venueId'.
+ * @param {Object} [options.actor] - { userId, role: 'player'|'staff'|'system'|'device' }; defaults to the system.
+ * @returns {Promise<{success: boolean, result?: *, committed?: boolean, details?: Object, updatedTable?: Object|null,
+ *   error?: string, status?: string, action?: string}>} committed is false if apply returned an error or changed
+ *   nothing. updatedTable is the populated table broadcast to the venue (null if nothing was broadcast).
+ *   action describes the transition for error messages, e.g. 'claim a win'.
+ *   error is 'INVALID_TABLE_ID', 'TABLE_NOT_FOUND', 'ILLEGAL_TRANSITION' (status is the table's current
+ *   status) or 'TABLE_BUSY' (another transition held the table for too long; safe to retry).
+ */
+async function runTableTransition(tableId, name, apply, { populate, actor = SYSTEM_ACTOR } = {}) {
+  const definition = TABLE_TRANSITIONS[name];
+  if (!definition) throw new Error(`Unknown table transition '${name}'.`);
+  if (!mongoose.Types.ObjectId.isValid(tableId)) return { success: false, error: 'INVALID_TABLE_ID' };
+
+  const leaseId = crypto.randomUUID();
+  const lease = await acquireLease(tableId, name, leaseId, definition.from);
+  if (!lease.leased) {
+    if (lease.error !== 'TABLE_NOT_FOUND') {
+      console.warn(`[TABLE_STATE] ${name} on table ${tableId} rejected: ${lease.error} (status '${lease.status}').`);
+    }
+    return { success: false, error: lease.error, status: lease.status, action: definition.action };
+  }
+
+  const event = { name, definition, actor, before: null, details: {} };
+  let loadedTable = null;
+  let outcome = null;
+  try {
+    const query = Table.findById(tableId);
+    if (populate) query.populate(populate);
+    loadedTable = await query;
+    outcome = await commitTransition(loadedTable, event, apply);
+  } finally {
+    await Table.updateOne(
+      { _id: tableId, 'transition.id': leaseId },
+      { $set: { 'transition.id': null, 'transition.name': null, 'transition.startedAt': null } }
+    );
+    if (loadedTable && !(outcome && outcome.committed)) {
+      for (const { hook } of hooksFor('afterRollback', name)) {
+        try {
+          await hook(loadedTable, event);
+        } catch (error) {
+          console.error(`[TABLE_STATE] afterRollback hook for ${name} on table ${tableId} failed:`, error);
+        }
+      }
+    }
+  }
+
+  const { result, table, committed } = outcome;
+  let updatedTable = null;
+  if (committed) {
+    if (definition.emits) {
+      updatedTable = await emitTableUpdate(tableId, definition.emits);
+    }
+    if (definition.emits !== 'queueUpdate' && event.details.promoted && event.details.promoted.length > 0) {
+      updatedTable = await emitTableUpdate(tableId, 'queueUpdate'); // Queue moved up (promoted players may need to check in)
+    }
+    for (const { hook } of hooksFor('afterCommit', name)) {
+      try {
+        await hook(table, event);
+      } catch (error) {
+        console.error(`[TABLE_STATE] afterCommit hook for ${name} on table ${tableId} failed:`, error);
+      }
+    }
+  }
+  return { success: true, result, committed, details: event.details, updatedTable };
+}
+
+module.exports = {
+  TABLE_TRANSITIONS,
+  onTableTransition,
+  runTableTransition,
+  recordTableEvent,
+};
@@ -0,0 +1,155 @@
+// services/tokenService.js
+const User = require('../models/User');
+const TokenTransaction = require('../models/TokenTransaction');
+const Session = require('../models/Session');
+const { getSocketIO } = require('./socketService');
+
+/**
+ * Writes the ledger entry for a balance change that has already been applied, then pushes
+ * the new balance to the user's socket room.
+ * @param {Object} user - The updated User document.
+ * @param {'credit'|'debit'} type
+ * @param {number} amount
+ * @param {Object} details - reason, sessionId, tableId, venueId, reservationId, stripePaymentIntentId, description.
+ * @returns {Promise<Object>} The created TokenTransaction.
+ */
+const recordTransaction = async (user, type, amount, details) => {
+  const transaction = await TokenTransaction.create({
+    userId: user._id,
+    type,
+    amount,
+    reason: details.reason,
+    balanceAfter: user.tokenBalance,
+    sessionId: details.sessionId || null,
+    tableId: details.tableId || null,
+    venueId: details.venueId || null,
+    reservationId: details.reservationId || null,
+    stripePaymentIntentId: details.stripePaymentIntentId || null,
+    description: details.description || '',
+  });
+  console.log(`[TOKEN_SERVICE] ${type} of ${amount} tokens (${details.reason}) for user ${user._id}. New balance: ${user.tokenBalance}. Transaction: ${transaction._id}`);
+
+  try {
+    getSocketIO().to(user._id).emit('tokenBalanceUpdate', { newBalance: user.tokenBalance });
+    console.log(`[Socket.IO] Emitted tokenBalanceUpdate for user ${user._id} with new balance: ${user.tokenBalance}`);
+  } catch (error) {
+    console.error(`[TOKEN_SERVICE] Could not emit tokenBalanceUpdate for user ${user._id}:`, error.message);
+  }
+
+  return transaction;
+};
+
+/**
+ * Atomically adds tokens to a user's balance and records the ledger entry.
+ * If the ledger entry can't be written the error is rethrown with balanceApplied set: the tokens
+ * were credited and must not be credited again (see recordMissedCredit).
+ * @param {string} userId - Firebase UID.
+ * @param {number} amount - Positive number of tokens.
+ * @param {Object} details - reason (required), sessionId, tableId, venueId, stripePaymentIntentId, description.
+ * @returns {Promise<{success: boolean, newBalance?: number, transaction?: Object, error?: string}>}
+ */
+const creditTokens = async (userId, amount, details) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenBalance: amount } }, { new: true });
+  if (!user) {
+    console.error(`[TOKEN_SERVICE] Cannot credit ${amount} tokens: user ${userId} not found.`);
+    return { success: false, error: 'USER_NOT_FOUND' };
+  }
+  try {
+    const transaction = await recordTransaction(user, 'credit', amount, details);
+    return { success: true, newBalance: user.tokenBalance, transaction };
+  } catch (error) {
+    console.error(`[TOKEN_SERVICE] Credited ${amount} tokens to user ${userId} but could not record the transaction:`, error.message);
+    error.balanceApplied = true;
+    throw error;
+  }
+};
+
+/**
+ * Writes the ledger entry of a credit whose balance change was applied but whose entry was never
+ * stored (creditTokens threw with balanceApplied). The balance is left as it is.
+ * @param {string} userId - Firebase UID.
+ * @param {number} amount
+ * @param {Object} details - As for creditTokens.
+ * @returns {Promise<Object|null>} The TokenTransaction, or null if the user is missing.
+ */
+const recordMissedCredit = async (userId, amount, details) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  return recordTransaction(user, 'credit', amount, details);
+};
+
+/**
+ * Atomically removes tokens from a user's balance and records the ledger entry.
+ * The balance check and the decrement happen in one conditional update, so two concurrent
+ * debits can never both pass a check against the same starting balance.
+ * @param {string} userId - Firebase UID.
+ * @param {number} amount - Positive number of tokens.
+ * @param {Object} details - reason (required), sessionId, tableId, venueId, stripePaymentIntentId, description.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - Debit even if the balance goes below zero (e.g. Stripe refunds).
+ * @returns {Promise<{success: boolean, newBalance?: number, transaction?: Object, error?: string}>}
+ *   error is 'USER_NOT_FOUND' or 'INSUFFICIENT_BALANCE' when success is false.
+ */
+const debitTokens = async (userId, amount, details, { allowNegative = false } = {}) => {
+  const filter = allowNegative ? { _id: userId } : { _id: userId, tokenBalance: { $gte: amount } };
+  const user = await User.findOneAndUpdate(filter, { $inc: { tokenBalance: -amount } }, { new: true });
+  if (!user) {
+    const userExists = await User.exists({ _id: userId });
+    const error = userExists ? 'INSUFFICIENT_BALANCE' : 'USER_NOT_FOUND';
+    console.warn(`[TOKEN_SERVICE] Cannot debit ${amount} tokens from user ${userId}: ${error}`);
+    return { success: false, error };
+  }
+  const transaction = await recordTransaction(user, 'debit', amount, details);
+  return { success: true, newBalance: user.tokenBalance, transaction };
+};
+
+/**
+ * Refunds every game payment made for a session that has not been refunded yet.
+ * Payments are the session's seat payments (Session.payments) plus any ledger debits made directly
+ * against the session. Safe to call more than once: each player is only credited the difference
+ * between what they paid for the session and what was already refunded.
+ * @param {string} sessionId - The game Session whose payments should be refunded.
+ * @param {string} description - Shown in the players' transaction history.
+ * @returns {Promise<Array<{userId: string, amount: number, newBalance: number}>>} The refunds that were made.
+ */
+const refundSessionPayments = async (sessionId, description) => {
+  if (!sessionId) return [];
+
+  const session = await Session.findById(sessionId).lean();
+  const entries = await TokenTransaction.find({ sessionId, reason: { $in: ['game_payment', 'game_refund'] } }).lean();
+  const owedByUser = new Map();
+  const addOwed = (userId, amount) => owedByUser.set(userId, (owedByUser.get(userId) || 0) + amount);
+
+  const seatPaymentTransactionIds = new Set();
+  for (const payment of (session && session.payments) || []) {
+    addOwed(payment.userId, payment.amount);
+    if (payment.transactionId) seatPaymentTransactionIds.add(payment.transactionId.toString());
+  }
+  for (const entry of entries) {
+    if (entry.reason === 'game_refund') {
+      addOwed(entry.userId, -entry.amount);
+    } else if (!seatPaymentTransactionIds.has(entry._id.toString())) {
+      addOwed(entry.userId, entry.amount);
+    }
+  }
+  const tableId = session ? session.tableId : null;
+  const venueId = session ? session.venueId : null;
+
+  const refunds = [];
+  for (const [userId, owed] of owedByUser) {
+    if (owed <= 0) continue;
+    const credit = await creditTokens(userId, owed, { reason: 'game_refund', sessionId, tableId, venueId, description });
+    if (credit.success) {
+      refunds.push({ userId, amount: owed, newBalance: credit.newBalance });
+    }
+  }
+  console.log(`[TOKEN_SERVICE] Refunded session ${sessionId}: ${refunds.length} player(s).`);
+  return refunds;
+};
+
+module.exports = {
+  creditTokens,
+  recordMissedCredit,
+  debitTokens,
+  refundSessionPayments,
+};
@@ -0,0 +1,141 @@
+// services/venueEventLogService.js
+// Sequence numbers and recent events of venue rooms, used by socketService.emitToVenue and for
+// replaying missed events on joinVenueRoom. The in-memory log only works for a single server
+// instance. With SOCKET_ADAPTER=mongodb (see socketAdapterService) the log is kept in MongoDB, so all
+// instances number a venue's events from one counter and can replay events emitted by any of them.
+
+const mongoose = require('mongoose');
+
+const REPLAY_BUFFER_SIZE = 200; // Events kept per venue
+const REPLAY_MAX_AGE_MS = 5 * 60 * 1000; // Older events are not replayed; the client gets a full snapshot instead
+const SEQUENCES_COLLECTION = 'venue_event_sequences';
+const EVENTS_COLLECTION = 'venue_events';
+
+/**
+ * Picks the events after lastSeq out of a venue's recent events, or null if some are missing or
+ * too old to replay.
+ */
+const selectMissedEvents = (events, lastSeq, currentSeq) => {
+  const missed = events.filter(event => event.seq > lastSeq && event.seq <= currentSeq);
+  if (missed.length !== currentSeq - lastSeq || missed[0].emittedAt < Date.now() - REPLAY_MAX_AGE_MS) return null;
+  return missed;
+};
+
+/**
+ * Event log held in this process. Sequences restart with every server run (new epoch).
+ */
+const createMemoryEventLog = () => {
+  const epoch = `${Date.now().toString(36)}-${process.pid}`;
+  const sequences = new Map(); // venueId -> last seq
+  const buffers = new Map(); // venueId -> [{ seq, eventName, payload, emittedAt }]
+
+  return {
+    name: 'memory',
+
+    async append(venueId, eventName, payload) {
+      const seq = (sequences.get(venueId) || 0) + 1;
+      sequences.set(venueId, seq);
+      const buffer = buffers.get(venueId) || [];
+      buffer.push({ seq, eventName, payload, emittedAt: Date.now() });
+      if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+      buffers.set(venueId, buffer);
+      return { seq, epoch };
+    },
+
+    async getPosition(venueId) {
+      return { seq: sequences.get(venueId) || 0, epoch };
+    },
+
+    async getMissedEvents(venueId, lastSeq, clientEpoch) {
+      const currentSeq = sequences.get(venueId) || 0;
+      if (clientEpoch !== epoch || lastSeq > currentSeq) return null;
+      if (lastSeq === currentSeq) return { events: [], seq: currentSeq, epoch };
+      const events = selectMissedEvents(buffers.get(venueId) || [], lastSeq, currentSeq);
+      return events ? { events, seq: currentSeq, epoch } : null;
+    },
+  };
+};
+
+/**
+ * Event log shared by all instances through MongoDB. Each venue's counter document holds its
+ * sequence and an epoch created with the counter, so sequences survive restarts. Events expire via
+ * a TTL index.
+ * @param {Object} db - Native MongoDB Db (mongoose.connection.db).
+ */
+const createMongoEventLog = async (db) => {
+  const sequences = db.collection(SEQUENCES_COLLECTION);
+  const events = db.collection(EVENTS_COLLECTION);
+  await events.createIndex({ venueId: 1, seq: 1 }, { unique: true });
+  await events.createIndex({ createdAt: 1 }, { expireAfterSeconds: Math.ceil((2 * REPLAY_MAX_AGE_MS) / 1000) });
+
+  return {
+    name: 'mongodb',
+
+    async append(venueId, eventName, payload) {
+      const counter = await sequences.findOneAndUpdate(
+        { _id: venueId },
+        { $inc: { seq: 1 }, $setOnInsert: { epoch: new mongoose.Types.ObjectId().toHexString() } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      // Stored as JSON so a replayed event looks exactly like the live one
+      await events.insertOne({
+        venueId,
+        seq: counter.seq,
+        eventName,
+        payload: JSON.stringify(payload),
+        emittedAt: Date.now(),
+        createdAt: new Date(),
+      });
+      return { seq: counter.seq, epoch: counter.epoch };
+    },
+
+    async getPosition(venueId) {
+      const counter = await sequences.findOne({ _id: venueId });
+      return counter ? { seq: counter.seq, epoch: counter.epoch } : { seq: 0, epoch: null };
+    },
+
+    async getMissedEvents(venueId, lastSeq, clientEpoch) {
+      const counter = await sequences.findOne({ _id: venueId });
+      const currentSeq = counter ? counter.seq : 0;
+      if (!counter || clientEpoch !== counter.epoch || lastSeq > currentSeq) return null;
+      if (lastSeq === currentSeq) return { events: [], seq: currentSeq, epoch: counter.epoch };
+      if (currentSeq - lastSeq > REPLAY_BUFFER_SIZE) return null;
+
+      const stored = await events
+        .find({ venueId, seq: { $gt: lastSeq, $lte: currentSeq } })
+        .sort({ seq: 1 })
+        .toArray();
+      const missed = selectMissedEvents(stored, lastSeq, currentSeq);
+      if (!missed) return null;
+      return {
+        events: missed.map(({ seq, eventName, payload }) => ({ seq, eventName, payload: JSON.parse(payload) })),
+        seq: currentSeq,
+        epoch: counter.epoch,
+      };
+    },
+  };
+};
+
+let eventLog = createMemoryEventLog();
+
+/**
+ * Switches venue events to the MongoDB log. Called by socketAdapterService once MongoDB is connected.
+ * @param {Object} db - Native MongoDB Db.
+ */
+async function useMongoEventLog(db) {
+  eventLog = await createMongoEventLog(db);
+  console.log('[VENUE_EVENT_LOG] Venue event sequences are now shared through MongoDB.');
+}
+
+/**
+ * The active event log: { name, append(venueId, eventName, payload) -> { seq, epoch },
+ * getPosition(venueId) -> { seq, epoch }, getMissedEvents(venueId, lastSeq, epoch) -> { events, seq, epoch } | null }.
+ */
+function getVenueEventLog() {
+  return eventLog;
+}
+
+module.exports = {
+  getVenueEventLog,
+  useMongoEventLog,
+};
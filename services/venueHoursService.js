@@ -0,0 +1,241 @@
+// services/venueHoursService.js
+// Venue opening hours (Venue.operatingHours, in the venue's timezone) and what happens at closing time.
+// Venues without any hours configured are always open. While a venue is closed players can't take
+// seats or queue; a periodic check clears the queues of closed venues and tells the players.
+
+const Table = require('../models/Table');
+const Venue = require('../models/Venue');
+const User = require('../models/User');
+const { emitVenueQueueUpdate } = require('./queueService');
+const { getSocketIO } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+const { runTableTransition } = require('./tableStateMachineService');
+
+const MONITOR_INTERVAL_MS = 60 * 1000; // Queues are cleared within a minute of closing time
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+let monitorTimer = null;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * The calendar date, weekday and minute of the day at `date` in a timezone.
+ * @returns {{dateKey: string, weekday: number, minutes: number}} dateKey is 'YYYY-MM-DD', weekday 0 = Sunday.
+ */
+const getLocalTime = (date, timeZone) => {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+const previousDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+};
+
+const hasOperatingHours = (venue) => {
+  const hours = venue && venue.operatingHours;
+  return !!hours && ((hours.weekly || []).length > 0 || (hours.exceptions || []).length > 0);
+};
+
+/**
+ * Opening intervals of one local date, as written ('HH:MM'). A holiday exception for the date
+ * replaces the weekly hours; a venue without weekly hours is open all day unless an exception says otherwise.
+ * @returns {Array<{open: string, close: string}>}
+ */
+const getHoursForDate = (venue, dateKey, weekday) => {
+  const { weekly = [], exceptions = [] } = venue.operatingHours || {};
+  const exception = exceptions.find(entry => entry.date === dateKey);
+  if (exception && exception.closed) return [];
+  if (exception && exception.open && exception.close) return [{ open: exception.open, close: exception.close }];
+  if (weekly.length === 0) return [{ open: '00:00', close: '00:00' }];
+  return weekly.filter(entry => entry.day === weekday).map(({ open, close }) => ({ open, close }));
+};
+
+/**
+ * Interval in minutes from the start of its date. A close at or before the open time runs past midnight.
+ */
+const toMinuteRange = ({ open, close }) => {
+  const start = toMinutes(open);
+  let end = toMinutes(close);
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { start, end };
+};
+
+/**
+ * Whether the venue is open at a given time.
+ * @param {Object} venue - Venue document or plain object.
+ * @param {Date} [at=new Date()]
+ * @returns {boolean}
+ */
+const isVenueOpen = (venue, at = new Date()) => {
+  if (!hasOperatingHours(venue)) return true;
+
+  const local = getLocalTime(at, venue.timezone || 'UTC');
+  const today = getHoursForDate(venue, local.dateKey, local.weekday).map(toMinuteRange);
+  if (today.some(({ start, end }) => local.minutes >= start && local.minutes < end)) return true;
+
+  // Last night's hours may run past midnight
+  const yesterday = getHoursForDate(venue, previousDateKey(local.dateKey), (local.weekday + 6) % 7).map(toMinuteRange);
+  return yesterday.some(({ end }) => end > MINUTES_PER_DAY && local.minutes < end - MINUTES_PER_DAY);
+};
+
+/**
+ * Whether the venue is open for the whole of a time range (checked every 15 minutes and at the end).
+ * @param {Object} venue
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {boolean}
+ */
+const isVenueOpenThroughout = (venue, start, end) => {
+  if (!hasOperatingHours(venue)) return true;
+  const stepMs = 15 * 60 * 1000;
+  for (let time = start.getTime(); time < end.getTime(); time += stepMs) {
+    if (!isVenueOpen(venue, new Date(time))) return false;
+  }
+  return isVenueOpen(venue, new Date(end.getTime() - 60 * 1000));
+};
+
+/**
+ * Player-facing explanation for requests rejected while the venue is closed.
+ * @param {Object} venue
+ * @param {Date} [at=new Date()]
+ * @returns {string}
+ */
+const describeVenueClosed = (venue, at = new Date()) => {
+  const local = getLocalTime(at, venue.timezone || 'UTC');
+  const today = getHoursForDate(venue, local.dateKey, local.weekday);
+  const hoursText = today.length > 0
+    ? ` Today's hours: ${today.map(({ open, close }) => `${open}-${close}`).join(', ')} (${venue.timezone || 'UTC'}).`
+    : ' It is closed all day today.';
+  return `${venue.name} is closed right now.${hoursText}`;
+};
+
+/**
+ * Tells a player their queue spot was cleared because the venue closed.
+ */
+const notifyQueueCleared = async (venue, userId, tableNumber) => {
+  getSocketIO().to(userId).emit('queueClearedForClosing', {
+    venueId: venue._id.toString(),
+    venueName: venue.name,
+    tableNumber,
+  });
+  const player = await User.findById(userId);
+  if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+    sendPushNotification(player.fcmTokens, 'Venue Closed',
+      `${venue.name} has closed for the day, so your place in the ${tableNumber ? `queue for Table ${tableNumber}` : 'venue queue'} was cleared.`,
+      { type: 'queue_cleared_closing', venueId: venue._id.toString() });
+  }
+};
+
+/**
+ * Clears the table queues and the venue queue of a venue. Games in progress are left to finish.
+ * Table queues are emptied in clearQueue transitions and the venue queue with a conditional update
+ * that returns what it removed, so when several instances run the monitor each player is removed
+ * and notified once. A table busy with another request is cleared on the next check.
+ * @param {Object} venue - Venue document.
+ * @returns {Promise<number>} Number of players removed from a queue.
+ */
+const clearVenueQueues = async (venue) => {
+  let cleared = 0;
+  const tables = await Table.find({ venueId: venue._id, 'queue.0': { $exists: true } }).select('_id');
+  for (const { _id } of tables) {
+    const transition = await runTableTransition(_id, 'clearQueue', async (table, event) => {
+      if (table.queue.length === 0) return { error: 'QUEUE_EMPTY' }; // Emptied meanwhile (another instance, or the last player left)
+      const removed = [...table.queue];
+      table.queue = [];
+      event.details = { reason: 'venue_closed', removed };
+      return { removed, tableNumber: table.tableNumber };
+    });
+    if (!transition.success || transition.result.error) continue;
+    const { removed, tableNumber } = transition.result;
+    for (const userId of removed) {
+      await notifyQueueCleared(venue, userId, tableNumber);
+    }
+    cleared += removed.length;
+  }
+
+  // Returns the venue as it was before the update, i.e. with the entries that were removed
+  const before = await Venue.findOneAndUpdate(
+    { _id: venue._id, 'queue.0': { $exists: true } },
+    { $set: { queue: [] } }
+  ).select('queue');
+  if (before) {
+    const members = before.queue.flatMap(entry => [entry.userId, entry.partnerId].filter(Boolean));
+    await emitVenueQueueUpdate(venue._id);
+    for (const userId of members) {
+      await notifyQueueCleared(venue, userId, null);
+    }
+    cleared += members.length;
+  }
+
+  if (cleared > 0) {
+    console.log(`[VENUE_HOURS] ${venue.name} (${venue._id}) is closed; cleared ${cleared} player(s) from its queues.`);
+  }
+  return cleared;
+};
+
+/**
+ * Clears the queues of every venue with opening hours that is currently closed.
+ * @returns {Promise<number>} Number of players removed from a queue.
+ */
+async function clearQueuesOfClosedVenues() {
+  const venues = await Venue.find({
+    $or: [{ 'operatingHours.weekly.0': { $exists: true } }, { 'operatingHours.exceptions.0': { $exists: true } }],
+  }).select('name timezone operatingHours');
+
+  let cleared = 0;
+  for (const venue of venues) {
+    if (!isVenueOpen(venue)) {
+      cleared += await clearVenueQueues(venue);
+    }
+  }
+  return cleared;
+}
+
+/**
+ * Starts the periodic closing-time check. Safe to call once at server startup.
+ */
+function startVenueHoursMonitor() {
+  if (monitorTimer) return;
+  monitorTimer = setInterval(() => {
+    clearQueuesOfClosedVenues().catch(error => console.error('[VENUE_HOURS] Error clearing queues of closed venues:', error));
+  }, MONITOR_INTERVAL_MS);
+  console.log('[VENUE_HOURS] Closing-time monitor started.');
+}
+
+function stopVenueHoursMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+module.exports = {
+  isVenueOpen,
+  isVenueOpenThroughout,
+  describeVenueClosed,
+  clearQueuesOfClosedVenues,
+  startVenueHoursMonitor,
+  stopVenueHoursMonitor,
+};
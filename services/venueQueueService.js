@@ -0,0 +1,143 @@
+// services/venueQueueService.js
+// Joining and leaving the venue-wide queue (Venue.queue). Seating players from it happens in
+// queueService.promoteFromQueue, whenever a table has seats its own queue can't fill.
+// A player waits in one line per venue: either one table's queue or the venue queue.
+
+const Venue = require('../models/Venue');
+const Table = require('../models/Table');
+const User = require('../models/User');
+const { emitVenueQueueUpdate } = require('./queueService');
+const { runTableTransition } = require('./tableStateMachineService');
+const { isVenueOpen, describeVenueClosed } = require('./venueHoursService');
+
+/**
+ * Finds the venue queue entry a player belongs to (as the party leader or as the partner).
+ * @param {Object} venue - Venue document or lean object with queue.
+ * @param {string} userId
+ * @returns {Object|undefined}
+ */
+const findVenueQueueEntry = (venue, userId) =>
+  (venue.queue || []).find(entry => entry.userId === userId || entry.partnerId === userId);
+
+/**
+ * Seats waiting venue-queue parties at tables that are free right now ('available' with an
+ * empty table queue), one assignFromVenueQueue transition per table.
+ * @param {string} venueId
+ * @returns {Promise<Array<string>>} The user IDs that were seated.
+ */
+const assignWaitingPlayers = async (venueId) => {
+  const venue = await Venue.findById(venueId).select('queue').lean();
+  if (!venue || venue.queue.length === 0) return [];
+
+  const tables = await Table.find({ venueId, status: 'available', queue: { $size: 0 } }).select('_id');
+  const seated = [];
+  for (const { _id } of tables) {
+    const transition = await runTableTransition(_id, 'assignFromVenueQueue', async (table) => {
+      if (table.queue.length > 0) return { error: 'HAS_QUEUE' }; // Its own queue goes first (joined meanwhile)
+    }, { populate: 'venueId' });
+    if (transition.success && transition.details.promoted) {
+      seated.push(...transition.details.promoted);
+    }
+  }
+  return seated;
+};
+
+/**
+ * Adds a player (and optionally a partner to play with) to the venue queue, then seats them right
+ * away if a fitting table is free.
+ * @param {string} venueId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.partnerId] - Makes this a party of two, seated together at one table.
+ * @param {Array<string>} [options.tableTypes] - Acceptable Table.tableType values; empty for any.
+ * @returns {Promise<{success: boolean, position?: number, assigned?: boolean, error?: string, closedMessage?: string}>}
+ *   error is 'VENUE_NOT_FOUND', 'VENUE_CLOSED' (with closedMessage), 'INVALID_PARTNER', 'PARTNER_NOT_FOUND',
+ *   'ALREADY_IN_QUEUE' or 'ALREADY_AT_TABLE'.
+ */
+const joinVenueQueue = async (venueId, userId, { partnerId = null, tableTypes = [] } = {}) => {
+  const venue = await Venue.findById(venueId).select('name queue timezone operatingHours').lean();
+  if (!venue) {
+    return { success: false, error: 'VENUE_NOT_FOUND' };
+  }
+  if (!isVenueOpen(venue)) {
+    return { success: false, error: 'VENUE_CLOSED', closedMessage: describeVenueClosed(venue) };
+  }
+  if (partnerId === userId) {
+    return { success: false, error: 'INVALID_PARTNER' };
+  }
+  if (partnerId && !(await User.exists({ _id: partnerId }))) {
+    return { success: false, error: 'PARTNER_NOT_FOUND' };
+  }
+
+  const memberIds = [userId, partnerId].filter(Boolean);
+  if (memberIds.some(id => findVenueQueueEntry(venue, id))) {
+    return { success: false, error: 'ALREADY_IN_QUEUE' };
+  }
+  const busyAt = await Table.exists({
+    venueId,
+    $or: [
+      { 'currentPlayers.player1Id': { $in: memberIds } },
+      { 'currentPlayers.player2Id': { $in: memberIds } },
+      { queue: { $in: memberIds } },
+    ],
+  });
+  if (busyAt) {
+    return { success: false, error: 'ALREADY_AT_TABLE' };
+  }
+
+  // Conditional push so concurrent requests can't add the same player twice
+  const updated = await Venue.findOneAndUpdate(
+    { _id: venueId, 'queue.userId': { $nin: memberIds }, 'queue.partnerId': { $nin: memberIds } },
+    { $push: { queue: { userId, partnerId, partySize: memberIds.length, tableTypes, joinedAt: new Date() } } },
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, error: 'ALREADY_IN_QUEUE' };
+  }
+  console.log(`[VENUE_QUEUE] ${memberIds.join(' + ')} joined the queue of venue ${venueId}${tableTypes.length ? ` (table types: ${tableTypes.join(', ')})` : ''}.`);
+
+  const seated = await assignWaitingPlayers(venueId);
+  if (seated.includes(userId)) {
+    return { success: true, assigned: true, position: 0 }; // promoteFromQueue already emitted the venue queue
+  }
+
+  const queue = await emitVenueQueueUpdate(venueId);
+  const position = queue.findIndex(entry => entry.userId === userId) + 1;
+  return { success: true, assigned: false, position };
+};
+
+/**
+ * Removes a player's party from the venue queue (either member can leave for the party).
+ * @param {string} venueId
+ * @param {string} userId
+ * @returns {Promise<boolean>} false if the player was not in the venue queue.
+ */
+const leaveVenueQueue = async (venueId, userId) => {
+  const updated = await Venue.findOneAndUpdate(
+    { _id: venueId, $or: [{ 'queue.userId': userId }, { 'queue.partnerId': userId }] },
+    { $pull: { queue: { $or: [{ userId }, { partnerId: userId }] } } },
+    { new: true }
+  );
+  if (!updated) return false;
+  console.log(`[VENUE_QUEUE] ${userId} left the queue of venue ${venueId}.`);
+  await emitVenueQueueUpdate(venueId);
+  return true;
+};
+
+/**
+ * Whether the player is waiting in the venue queue (as leader or partner).
+ * @param {string} venueId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isInVenueQueue = async (venueId, userId) => {
+  const venue = await Venue.findById(venueId).select('queue').lean();
+  return !!(venue && findVenueQueueEntry(venue, userId));
+};
+
+module.exports = {
+  joinVenueQueue,
+  leaveVenueQueue,
+  isInVenueQueue,
+  assignWaitingPlayers,
+};
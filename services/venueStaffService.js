@@ -0,0 +1,133 @@
+// services/venueStaffService.js
+// Per-venue roles: the owner (Venue.ownerId), managers and staff (Venue.staff). Global admins
+// (User.isAdmin) can do everything at every venue. Owners manage managers and staff; managers
+// manage staff. Which role each route needs is declared in middleware/permissionMiddleware.js.
+
+const User = require('../models/User');
+const { getSocketIO } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+
+const VENUE_ROLES = ['staff', 'manager', 'owner']; // Lowest to highest
+const ASSIGNABLE_ROLES = ['manager', 'staff'];
+
+/**
+ * The user's role at a venue.
+ * @param {Object} venue - Venue document or plain object with ownerId and staff.
+ * @param {string} userId
+ * @returns {'owner'|'manager'|'staff'|null}
+ */
+const getVenueRole = (venue, userId) => {
+  if (!venue || !userId) return null;
+  if (venue.ownerId && venue.ownerId === userId) return 'owner';
+  const member = (venue.staff || []).find(entry => entry.userId === userId);
+  return member ? member.role : null;
+};
+
+/**
+ * Whether the user may give or take away a role at the venue: admins and the owner handle
+ * managers and staff, managers handle staff.
+ */
+const canAssignRole = (user, venue, role) => {
+  if (user.isAdmin || getVenueRole(venue, user.uid) === 'owner') return ASSIGNABLE_ROLES.includes(role);
+  return role === 'staff' && getVenueRole(venue, user.uid) === 'manager';
+};
+
+/**
+ * Tells a user their role at a venue changed (socket event and push).
+ */
+const notifyRoleChange = async (venue, userId, role) => {
+  const payload = { venueId: venue._id.toString(), venueName: venue.name, role };
+  getSocketIO().to(userId).emit('venueRoleUpdate', payload);
+  const member = await User.findById(userId);
+  if (member && member.fcmTokens && member.fcmTokens.length > 0) {
+    const body = role
+      ? `You have been added to ${venue.name} as ${role === 'manager' ? 'a manager' : 'staff'}.`
+      : `You are no longer on the staff of ${venue.name}.`;
+    sendPushNotification(member.fcmTokens, 'Venue Staff', body, { type: 'venue_role_update', venueId: payload.venueId, role: role || '' });
+  }
+};
+
+/**
+ * Adds a user to the venue's staff, or changes their role if they are already on it.
+ * @param {Object} venue - Venue Mongoose document.
+ * @param {Object} actor - req.user of the person making the change.
+ * @param {Object} target
+ * @param {string} [target.userId] - Firebase UID of the user to add.
+ * @param {string} [target.email] - Or their email address.
+ * @param {'manager'|'staff'} role
+ * @returns {Promise<{success: boolean, member?: Object, error?: string}>} error is 'INVALID_ROLE', 'FORBIDDEN',
+ *   'USER_NOT_FOUND' or 'IS_OWNER'.
+ */
+const addVenueStaff = async (venue, actor, { userId, email }, role) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) return { success: false, error: 'INVALID_ROLE' };
+  if (!canAssignRole(actor, venue, role)) return { success: false, error: 'FORBIDDEN' };
+
+  const user = userId ? await User.findById(userId) : await User.findOne({ email: String(email).trim() });
+  if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+  if (venue.ownerId === user._id) return { success: false, error: 'IS_OWNER' };
+
+  const existing = venue.staff.find(entry => entry.userId === user._id);
+  if (existing && !canAssignRole(actor, venue, existing.role)) {
+    return { success: false, error: 'FORBIDDEN' }; // e.g. a manager demoting another manager
+  }
+  if (existing) {
+    existing.role = role;
+  } else {
+    venue.staff.push({ userId: user._id, role, addedBy: actor.uid, addedAt: new Date() });
+  }
+  await venue.save();
+  console.log(`[VENUE_STAFF] ${actor.uid} made ${user._id} ${role} at venue ${venue._id}.`);
+
+  await notifyRoleChange(venue, user._id, role);
+  return { success: true, member: { userId: user._id, displayName: user.displayName, email: user.email, role } };
+};
+
+/**
+ * Removes a user from the venue's staff. Anyone can remove themselves.
+ * @param {Object} venue - Venue Mongoose document.
+ * @param {Object} actor - req.user of the person making the change.
+ * @param {string} userId - UID of the member to remove.
+ * @returns {Promise<{success: boolean, error?: string}>} error is 'IS_OWNER', 'NOT_STAFF' or 'FORBIDDEN'.
+ */
+const removeVenueStaff = async (venue, actor, userId) => {
+  if (venue.ownerId === userId) return { success: false, error: 'IS_OWNER' };
+  const member = venue.staff.find(entry => entry.userId === userId);
+  if (!member) return { success: false, error: 'NOT_STAFF' };
+  if (actor.uid !== userId && !canAssignRole(actor, venue, member.role)) return { success: false, error: 'FORBIDDEN' };
+
+  venue.staff = venue.staff.filter(entry => entry.userId !== userId);
+  await venue.save();
+  console.log(`[VENUE_STAFF] ${actor.uid} removed ${userId} (${member.role}) from venue ${venue._id}.`);
+
+  if (actor.uid !== userId) {
+    await notifyRoleChange(venue, userId, null);
+  }
+  return { success: true };
+};
+
+/**
+ * The venue's owner and staff with display details.
+ * @param {Object} venue - Venue document or plain object.
+ * @returns {Promise<Array<{userId: string, displayName: string, email: string, role: string, addedAt: Date|null}>>}
+ */
+const listVenueStaff = async (venue) => {
+  const members = [
+    ...(venue.ownerId ? [{ userId: venue.ownerId, role: 'owner', addedAt: null }] : []),
+    ...(venue.staff || []).map(({ userId, role, addedAt }) => ({ userId, role, addedAt })),
+  ];
+  const users = await User.find({ _id: { $in: members.map(m => m.userId) } }).select('displayName email').lean();
+  const usersById = new Map(users.map(u => [u._id, u]));
+  return members.map(member => ({
+    ...member,
+    displayName: usersById.get(member.userId)?.displayName || null,
+    email: usersById.get(member.userId)?.email || null,
+  }));
+};
+
+module.exports = {
+  VENUE_ROLES,
+  getVenueRole,
+  addVenueStaff,
+  removeVenueStaff,
+  listVenueStaff,
+};
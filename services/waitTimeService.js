@@ -0,0 +1,106 @@
+// services/waitTimeService.js
+// Estimated queue wait times from recent game durations (completed Session startTime/endTime).
+// Only depends on models, so tableHelpers can use it without creating a require cycle.
+
+const Session = require('../models/Session');
+
+const DEFAULT_GAME_DURATION_MS = 15 * 60 * 1000; // Used until a table/venue has enough history
+const SAMPLE_SIZE = 20; // Most recent completed games considered
+const MIN_TABLE_SAMPLES = 3; // Fewer games on the table itself: use the venue's games instead
+const MIN_GAME_MS = 60 * 1000; // Shorter/longer games are treated as bad data (e.g. a forgotten confirmation)
+const MAX_GAME_MS = 3 * 60 * 60 * 1000;
+
+const GAME_SESSION_TYPES = ['game', 'direct_join', 'direct_join_fallback'];
+
+const toMinutes = (ms) => Math.ceil(ms / 60000);
+
+/**
+ * Average duration of recent completed games on filter's table or venue.
+ * @param {Object} filter - { tableId } or { venueId }.
+ * @returns {Promise<{averageMs: number, sampleSize: number}>} averageMs is 0 when there are no samples.
+ */
+const averageRecentGameDuration = async (filter) => {
+  const sessions = await Session.find({
+    ...filter,
+    type: { $in: GAME_SESSION_TYPES },
+    status: 'completed',
+    startTime: { $ne: null },
+    endTime: { $ne: null },
+  })
+    .sort({ endTime: -1 })
+    .limit(SAMPLE_SIZE)
+    .select('startTime endTime')
+    .lean();
+
+  const durations = sessions
+    .map(s => new Date(s.endTime) - new Date(s.startTime))
+    .filter(ms => ms >= MIN_GAME_MS && ms <= MAX_GAME_MS);
+  if (durations.length === 0) return { averageMs: 0, sampleSize: 0 };
+  return { averageMs: durations.reduce((sum, ms) => sum + ms, 0) / durations.length, sampleSize: durations.length };
+};
+
+/**
+ * Typical game length for a table: its own recent games, else the venue's, else a default.
+ * @param {string} tableId
+ * @param {string} venueId
+ * @returns {Promise<{averageMs: number, sampleSize: number, source: 'table'|'venue'|'default'}>}
+ */
+const getAverageGameDuration = async (tableId, venueId) => {
+  const tableStats = await averageRecentGameDuration({ tableId });
+  if (tableStats.sampleSize >= MIN_TABLE_SAMPLES) {
+    return { ...tableStats, source: 'table' };
+  }
+  if (venueId) {
+    const venueStats = await averageRecentGameDuration({ venueId });
+    if (venueStats.sampleSize > 0) {
+      return { ...venueStats, source: 'venue' };
+    }
+  }
+  return { averageMs: DEFAULT_GAME_DURATION_MS, sampleSize: 0, source: 'default' };
+};
+
+/**
+ * Estimates how long each queued player (and a player joining now) will wait for a seat.
+ * Assumes the winner stays on, so each finished game frees one seat.
+ * @param {Object} table - Table document or plain object (venueId populated or not).
+ * @returns {Promise<Object|null>} null for tables that are out of service. Otherwise:
+ *   { averageGameMinutes, basedOnGames, source, queue: [minutes for position 1..n], nextPlayerMinutes }
+ */
+const estimateTableWait = async (table) => {
+  if (table.status === 'maintenance' || table.status === 'out_of_order') {
+    return null;
+  }
+
+  const venueId = table.venueId && table.venueId._id ? table.venueId._id : table.venueId;
+  const { averageMs, sampleSize, source } = await getAverageGameDuration(table._id, venueId);
+
+  // How long until the game on the table (or the one about to start) frees a seat
+  let firstSeatFreesInMs = averageMs;
+  if (table.status === 'awaiting_confirmation') {
+    firstSeatFreesInMs = 0;
+  } else if (table.status === 'in_play' && table.currentSessionId) {
+    const session = await Session.findById(table.currentSessionId).select('startTime').lean();
+    const elapsedMs = session && session.startTime ? Date.now() - new Date(session.startTime) : 0;
+    firstSeatFreesInMs = Math.max(averageMs - elapsedMs, 0);
+  }
+
+  const freeSeats = (table.currentPlayers?.player1Id ? 0 : 1) + (table.currentPlayers?.player2Id ? 0 : 1);
+  const waitForPosition = (position) => {
+    if (position <= freeSeats) return 0;
+    return toMinutes(firstSeatFreesInMs + (position - freeSeats - 1) * averageMs);
+  };
+
+  const queueLength = (table.queue || []).length;
+  return {
+    averageGameMinutes: toMinutes(averageMs),
+    basedOnGames: sampleSize,
+    source,
+    queue: Array.from({ length: queueLength }, (_, idx) => waitForPosition(idx + 1)),
+    nextPlayerMinutes: waitForPosition(queueLength + 1),
+  };
+};
+
+module.exports = {
+  getAverageGameDuration,
+  estimateTableWait,
+};
@@ -0,0 +1,476 @@
+// services/winConfirmationService.js
+// Confirming win claims, either by the opponent (POST /confirm-win) or automatically when the
+// venue's confirmation deadline passes without an answer.
+// A table device reporting 'game over' also opens the confirmation window, without a claimant:
+// the players are prompted to claim the win, and if nobody does the game goes to venue staff.
+
+const Table = require('../models/Table');
+const User = require('../models/User');
+const { completeGameSession, disputeGameSession } = require('./sessionService');
+const { applyGameResult, emitRatingUpdates } = require('./ratingService');
+const { openDispute, settleOpenDisputesForSession } = require('./disputeService');
+const { advanceTableAfterGame } = require('./queueService');
+const { getSocketIO } = require('./socketService');
+const { sendPushNotification } = require('./notificationService');
+const { getPlayerDisplayDetails } = require('./gameService');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./schedulerService');
+const { onTableTransition, runTableTransition } = require('./tableStateMachineService');
+
+const REMINDER_JOB = 'winConfirmationReminder';
+const TIMEOUT_JOB = 'winConfirmationTimeout';
+const BUSY_TABLE_RETRY_MS = 15 * 1000; // Settle again this soon if the table was busy
+const DEFAULT_POLICY = { timeoutMinutes: 10, timeoutAction: 'auto_confirm', reminderMinutesBeforeDeadline: 2 };
+
+/**
+ * Returns the venue's win confirmation policy with defaults filled in.
+ * @param {Object} venue - Venue document or plain object (may be null).
+ * @returns {{timeoutMinutes: number, timeoutAction: string, reminderMinutesBeforeDeadline: number}}
+ */
+const getWinConfirmationPolicy = (venue) => {
+  const policy = (venue && venue.winConfirmation) || {};
+  return {
+    timeoutMinutes: typeof policy.timeoutMinutes === 'number' ? policy.timeoutMinutes : DEFAULT_POLICY.timeoutMinutes,
+    timeoutAction: policy.timeoutAction || DEFAULT_POLICY.timeoutAction,
+    reminderMinutesBeforeDeadline: typeof policy.reminderMinutesBeforeDeadline === 'number'
+      ? policy.reminderMinutesBeforeDeadline
+      : DEFAULT_POLICY.reminderMinutesBeforeDeadline,
+  };
+};
+
+/**
+ * Records a new win claim on the table and schedules its reminder and deadline jobs, replacing
+ * any jobs of an earlier claim. The caller is responsible for saving the table.
+ * @param {Object} table - Table Mongoose document with venueId populated.
+ * @param {string} claimantId - Player claiming the win.
+ * @param {string} opponentId - Player who has to confirm or dispute.
+ * @returns {Promise<Date>} The confirmation deadline.
+ */
+const scheduleWinConfirmationDeadline = async (table, claimantId, opponentId) => {
+  const policy = getWinConfirmationPolicy(table.venueId);
+  const claimedAt = new Date();
+  const deadline = new Date(claimedAt.getTime() + policy.timeoutMinutes * 60 * 1000);
+
+  table.pendingWinClaim = { claimedBy: claimantId, claimedAt, confirmationDeadline: deadline };
+  await scheduleConfirmationJobs(table, claimantId, opponentId, claimedAt, deadline, policy);
+  return deadline;
+};
+
+/**
+ * Replaces the table's reminder/deadline jobs with those of the claim made at claimedAt.
+ * claimantId/opponentId are null for a game end reported by the table device.
+ */
+const scheduleConfirmationJobs = async (table, claimantId, opponentId, claimedAt, deadline, policy) => {
+  await cancelWinConfirmationJobs(table._id);
+  const payload = {
+    tableId: table._id.toString(),
+    sessionId: table.currentSessionId ? table.currentSessionId.toString() : null,
+    claimantId,
+    opponentId,
+    claimedAt: claimedAt.toISOString(),
+  };
+  const reminderMs = policy.reminderMinutesBeforeDeadline * 60 * 1000;
+  if (reminderMs > 0 && reminderMs < deadline.getTime() - claimedAt.getTime()) {
+    await scheduleJob(REMINDER_JOB, new Date(deadline.getTime() - reminderMs), payload);
+  }
+  await scheduleJob(TIMEOUT_JOB, deadline, payload);
+};
+
+/**
+ * Cancels the pending reminder/deadline jobs of a table's win claim.
+ * @param {string} tableId
+ */
+const cancelWinConfirmationJobs = async (tableId) => {
+  await cancelJobs([REMINDER_JOB, TIMEOUT_JOB], { tableId: tableId.toString() });
+};
+
+/**
+ * Ends the current game on the table with a confirmed winner: the winner stays on as Player 1 and
+ * the loser leaves. Run inside the confirmWin or winClaimTimeout transition, which seats the next
+ * queued player, saves and broadcasts the table; pass the result to settleConfirmedGame once the
+ * transition is committed.
+ * @param {Object} table - Table Mongoose document in 'awaiting_confirmation', venueId populated.
+ * @param {string} winnerId
+ * @param {string} loserId
+ * @returns {Promise<{tableId: Object, sessionId: Object|null, winnerId: string, loserId: string, venueId: Object}>}
+ */
+const confirmWin = async (table, winnerId, loserId) => {
+  const game = { tableId: table._id, sessionId: table.currentSessionId, winnerId, loserId, venueId: table.venueId._id };
+  await advanceTableAfterGame(table, winnerId);
+  return game;
+};
+
+/**
+ * Records the result of a game ended by confirmWin after its transition is committed: cancels the
+ * claim's jobs, closes the session (and any open dispute) and updates ratings. Ratings are left
+ * alone if the session was already closed some other way (e.g. voided by staff).
+ * @param {Object} game - Returned by confirmWin.
+ * @returns {Promise<{completedSession: Object|null, ratingChanges: Object|null}>}
+ */
+const settleConfirmedGame = async ({ tableId, sessionId, winnerId, loserId, venueId }) => {
+  await cancelWinConfirmationJobs(tableId);
+
+  const completedSession = await completeGameSession(sessionId, winnerId);
+  if (completedSession) {
+    await settleOpenDisputesForSession(completedSession._id, winnerId);
+  } else if (sessionId) {
+    return { completedSession: null, ratingChanges: null };
+  }
+
+  let ratingChanges = null;
+  try {
+    ratingChanges = await applyGameResult(winnerId, loserId, venueId);
+    emitRatingUpdates(winnerId, loserId, ratingChanges, { tableId, sessionId });
+  } catch (ratingError) {
+    console.error(`[WIN_CONFIRMATION] Failed to update ratings for ${winnerId} vs ${loserId}:`, ratingError);
+  }
+
+  return { completedSession, ratingChanges };
+};
+
+/**
+ * Whether the win claim a scheduled job was created for is still pending on the table
+ * (not confirmed, disputed or replaced). Logs and returns false for stale jobs.
+ * @param {Object|null} table - Table document.
+ * @param {Object} payload - Job payload.
+ * @returns {boolean}
+ */
+const isClaimStillPending = (table, payload) => {
+  if (
+    !table ||
+    table.status !== 'awaiting_confirmation' ||
+    table.pendingWinClaim?.claimedBy !== payload.claimantId ||
+    table.pendingWinClaim?.claimedAt?.toISOString() !== payload.claimedAt
+  ) {
+    console.log(`[WIN_CONFIRMATION] Win claim by ${payload.claimantId} on table ${payload.tableId} is no longer pending. Skipping job.`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Loads the table for a scheduled job and checks that the win claim the job was created for
+ * is still pending. Returns null for stale jobs (claim confirmed, disputed or replaced).
+ * @param {Object} payload - Job payload.
+ * @returns {Promise<Object|null>} Table document with venueId populated.
+ */
+const loadTableWithPendingClaim = async (payload) => {
+  const table = await Table.findById(payload.tableId).populate('venueId');
+  return isClaimStillPending(table, payload) ? table : null;
+};
+
+/**
+ * Sends a socket event and push notification to each listed player.
+ * @param {Array<string>} playerIds
+ * @param {string} eventName - Socket.IO event sent to each player's room.
+ * @param {Object} payload - Socket payload (also used as the push data).
+ * @param {string} title - Push title.
+ * @param {string} body - Push body.
+ */
+const notifyPlayers = async (playerIds, eventName, payload, title, body) => {
+  const io = getSocketIO();
+  for (const playerId of playerIds) {
+    io.to(playerId).emit(eventName, payload);
+    const player = await User.findById(playerId);
+    if (player && player.fcmTokens && player.fcmTokens.length > 0) {
+      sendPushNotification(player.fcmTokens, title, body, payload);
+    }
+  }
+};
+
+/**
+ * Moves a table whose device reported the end of the game from 'in_play' to 'awaiting_confirmation'
+ * and prompts both players to claim the win (winClaimedNotification with winnerId null).
+ * The transition only happens from 'in_play' on the reported game, so repeated or stale device
+ * events, or a game a player already claimed, leave the table as it is.
+ * @param {string} tableId
+ * @param {Object} [details]
+ * @param {string} [details.sessionId] - The game the device believes it is reporting on.
+ * @param {string} [details.trigger] - What the device detected, e.g. 'eight_ball', 'cue_ball_return'.
+ * @returns {Promise<{transitioned: boolean, status?: string, reason?: string, confirmationDeadline?: Date, error?: string}>}
+ *   reason is 'ALREADY_AWAITING_CONFIRMATION', 'STALE_SESSION', 'NOT_IN_PLAY' or 'TABLE_BUSY' (another
+ *   request was changing the table; the device may report again) when nothing changed; error is 'TABLE_NOT_FOUND'.
+ */
+const recordDeviceGameOver = async (tableId, { sessionId, trigger } = {}) => {
+  // Runs as a table transition: a player's claim-win (or a second device event) may be in progress
+  const transition = await runTableTransition(tableId, 'deviceGameOver', async (table, event) => {
+    if (sessionId && (!table.currentSessionId || table.currentSessionId.toString() !== sessionId.toString())) {
+      console.log(`[WIN_CONFIRMATION] Ignoring game over from device on table ${tableId}: session ${sessionId} is not the current game.`);
+      return { error: 'STALE_SESSION', status: table.status };
+    }
+    if (!table.currentSessionId) {
+      console.warn(`[WIN_CONFIRMATION] Ignoring game over from device on table ${tableId}: no game in progress.`);
+      return { error: 'NOT_IN_PLAY', status: table.status };
+    }
+
+    const policy = getWinConfirmationPolicy(table.venueId);
+    const claimedAt = new Date();
+    const deadline = new Date(claimedAt.getTime() + policy.timeoutMinutes * 60 * 1000);
+    table.status = 'awaiting_confirmation';
+    table.pendingWinClaim = { claimedBy: null, claimedAt, confirmationDeadline: deadline };
+    await scheduleConfirmationJobs(table, null, null, claimedAt, deadline, policy);
+    event.details = { trigger: trigger || null, confirmationDeadline: deadline };
+    return { table, deadline };
+  }, { populate: 'venueId', actor: { userId: null, role: 'device' } });
+
+  if (!transition.success) {
+    if (transition.error === 'TABLE_NOT_FOUND' || transition.error === 'INVALID_TABLE_ID') {
+      return { transitioned: false, error: 'TABLE_NOT_FOUND' };
+    }
+    if (transition.status === 'awaiting_confirmation') {
+      console.log(`[WIN_CONFIRMATION] Game over from device on table ${tableId}: already awaiting confirmation.`);
+      return { transitioned: false, status: transition.status, reason: 'ALREADY_AWAITING_CONFIRMATION' };
+    }
+    if (transition.error === 'TABLE_BUSY') {
+      return { transitioned: false, status: transition.status, reason: 'TABLE_BUSY' };
+    }
+    console.warn(`[WIN_CONFIRMATION] Ignoring game over from device on table ${tableId}: table is '${transition.status}', not in play.`);
+    return { transitioned: false, status: transition.status, reason: 'NOT_IN_PLAY' };
+  }
+  if (transition.result.error) {
+    return { transitioned: false, status: transition.result.status, reason: transition.result.error };
+  }
+
+  const { table, deadline } = transition.result;
+  console.log(`[WIN_CONFIRMATION] Device reported game over on table ${tableId} (trigger: ${trigger || 'unknown'}). Awaiting a win claim until ${deadline.toISOString()}.`);
+  return { transitioned: true, status: table.status, confirmationDeadline: deadline };
+};
+
+/**
+ * Reminds the opponent that a win claim is waiting for them before the deadline passes
+ * (or both players, when a device-detected game end has not been claimed yet).
+ * @param {Object} payload - Job payload.
+ */
+const handleReminder = async (payload) => {
+  const table = await loadTableWithPendingClaim(payload);
+  if (!table) return;
+
+  if (!payload.claimantId) {
+    const minutesLeft = Math.max(Math.ceil((table.pendingWinClaim.confirmationDeadline - Date.now()) / 60000), 1);
+    await notifyPlayers(
+      [table.currentPlayers.player1Id, table.currentPlayers.player2Id].filter(Boolean),
+      'winConfirmationReminder',
+      {
+        type: 'win_confirmation_reminder',
+        tableId: payload.tableId,
+        tableNumber: table.tableNumber,
+        winnerId: null,
+        detectedByDevice: true,
+        confirmationDeadline: table.pendingWinClaim.confirmationDeadline.toISOString(),
+      },
+      'Claim Your Win',
+      `Nobody has claimed the game on Table ${table.tableNumber} yet. It will be sent to venue staff in ${minutesLeft} minute(s).`
+    );
+    console.log(`[WIN_CONFIRMATION] Sent claim reminder to both players for device-detected game over on table ${payload.tableId}.`);
+    return;
+  }
+
+  const policy = getWinConfirmationPolicy(table.venueId);
+  const claimant = await getPlayerDisplayDetails(payload.claimantId);
+  const consequence = policy.timeoutAction === 'auto_confirm' ? 'will be confirmed automatically' : 'will be sent to venue staff';
+  const minutesLeft = Math.max(Math.ceil((table.pendingWinClaim.confirmationDeadline - Date.now()) / 60000), 1);
+
+  await notifyPlayers(
+    [payload.opponentId],
+    'winConfirmationReminder',
+    {
+      type: 'win_confirmation_reminder',
+      tableId: payload.tableId,
+      tableNumber: table.tableNumber,
+      winnerId: payload.claimantId,
+      winnerDisplayName: claimant.displayName,
+      confirmationDeadline: table.pendingWinClaim.confirmationDeadline.toISOString(),
+    },
+    'Confirm the Result',
+    `${claimant.displayName} claims victory on Table ${table.tableNumber}. The claim ${consequence} in ${minutesLeft} minute(s).`
+  );
+  console.log(`[WIN_CONFIRMATION] Sent confirmation reminder to ${payload.opponentId} for table ${payload.tableId}.`);
+};
+
+/**
+ * Confirms or escalates an unanswered win claim per the venue's timeoutAction. Runs inside the
+ * winClaimTimeout transition; the outcome goes in event.details for the afterCommit notifications.
+ * @param {Object} table - Table document awaiting confirmation of the claim, venueId populated.
+ * @param {Object} payload - Job payload.
+ * @param {Object} event - The transition event.
+ * @returns {Promise<{game: Object}|undefined>} The game confirmed by confirmWin, if the claim was confirmed.
+ */
+const settleUnansweredClaim = async (table, payload, event) => {
+  const policy = getWinConfirmationPolicy(table.venueId);
+  // A device-detected game end nobody claimed can't be auto-confirmed: there is no winner to confirm
+  const unclaimed = !payload.claimantId;
+  const players = unclaimed
+    ? [table.currentPlayers.player1Id, table.currentPlayers.player2Id].filter(Boolean)
+    : [payload.claimantId, payload.opponentId];
+
+  if (policy.timeoutAction === 'dispute' || unclaimed) {
+    const dispute = await openDispute(
+      table,
+      null,
+      unclaimed ? 'Table device reported game over but no win was claimed before the deadline.' : 'Win claim was not confirmed before the deadline.'
+    );
+    table.status = 'in_play';
+    table.pendingWinClaim = { claimedBy: null, claimedAt: null, confirmationDeadline: null };
+    await disputeGameSession(table.currentSessionId);
+    event.details = { outcome: 'escalated', unclaimed, players, disputeId: dispute._id.toString() };
+    console.log(`[WIN_CONFIRMATION] Win claim on table ${payload.tableId} escalated to dispute ${dispute._id}.`);
+    return;
+  }
+
+  const game = await confirmWin(table, payload.claimantId, payload.opponentId);
+  event.details = {
+    outcome: 'auto_confirmed',
+    players,
+    winnerId: payload.claimantId,
+    sessionId: game.sessionId ? game.sessionId.toString() : '',
+  };
+  return { game };
+};
+
+/**
+ * Applies the venue's timeout action to a win claim nobody answered: confirms it or escalates
+ * it to a dispute for venue staff. Runs as a table transition; if another request holds the table
+ * the job is deferred (without counting as a failed attempt) until the table is free.
+ * @param {Object} payload - Job payload.
+ * @returns {Promise<{retryAfterMs: number}|undefined>}
+ */
+const handleTimeout = async (payload) => {
+  const transition = await runTableTransition(payload.tableId, 'winClaimTimeout', async (table, event) => {
+    if (!isClaimStillPending(table, payload)) return { error: 'CLAIM_NOT_PENDING' };
+    return settleUnansweredClaim(table, payload, event);
+  }, { populate: 'venueId' });
+
+  if (transition.error === 'TABLE_BUSY') {
+    console.warn(`[WIN_CONFIRMATION] Table ${payload.tableId} is busy; settling the win claim later.`);
+    return { retryAfterMs: BUSY_TABLE_RETRY_MS };
+  }
+  if (!transition.success) {
+    console.log(`[WIN_CONFIRMATION] Win claim by ${payload.claimantId} on table ${payload.tableId} is no longer pending (${transition.error}). Skipping job.`);
+    return;
+  }
+  if (transition.committed && transition.result?.game) {
+    const { ratingChanges } = await settleConfirmedGame(transition.result.game);
+    console.log(`[WIN_CONFIRMATION] Win by ${payload.claimantId} on table ${payload.tableId} auto-confirmed. Ratings updated: ${!!ratingChanges}`);
+  }
+};
+
+/**
+ * Tells the opponent about a new win claim (details from the claim-win route).
+ */
+const notifyWinClaimed = async (table, { actor, details }) => {
+  const winner = await getPlayerDisplayDetails(actor.userId);
+  const venueName = table.venueId && table.venueId.name ? table.venueId.name : 'Unknown Venue';
+  await notifyPlayers(
+    [details.opponentId],
+    'winClaimedNotification',
+    {
+      type: 'win_confirmation',
+      tableId: table._id.toString(),
+      tableNumber: table.tableNumber,
+      winnerId: actor.userId,
+      winnerDisplayName: winner.displayName,
+      sessionId: table.currentSessionId ? table.currentSessionId.toString() : '',
+      confirmationDeadline: details.confirmationDeadline.toISOString(),
+      message: `${winner.displayName} claims victory on Table ${table.tableNumber}. Do you confirm this win?`,
+    },
+    'Win Claimed!',
+    `${winner.displayName} claims victory on Table ${table.tableNumber} at ${venueName}. Confirm or dispute?`
+  );
+  console.log(`[WIN_CONFIRMATION] Sent win claim on table ${table._id} to opponent ${details.opponentId}.`);
+};
+
+/**
+ * Prompts both players to claim the win after the table device reported the end of the game.
+ */
+const notifyDeviceGameOver = async (table, { details }) => {
+  await notifyPlayers(
+    [table.currentPlayers.player1Id, table.currentPlayers.player2Id].filter(Boolean),
+    'winClaimedNotification',
+    {
+      tableId: table._id.toString(),
+      tableNumber: table.tableNumber,
+      winnerId: null,
+      winnerDisplayName: null,
+      detectedByDevice: true,
+      sessionId: table.currentSessionId.toString(),
+      confirmationDeadline: details.confirmationDeadline.toISOString(),
+      message: `Game over on Table ${table.tableNumber}. If you won, claim your win.`,
+    },
+    'Game Over',
+    `The table detected the end of your game on Table ${table.tableNumber}. If you won, claim your win.`
+  );
+};
+
+/**
+ * Tells both players a win claim was disputed (not sent when a device game over was dismissed).
+ */
+const notifyWinDisputed = async (table, { actor, details }) => {
+  if (!details.disputeId) return;
+  const disputer = await getPlayerDisplayDetails(actor.userId);
+  await notifyPlayers(
+    [table.currentPlayers.player1Id, table.currentPlayers.player2Id].filter(Boolean),
+    'winDisputed',
+    { type: 'win_disputed', tableId: table._id.toString(), tableNumber: table.tableNumber, disputeId: details.disputeId },
+    'Win Disputed!',
+    `${disputer.displayName} has disputed the win claim on Table ${table.tableNumber}. The game state has been reverted.`
+  );
+};
+
+/**
+ * Tells the players how an unanswered win claim was settled.
+ */
+const notifyClaimSettled = async (table, { details }) => {
+  if (details.outcome === 'escalated') {
+    await notifyPlayers(
+      details.players,
+      'winClaimEscalated',
+      { type: 'win_claim_escalated', tableId: table._id.toString(), tableNumber: table.tableNumber, disputeId: details.disputeId },
+      'Win Claim Sent to Staff',
+      details.unclaimed
+        ? `Nobody claimed the game on Table ${table.tableNumber} in time. It has been sent to venue staff.`
+        : `The win claim on Table ${table.tableNumber} was not confirmed in time and has been sent to venue staff.`
+    );
+    return;
+  }
+  await notifyPlayers(
+    details.players,
+    'winAutoConfirmed',
+    {
+      type: 'win_auto_confirmed',
+      tableId: table._id.toString(),
+      tableNumber: table.tableNumber,
+      winnerId: details.winnerId,
+      sessionId: details.sessionId,
+    },
+    'Win Confirmed',
+    `The win claim on Table ${table.tableNumber} was not answered in time and has been confirmed automatically.`
+  );
+};
+
+/**
+ * Registers the player notifications of win claim transitions. Call once at startup.
+ */
+const registerWinConfirmationTransitionHooks = () => {
+  onTableTransition('afterCommit', ['claimWin'], notifyWinClaimed);
+  onTableTransition('afterCommit', ['deviceGameOver'], notifyDeviceGameOver);
+  onTableTransition('afterCommit', ['disputeWin'], notifyWinDisputed);
+  onTableTransition('afterCommit', ['winClaimTimeout'], notifyClaimSettled);
+};
+
+/**
+ * Registers the reminder and deadline job handlers with the scheduler. Call once at startup.
+ */
+const registerWinConfirmationJobHandlers = () => {
+  registerJobHandler(REMINDER_JOB, handleReminder);
+  registerJobHandler(TIMEOUT_JOB, handleTimeout);
+};
+
+module.exports = {
+  getWinConfirmationPolicy,
+  scheduleWinConfirmationDeadline,
+  cancelWinConfirmationJobs,
+  confirmWin,
+  settleConfirmedGame,
+  recordDeviceGameOver,
+  registerWinConfirmationJobHandlers,
+  registerWinConfirmationTransitionHooks,
+};